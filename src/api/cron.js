@@ -0,0 +1,79 @@
+const { checkEnvVariables, getConfig } = require('../config');
+const { info, warn, error, logRequest, logResponse } = require('../utils/logger');
+const { errorHandler } = require('../utils/errorHandler');
+const { parseCron } = require('../utils/cron');
+const { authenticateCronRequest } = require('../middleware/auth');
+const { executeSync, summarizeSyncResult } = require('../services/syncService');
+const { checkCronFrequency } = require('../services/scheduler');
+const vercelConfig = require('../../vercel.json');
+
+/**
+ * 本接口的路径，与 vercel.json 中 crons 的 path 一致
+ */
+const CRON_PATH = '/api/cron';
+
+// 计划和设备配置在同一部署内不变，检查结果按实例缓存
+let frequencyWarnings = null;
+
+/**
+ * 检查 vercel.json 中声明的定时计划能否跟上设备的翻页间隔（Vercel Cron 按 UTC 计算）
+ * @param {Array<Object>} devices 设备列表（见 config/devices）
+ * @returns {Array<string>} 警告信息
+ */
+function getFrequencyWarnings(devices) {
+  if (!frequencyWarnings) {
+    const entry = (vercelConfig.crons || []).find(item => item.path === CRON_PATH);
+    frequencyWarnings = entry
+      ? checkCronFrequency(parseCron(entry.schedule), 'UTC', devices)
+      : [`vercel.json 中没有声明 ${CRON_PATH} 的定时计划`];
+  }
+  return frequencyWarnings;
+}
+
+/**
+ * Vercel Cron 处理函数
+ * GET /api/cron 由 Vercel Cron 按 vercel.json 中的计划调用，携带 CRON_SECRET 作为 Bearer 令牌；
+ * 执行与 /api/sync 相同的同步，按当前时间生效的显示方案推送并翻页
+ * @param {Object} req 请求对象
+ * @param {Object} res 响应对象
+ */
+module.exports = async (req, res) => {
+  logRequest(req);
+
+  try {
+    // 检查环境变量
+    const envCheck = checkEnvVariables();
+    if (!envCheck.success) {
+      const errorMessage = '环境变量配置不完整';
+      error(errorMessage, { missing: envCheck.missing });
+      logResponse(res, 500, { success: false, message: errorMessage });
+      return res.status(500).json({ success: false, message: errorMessage });
+    }
+
+    const config = getConfig();
+    authenticateCronRequest(req, config.app.cronSecret);
+
+    const warnings = getFrequencyWarnings(config.quote.devices);
+    warnings.forEach(message => warn(message));
+
+    info('定时触发 Notion 到 Quote 设备的同步...');
+    const result = await executeSync();
+    const { statusCode, message } = summarizeSyncResult(result);
+    const data = {
+      success: result.success,
+      message,
+      devices: result.devices,
+      warnings
+    };
+
+    if (result.success) {
+      info(message);
+    } else {
+      error(message, { devices: result.devices.filter(device => !device.success) });
+    }
+    logResponse(res, statusCode, data);
+    return res.status(statusCode).json(data);
+  } catch (err) {
+    return errorHandler(err, req, res);
+  }
+};
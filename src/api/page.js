@@ -0,0 +1,73 @@
+const { checkEnvVariables, getConfig } = require('../config');
+const { error, logRequest, logResponse } = require('../utils/logger');
+const { errorHandler, NotFoundError, ValidationError } = require('../utils/errorHandler');
+const { authenticateLinkRequest } = require('../middleware/auth');
+const { collectTasks, resolveDeviceSources } = require('../services/syncService');
+const { selectBatch, buildRequestData, deviceViewUrl } = require('../services/quote');
+const { pageLinkPath, renderLandingPage } = require('../services/landingPage');
+const { activeProfile, applyProfile } = require('../services/profiles');
+
+/**
+ * 落地页处理函数
+ * GET /api/page/:n?device=<设备 ID> 列出设备第 n 页的任务及其 Notion 链接，设备的链接模式为 page 时点击设备打开
+ * 配置了 API_TOKEN 时需要携带设备链接中的签名（sig）或令牌
+ * @param {Object} req 请求对象，query 中包含路由传入的 page
+ * @param {Object} res 响应对象
+ */
+module.exports = async (req, res) => {
+  logRequest(req);
+
+  try {
+    // 检查环境变量
+    const envCheck = checkEnvVariables();
+    if (!envCheck.success) {
+      const errorMessage = '环境变量配置不完整';
+      error(errorMessage, { missing: envCheck.missing });
+      logResponse(res, 500, { success: false, message: errorMessage });
+      return res.status(500).json({ success: false, message: errorMessage });
+    }
+
+    const config = getConfig();
+    const page = Number(req.query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      throw new ValidationError('Page must be a positive integer');
+    }
+    const configured = req.query.device
+      ? config.quote.devices.find(item => item.id === req.query.device)
+      : config.quote.devices[0];
+    if (!configured) {
+      throw new NotFoundError(`Unknown device: ${req.query.device}`);
+    }
+
+    authenticateLinkRequest(req, pageLinkPath(configured.id, page), config.app.apiToken);
+
+    // 与屏幕上的内容一致，使用当前生效的显示方案
+    const device = applyProfile(configured, activeProfile(config.quote.profiles, configured, new Date(), config.app.timeZone));
+
+    // 任务列表可能在推送后有变化，页码超出范围时显示最后一页
+    const { tasks, total, truncated, stale, fetchedAt } = await collectTasks(
+      resolveDeviceSources(device, config.notion.sources),
+      config.notion.mergeOrder
+    );
+    const { currentBatch, totalBatches, startIndex, batchTasks } = selectBatch(tasks, device.pageSize, page);
+    const { title } = buildRequestData(batchTasks, currentBatch, totalBatches, total, fetchedAt, startIndex, { truncated, stale, device });
+
+    const html = renderLandingPage({
+      title,
+      tasks: batchTasks,
+      startIndex,
+      page: currentBatch,
+      pages: totalBatches,
+      databaseUrl: deviceViewUrl(device, config),
+      fetchedAt,
+      stale,
+      timeZone: config.app.timeZone
+    });
+
+    logResponse(res, 200, { device: device.id, page: currentBatch, pages: totalBatches });
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).send(html);
+  } catch (err) {
+    return errorHandler(err, req, res);
+  }
+};
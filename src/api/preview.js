@@ -0,0 +1,58 @@
+const { checkEnvVariables, getConfig } = require('../config');
+const { error, logRequest, logResponse } = require('../utils/logger');
+const { errorHandler } = require('../utils/errorHandler');
+const { authenticateRequest } = require('../middleware/auth');
+const { validatePreviewRequest } = require('../middleware/validation');
+const { PREVIEW_FORMATS, buildPreview, renderPreviewText, renderPreviewHtml } = require('../services/preview');
+
+/**
+ * 预览处理函数
+ * GET /api/preview 与同步相同地获取任务并构建每一页的请求数据，但不发送到设备，也不翻页，
+ * 用于在推送前检查模板、过滤条件和显示方案。必须配置 API_TOKEN 并携带令牌，与同步共用 API 调用频率限制
+ * 查询参数：
+ * - page：只预览该页
+ * - device：只预览该设备
+ * - profile：使用该显示方案而不按当前时间选择，none 表示不使用方案
+ * - format：json（默认，含请求数据和屏幕示意）、text 或 html
+ * @param {Object} req 请求对象
+ * @param {Object} res 响应对象
+ */
+module.exports = async (req, res) => {
+  logRequest(req);
+
+  try {
+    // 检查环境变量
+    const envCheck = checkEnvVariables();
+    if (!envCheck.success) {
+      const errorMessage = '环境变量配置不完整';
+      error(errorMessage, { missing: envCheck.missing });
+      logResponse(res, 500, { success: false, message: errorMessage });
+      return res.status(500).json({ success: false, message: errorMessage });
+    }
+
+    // 预览包含所有任务的内容，与任务写回接口一样必须配置 API_TOKEN
+    authenticateRequest(req, getConfig().app.apiToken, { required: true });
+    validatePreviewRequest(req, PREVIEW_FORMATS);
+
+    const preview = await buildPreview({
+      page: req.query.page !== undefined ? Number(req.query.page) : undefined,
+      device: req.query.device,
+      profile: req.query.profile
+    });
+    const summary = preview.devices.map(item => ({ device: item.device, profile: item.profile, pages: item.pages }));
+    logResponse(res, 200, { devices: summary });
+
+    switch (req.query.format) {
+    case 'text':
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(200).send(renderPreviewText(preview));
+    case 'html':
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(renderPreviewHtml(preview));
+    default:
+      return res.status(200).json({ success: true, ...preview });
+    }
+  } catch (err) {
+    return errorHandler(err, req, res);
+  }
+};
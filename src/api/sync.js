@@ -1,7 +1,9 @@
-const { checkEnvVariables } = require('../config');
+const { checkEnvVariables, getConfig } = require('../config');
 const { info, error, logRequest, logResponse } = require('../utils/logger');
-const { catchAsync } = require('../utils/errorHandler');
-const { executeSync } = require('../services/syncService');
+const { catchAsync, errorHandler } = require('../utils/errorHandler');
+const { authenticateRequest } = require('../middleware/auth');
+const { validateSyncRequest } = require('../middleware/validation');
+const { executeSync, summarizeSyncResult } = require('../services/syncService');
 
 /**
  * Vercel API 处理函数
@@ -24,24 +26,30 @@ module.exports = catchAsync(async (req, res) => {
     });
   }
   
-  // 直接执行同步操作（手动触发）
-  const success = await executeSync();
+  // 配置了 API_TOKEN 时需要携带令牌
+  try {
+    authenticateRequest(req, getConfig().app.apiToken);
+    validateSyncRequest(req);
+  } catch (err) {
+    return errorHandler(err, req, res);
+  }
   
-  if (success) {
-    const successMessage = '成功发送到 Quote 设备！';
-    info(successMessage);
-    logResponse(res, 200, { success: true, message: successMessage });
-    return res.status(200).json({ 
-      success: true, 
-      message: successMessage
-    });
+  // 直接执行同步操作（手动触发），?page= 指定显示的页码，?force=1 在内容未变化时也推送
+  const page = req.query.page !== undefined ? Number(req.query.page) : undefined;
+  const force = ['1', 'true'].includes(String(req.query.force));
+  const result = await executeSync({ page, force });
+  const { statusCode, message } = summarizeSyncResult(result);
+  const data = {
+    success: result.success,
+    message,
+    devices: result.devices
+  };
+  
+  if (result.success) {
+    info(message);
   } else {
-    const errorMessage = '发送到 Quote 设备失败';
-    error(errorMessage);
-    logResponse(res, 500, { success: false, message: errorMessage });
-    return res.status(500).json({ 
-      success: false, 
-      message: errorMessage
-    });
+    error(message, { devices: result.devices.filter(device => !device.success) });
   }
+  logResponse(res, statusCode, data);
+  return res.status(statusCode).json(data);
 });
@@ -0,0 +1,63 @@
+const { checkEnvVariables, getConfig } = require('../config');
+const { info, error, logRequest, logResponse } = require('../utils/logger');
+const { errorHandler } = require('../utils/errorHandler');
+const { authenticateRequest } = require('../middleware/auth');
+const { validateTaskActionRequest } = require('../middleware/validation');
+const { updateTaskStatus } = require('../services/notion');
+const { executeSync } = require('../services/syncService');
+
+/**
+ * 任务写回处理函数
+ * - POST /api/tasks/:pageId/complete 将任务设为完成状态（NOTION_DONE_STATUS）
+ * - POST /api/tasks/:pageId/status   将任务设为 body.status，或在 body.advance 为 true 时推进到下一个状态
+ * 更新后立即重新同步，让 Quote 设备显示最新的任务列表
+ * @param {Object} req 请求对象，query 中包含路由传入的 pageId 和 action
+ * @param {Object} res 响应对象
+ */
+module.exports = async (req, res) => {
+  logRequest(req);
+  
+  try {
+    if (req.method !== 'POST') {
+      const data = { success: false, message: '仅支持 POST 请求' };
+      logResponse(res, 405, data);
+      return res.status(405).json(data);
+    }
+    
+    // 检查环境变量
+    const envCheck = checkEnvVariables();
+    if (!envCheck.success) {
+      const errorMessage = '环境变量配置不完整';
+      error(errorMessage, { missing: envCheck.missing });
+      logResponse(res, 500, { success: false, message: errorMessage });
+      return res.status(500).json({ success: false, message: errorMessage });
+    }
+    
+    // 写回接口必须配置 API_TOKEN
+    authenticateRequest(req, getConfig().app.apiToken, { required: true });
+    validateTaskActionRequest(req);
+    
+    const { pageId, action } = req.query;
+    const change = action === 'complete'
+      ? { complete: true }
+      : { status: req.body.status, advance: req.body.advance === true };
+    
+    const update = await updateTaskStatus(pageId, change);
+    
+    info('任务状态已更新，重新同步到 Quote 设备...');
+    // 刷新当前页，不翻页
+    const result = await executeSync({ advance: false });
+    
+    const data = {
+      success: true,
+      message: result.success ? '任务已更新并同步到 Quote 设备' : '任务已更新，但同步到 Quote 设备失败',
+      task: update,
+      synced: result.success,
+      devices: result.devices
+    };
+    logResponse(res, 200, data);
+    return res.status(200).json(data);
+  } catch (err) {
+    return errorHandler(err, req, res);
+  }
+};
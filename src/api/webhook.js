@@ -0,0 +1,108 @@
+const { checkEnvVariables, getConfig } = require('../config');
+const { info, warn, error, logRequest, logResponse } = require('../utils/logger');
+const { errorHandler, ConfigError } = require('../utils/errorHandler');
+const { validateWebhookRequest } = require('../middleware/validation');
+const { readRawBody, verifyNotionSignature, isRelevantPageEvent } = require('../middleware/notionWebhook');
+const { createDebouncer } = require('../utils/debounce');
+const { executeSync, summarizeSyncResult } = require('../services/syncService');
+
+// 同一实例内合并短时间内连续到达的页面事件，只执行一次同步
+let debouncer = null;
+
+/**
+ * 获取同步防抖器，首次调用时按配置创建
+ * @param {number} waitMs 防抖等待时间（毫秒）
+ * @returns {Object} 防抖器
+ */
+function getSyncDebouncer(waitMs) {
+  if (!debouncer) {
+    // 任务变化时刷新当前页，不翻页
+    debouncer = createDebouncer(() => executeSync({ advance: false }), waitMs);
+  }
+  return debouncer;
+}
+
+/**
+ * 发送 JSON 响应并记录日志
+ * @param {Object} res 响应对象
+ * @param {number} statusCode 状态码
+ * @param {Object} data 响应数据
+ */
+function respond(res, statusCode, data) {
+  logResponse(res, statusCode, data);
+  return res.status(statusCode).json(data);
+}
+
+/**
+ * Notion Webhook 处理函数
+ * - 处理创建订阅时的验证请求
+ * - 校验 X-Notion-Signature 签名
+ * - 仅在已配置数据库中的页面发生变化时触发同步
+ * @param {Object} req 请求对象
+ * @param {Object} res 响应对象
+ */
+module.exports = async (req, res) => {
+  logRequest(req);
+  
+  try {
+    if (req.method !== 'POST') {
+      return respond(res, 405, { success: false, message: '仅支持 POST 请求' });
+    }
+    
+    // 检查环境变量
+    const envCheck = checkEnvVariables();
+    if (!envCheck.success) {
+      const errorMessage = '环境变量配置不完整';
+      error(errorMessage, { missing: envCheck.missing });
+      return respond(res, 500, { success: false, message: errorMessage });
+    }
+    
+    const rawBody = await readRawBody(req);
+    try {
+      req.body = rawBody.length > 0 ? JSON.parse(rawBody.toString('utf8')) : undefined;
+    } catch (err) {
+      return respond(res, 400, { success: false, message: '请求体不是合法的 JSON' });
+    }
+    validateWebhookRequest(req);
+    
+    // 创建订阅时 Notion 会发送验证令牌，需要将其填入 Notion 后台完成验证，
+    // 并配置为 NOTION_WEBHOOK_SECRET 用于之后的签名校验
+    if (req.body.verification_token) {
+      warn('收到 Notion Webhook 验证令牌，请在 Notion 中完成验证并将其配置为 NOTION_WEBHOOK_SECRET', {
+        verificationToken: req.body.verification_token
+      });
+      return respond(res, 200, { success: true, message: '已收到验证令牌' });
+    }
+    
+    const config = getConfig();
+    if (!config.notion.webhookSecret) {
+      throw new ConfigError('未配置 NOTION_WEBHOOK_SECRET，无法校验 Webhook 签名');
+    }
+    verifyNotionSignature(rawBody, req.headers['x-notion-signature'], config.notion.webhookSecret);
+    
+    const databaseIds = config.notion.sources.map(source => source.databaseId);
+    if (!isRelevantPageEvent(req.body, databaseIds)) {
+      info('忽略与已配置数据库无关的 Webhook 事件', { type: req.body.type, entity: req.body.entity.id });
+      return respond(res, 200, { success: true, message: '事件已忽略' });
+    }
+    
+    info('收到页面变更事件，等待合并后触发同步', { type: req.body.type, entity: req.body.entity.id });
+    const { result, coalesced } = await getSyncDebouncer(config.notion.webhookDebounceMs).trigger();
+    const { statusCode, message } = summarizeSyncResult(result);
+    
+    return respond(res, statusCode, {
+      success: result.success,
+      message: result.success && coalesced ? '已合并到本次同步' : message,
+      devices: result.devices
+    });
+  } catch (err) {
+    return errorHandler(err, req, res);
+  }
+};
+
+// 关闭 Vercel 的请求体解析，签名按 Notion 发送的原始字节校验
+module.exports.config = {
+  api: {
+    bodyParser: false
+  }
+};
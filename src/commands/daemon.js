@@ -0,0 +1,90 @@
+const { getConfig } = require('../config');
+const { getStore } = require('../storage');
+const { executeSync, summarizeSyncResult } = require('../services/syncService');
+const { createScheduler, checkCronFrequency } = require('../services/scheduler');
+const { info, warn, error } = require('../utils/logger');
+
+/**
+ * daemon 子命令
+ * 用法：node index.js daemon
+ * 常驻运行，按 SCHEDULE_CRON 定时执行与 /api/sync 相同的同步，适合在自己的服务器上部署，无需外部 cron。
+ * 收到 SIGTERM / SIGINT 时停止调度，等待正在进行的同步结束后退出
+ */
+
+/**
+ * 收到退出信号后等待当前同步结束的最长时间（毫秒）
+ */
+const SHUTDOWN_TIMEOUT_MS = 60000;
+
+/**
+ * 执行一次同步并记录结果
+ * @returns {Promise<Object>} { success, message }
+ */
+async function syncOnce() {
+  const result = await executeSync();
+  const { message } = summarizeSyncResult(result);
+  if (result.success) {
+    info(message);
+  } else {
+    error(message, { devices: result.devices.filter(device => !device.success) });
+  }
+  return { success: result.success, message };
+}
+
+/**
+ * 执行 daemon 子命令，直到收到退出信号
+ * @returns {Promise<boolean>} 是否在超时前正常退出
+ */
+async function runDaemonCommand() {
+  const config = getConfig();
+  const { cron, jitterSeconds } = config.schedule;
+  const scheduler = createScheduler({
+    schedule: cron,
+    timeZone: config.app.timeZone,
+    jitterMs: jitterSeconds * 1000,
+    run: syncOnce,
+    store: getStore()
+  });
+
+  info(`守护模式已启动，同步计划: ${cron.expression}（${config.app.timeZone}）`);
+  checkCronFrequency(cron, config.app.timeZone, config.quote.devices).forEach(message => warn(message));
+  await scheduler.start();
+
+  return new Promise(resolve => {
+    let stopping = false;
+
+    const shutdown = async signal => {
+      if (stopping) {
+        warn(`再次收到 ${signal}，立即退出`);
+        process.exit(1);
+      }
+      stopping = true;
+      info(`收到 ${signal}，停止调度${scheduler.isRunning() ? '，等待当前同步结束' : ''}...`);
+
+      let timeout;
+      const finished = await Promise.race([
+        scheduler.stop().then(() => true),
+        new Promise(done => {
+          timeout = setTimeout(() => done(false), SHUTDOWN_TIMEOUT_MS);
+        })
+      ]);
+      clearTimeout(timeout);
+      process.removeListener('SIGTERM', shutdown);
+      process.removeListener('SIGINT', shutdown);
+
+      if (finished) {
+        info('守护模式已退出');
+      } else {
+        warn(`当前同步在 ${SHUTDOWN_TIMEOUT_MS / 1000} 秒内未结束，强制退出`);
+      }
+      resolve(finished);
+    };
+
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+  });
+}
+
+module.exports = {
+  runDaemonCommand
+};
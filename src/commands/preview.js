@@ -0,0 +1,32 @@
+const { buildPreview, renderPreviewText } = require('../services/preview');
+
+/**
+ * 同步的 --dry-run 选项
+ * 用法：node index.js --dry-run [--page=<页码>] [--device=<设备 ID>] [--profile=<方案 ID|none>] [--json]
+ * 执行同步的全部步骤直到构建请求数据，但不发送到设备，也不翻页；输出各页的屏幕示意和宽度警告，
+ * --json 时输出与 /api/preview 相同的 JSON，包含发送到设备的完整请求数据
+ */
+
+/**
+ * 执行预览
+ * @param {Object} options 选项
+ * @param {number} options.page 只预览该页
+ * @param {string} options.device 只预览该设备
+ * @param {string} options.profile 使用该显示方案，none 表示不使用方案
+ * @param {boolean} options.json 输出 JSON
+ * @returns {Promise<boolean>} 是否预览成功
+ */
+async function runPreviewCommand({ page, device, profile, json = false } = {}) {
+  try {
+    const preview = await buildPreview({ page, device, profile });
+    process.stdout.write(json ? `${JSON.stringify(preview, null, 2)}\n` : renderPreviewText(preview));
+    return true;
+  } catch (err) {
+    console.error(`预览失败: ${err.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  runPreviewCommand
+};
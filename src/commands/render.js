@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('../config');
+const { collectTasks, resolveDeviceSources } = require('../services/syncService');
+const { renderPageImage, selectBatch } = require('../services/quote');
+const { resolvePage } = require('../services/pageCursor');
+const { activeProfile, applyProfile } = require('../services/profiles');
+
+/**
+ * render 子命令
+ * 用法：node index.js render [outputDir]
+ * 将每台设备下一次推送要显示的页面（按当前生效的显示方案）渲染为 PNG 保存到本地，不发送到设备也不移动翻页游标，用于预览图片版式
+ */
+
+/**
+ * 默认输出目录
+ */
+const DEFAULT_OUTPUT_DIR = '.data/render';
+
+/**
+ * 执行 render 子命令
+ * @param {string} outputDir 输出目录，默认为 .data/render
+ * @returns {Promise<boolean>} 是否所有设备都渲染成功
+ */
+async function runRenderCommand(outputDir = DEFAULT_OUTPUT_DIR) {
+  let config;
+  try {
+    config = getConfig();
+    fs.mkdirSync(outputDir, { recursive: true });
+  } catch (err) {
+    console.error(`无法渲染: ${err.message}`);
+    (err.details || []).forEach(problem => console.error(`  ✗ ${problem}`));
+    return false;
+  }
+
+  let ok = true;
+  for (const configured of config.quote.devices) {
+    const device = applyProfile(configured, activeProfile(config.quote.profiles, configured, new Date(), config.app.timeZone));
+    try {
+      const { tasks, total, truncated, stale, fetchedAt } = await collectTasks(
+        resolveDeviceSources(device, config.notion.sources),
+        config.notion.mergeOrder
+      );
+      const cursor = await resolvePage(device.id, tasks, device.pageSize);
+      const { currentBatch, totalBatches, startIndex, batchTasks } = selectBatch(tasks, device.pageSize, cursor.page);
+      const png = renderPageImage(batchTasks, Math.max(currentBatch, 1), Math.max(totalBatches, 1), total, fetchedAt, startIndex, {
+        truncated,
+        stale,
+        device
+      });
+
+      const file = path.join(outputDir, `${device.id}.png`);
+      fs.writeFileSync(file, png);
+      console.log(`${device.id}${device.profile ? `（方案 ${device.profile}）` : ''}: 第 ${currentBatch}/${totalBatches} 页 → ${file}`);
+    } catch (err) {
+      console.error(`${device.id}: 渲染失败: ${err.message}`);
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+module.exports = {
+  runRenderCommand
+};
@@ -0,0 +1,99 @@
+const { getConfig } = require('../config');
+const { createNotionClient } = require('../services/notion');
+const {
+  describeProperties,
+  proposeMapping,
+  proposeFilter,
+  mappingToEnvLines,
+  findMissingReferences
+} = require('../services/schemaInspector');
+
+/**
+ * schema 子命令
+ * 用法：node index.js schema [databaseId]
+ * 不指定 databaseId 时检查所有已配置的数据源
+ */
+
+/**
+ * 打印单个数据库的结构报告
+ * @param {Object} database `databases.retrieve` 返回的数据库对象
+ * @param {Object|null} source 对应的数据源配置，检查未配置的数据库时为 null
+ */
+function printReport(database, source) {
+  const properties = describeProperties(database);
+  const title = (database.title || []).map(t => t.plain_text).join('') || database.id;
+
+  console.log(`\n=== ${title} (${database.id})${source ? ` · 数据源 ${source.id}` : ''} ===\n`);
+
+  console.log('属性:');
+  properties.forEach(property => {
+    console.log(`  - ${property.name} [${property.type}]`);
+    if (property.groups.length > 0) {
+      property.groups.forEach(group => {
+        console.log(`      ${group.name}: ${group.options.join(', ') || '(无)'}`);
+      });
+    } else if (property.options.length > 0) {
+      console.log(`      选项: ${property.options.join(', ')}`);
+    }
+  });
+
+  const mapping = proposeMapping(properties);
+  console.log('\n推荐的属性映射（可直接粘贴到 .env）:');
+  mappingToEnvLines(mapping).forEach(line => console.log(`  ${line}`));
+
+  const filter = proposeFilter(mapping);
+  if (filter) {
+    console.log('\n推荐的过滤条件:');
+    console.log(`  NOTION_FILTER=${JSON.stringify(filter)}`);
+  }
+
+  if (source) {
+    const problems = findMissingReferences(source, properties);
+    console.log('\n当前配置检查:');
+    if (problems.length === 0) {
+      console.log('  ✓ 当前配置引用的属性均存在');
+    } else {
+      problems.forEach(problem => console.log(`  ✗ ${problem}`));
+    }
+  }
+}
+
+/**
+ * 执行 schema 子命令
+ * @param {string} databaseId 要检查的数据库 ID，不指定时检查所有已配置的数据源
+ * @returns {Promise<boolean>} 是否全部检查成功且没有缺失的属性
+ */
+async function runSchemaCommand(databaseId) {
+  let config;
+  try {
+    config = getConfig();
+  } catch (err) {
+    console.error(`配置错误: ${err.message}`);
+    (err.details || []).forEach(problem => console.error(`  ✗ ${problem}`));
+    return false;
+  }
+
+  const targets = databaseId
+    ? [{ databaseId, source: config.notion.sources.find(item => item.databaseId === databaseId) || null }]
+    : config.notion.sources.map(source => ({ databaseId: source.databaseId, source }));
+
+  let ok = true;
+  for (const { databaseId: id, source } of targets) {
+    try {
+      const notion = createNotionClient(source ? source.apiKey : undefined);
+      const database = await notion.databases.retrieve({ database_id: id });
+      printReport(database, source);
+      if (source && findMissingReferences(source, describeProperties(database)).length > 0) {
+        ok = false;
+      }
+    } catch (err) {
+      console.error(`\n无法读取数据库 ${id}: ${err.message}`);
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+module.exports = {
+  runSchemaCommand
+};
@@ -0,0 +1,332 @@
+/**
+ * Quote 设备配置
+ * 支持同时推送到多台设备，每台设备可以有自己的 API 密钥、数据源、过滤条件、模板、排版、推送模式、链接、图标、每页任务数和翻页间隔
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('../utils/errorHandler');
+const { parseJson } = require('./propertyMapping');
+const { compileTemplates, TEMPLATE_ENV_VARS } = require('./templates');
+const { resolveLayout } = require('./layout');
+const {
+  validateArray,
+  validateObject,
+  validateString,
+  validateRequired,
+  validateFilterSpec
+} = require('../middleware/validation');
+
+/**
+ * 未配置 QUOTE_DEVICES 时使用的设备 ID
+ */
+const DEFAULT_DEVICE_ID = 'default';
+
+/**
+ * 每页任务数和翻页间隔（分钟）的默认值
+ * 翻页间隔默认为一天，与 vercel.json 中每天一次的 Vercel Cron 计划一致（Hobby 计划最多每天触发一次）
+ */
+const DEFAULT_PAGE_SIZE = 3;
+const DEFAULT_ROTATION_MINUTES = 24 * 60;
+
+/**
+ * 推送模式：text 使用文字 API，image 在本地渲染为图片后使用图片 API
+ */
+const DISPLAY_MODES = ['text', 'image'];
+
+/**
+ * 内容与上次推送相同时的处理方式：skip 不发送，quiet 发送但不立即刷新屏幕，refresh 照常刷新
+ */
+const UNCHANGED_ACTIONS = ['skip', 'quiet', 'refresh'];
+
+/**
+ * 点击设备时打开的链接：database 为数据库视图，task 为当前页第一个任务，
+ * page 为列出当前页任务的落地页（/api/page/:n），none 不设置链接
+ */
+const LINK_MODES = ['database', 'task', 'page', 'none'];
+
+/**
+ * 图标来源：none 不显示；first / urgent 为当前页第一个 / 截止日期最早的任务的页面图标；
+ * status / priority 按图标表查找当前页任务的状态 / 优先级；fixed 为固定图标
+ */
+const ICON_STRATEGIES = ['none', 'first', 'urgent', 'status', 'priority', 'fixed'];
+
+/**
+ * 解析图标配置
+ * @param {Object} values { strategy, map, value } 原始配置，map 可以是 JSON 字符串
+ * @param {Object} names 错误信息中显示的名称 { strategy, map, value }
+ * @returns {Object} { strategy, map, value }
+ * @throws {ConfigError} 配置不完整或格式不正确时抛出
+ */
+function parseIcon({ strategy, map, value }, names) {
+  const icon = { strategy: parseChoice(strategy, ICON_STRATEGIES, names.strategy), map: {}, value: '' };
+
+  if (icon.strategy === 'status' || icon.strategy === 'priority') {
+    const table = typeof map === 'string' ? parseJson(map, names.map) : map;
+    if (!table || typeof table !== 'object' || Array.isArray(table) || Object.keys(table).length === 0) {
+      throw new ConfigError(`${names.strategy}=${icon.strategy} 需要在 ${names.map} 中配置图标表，如 {"进行中":"🔥"}`);
+    }
+    const invalid = Object.keys(table).filter(key => typeof table[key] !== 'string' || !table[key]);
+    if (invalid.length > 0) {
+      throw new ConfigError(`${names.map} 中的图标必须是 emoji 或图片地址: ${invalid.join(', ')}`);
+    }
+    icon.map = table;
+  }
+
+  if (icon.strategy === 'fixed') {
+    if (!value) {
+      throw new ConfigError(`${names.strategy}=fixed 需要配置 ${names.value}`);
+    }
+    icon.value = String(value);
+  }
+
+  return icon;
+}
+
+/**
+ * 图片模式默认使用的 BDF 字体：GNU Unifont 16 像素点阵的子集（拉丁字母、标点符号、假名和中日韩统一表意文字），
+ * 按 SIL OFL 1.1 随仓库发布，见 assets/fonts/OFL.txt
+ */
+const DEFAULT_FONT_PATH = path.join(__dirname, '../../assets/fonts/unifont.bdf');
+
+/**
+ * 解析图片模式使用的 BDF 字体路径，未配置时使用仓库自带的字体
+ * @param {string} mode 推送模式
+ * @param {string} font 配置的字体路径
+ * @param {string} name 错误信息中显示的名称
+ * @returns {string} 绝对路径
+ * @throws {ConfigError} 图片模式配置的字体文件不存在时抛出
+ */
+function parseFontPath(mode, font, name) {
+  if (!font) {
+    return DEFAULT_FONT_PATH;
+  }
+  const fontPath = path.resolve(font);
+  if (mode === 'image' && !fs.existsSync(fontPath)) {
+    throw new ConfigError(`${name} 指定的字体文件不存在: ${fontPath}`);
+  }
+  return fontPath;
+}
+
+/**
+ * 设备的文字 API 地址
+ * @param {string} deviceId Quote 设备 ID
+ * @returns {string} API 地址
+ */
+function deviceEndpoint(deviceId) {
+  return `https://dot.mindreset.tech/api/authV2/open/device/${deviceId}/text`;
+}
+
+/**
+ * 设备的图片 API 地址
+ * @param {string} deviceId Quote 设备 ID
+ * @returns {string} API 地址
+ */
+function deviceImageEndpoint(deviceId) {
+  return `https://dot.mindreset.tech/api/authV2/open/device/${deviceId}/image`;
+}
+
+/**
+ * 解析枚举配置
+ * @param {*} value 配置值
+ * @param {Array<string>} choices 可选值，第一个为默认值
+ * @param {string} name 错误信息中显示的名称
+ * @returns {string} 解析结果，未配置时为 choices[0]
+ * @throws {ConfigError} 不是可选值之一时抛出
+ */
+function parseChoice(value, choices, name) {
+  if (value === undefined || value === null || value === '') {
+    return choices[0];
+  }
+  const choice = String(value).toLowerCase();
+  if (!choices.includes(choice)) {
+    throw new ConfigError(`${name} 必须是 ${choices.join('、')} 之一，当前为: ${value}`);
+  }
+  return choice;
+}
+
+/**
+ * 解析正整数配置
+ * @param {*} value 配置值
+ * @param {string} name 错误信息中显示的名称
+ * @param {number} defaultValue 未配置时的默认值
+ * @returns {number} 解析结果
+ * @throws {ConfigError} 不是正整数时抛出
+ */
+function parseCount(value, name, defaultValue) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  const num = Number(value);
+  if (!Number.isInteger(num) || num <= 0) {
+    throw new ConfigError(`${name} 必须是正整数，当前为: ${value}`);
+  }
+  return num;
+}
+
+/**
+ * 设备各配置项在错误信息中显示的名称
+ * @param {string} name 设备名称，如 QUOTE_DEVICES[0]
+ * @returns {Object} 名称表
+ */
+function deviceFieldNames(name) {
+  const templates = {};
+  Object.keys(TEMPLATE_ENV_VARS).forEach(key => {
+    templates[key] = `${name}.templates.${key}`;
+  });
+  return {
+    device: name,
+    templates,
+    layout: { model: `${name}.model`, columns: `${name}.columns`, overflow: `${name}.overflow` },
+    mode: `${name}.mode`,
+    font: `${name}.font`,
+    onUnchanged: `${name}.onUnchanged`,
+    linkMode: `${name}.linkMode`,
+    icon: { strategy: `${name}.icon`, map: `${name}.iconMap`, value: `${name}.iconValue` }
+  };
+}
+
+/**
+ * 未配置 QUOTE_DEVICES 时，错误信息直接指向对应的环境变量
+ */
+const ENV_FIELD_NAMES = {
+  device: 'QUOTE_DEVICE_ID',
+  templates: TEMPLATE_ENV_VARS,
+  layout: { model: 'QUOTE_DEVICE_MODEL', columns: 'QUOTE_LINE_COLUMNS', overflow: 'QUOTE_LINE_OVERFLOW' },
+  mode: 'QUOTE_MODE',
+  font: 'QUOTE_FONT_PATH',
+  onUnchanged: 'QUOTE_ON_UNCHANGED',
+  linkMode: 'QUOTE_LINK_MODE',
+  icon: { strategy: 'QUOTE_ICON', map: 'QUOTE_ICON_MAP', value: 'QUOTE_ICON_VALUE' }
+};
+
+/**
+ * 解析单个设备配置，未配置的项使用全局环境变量
+ * @param {Object} raw 原始配置
+ * @param {number} index 在列表中的位置
+ * @param {Object} defaults 全局配置 { env, sourceIds, templateSources }
+ * @param {Object} names 错误信息中显示的名称，见 deviceFieldNames
+ * @returns {Object} 设备
+ */
+function parseDevice(raw, index, { env, sourceIds, templateSources }, names) {
+  const name = names.device;
+  validateObject(raw, name);
+  validateString(validateRequired(raw.deviceId, `${name}.deviceId`), `${name}.deviceId`);
+
+  const apiKey = raw.apiKey || env.DOT_API_KEY;
+  if (!apiKey) {
+    throw new ConfigError(`${name} 缺少 apiKey，且未配置 DOT_API_KEY`);
+  }
+
+  let sources = null;
+  if (raw.sources !== undefined) {
+    validateArray(raw.sources, `${name}.sources`);
+    sources = raw.sources.map(String);
+    const unknown = sources.filter(id => !sourceIds.includes(id));
+    if (unknown.length > 0) {
+      throw new ConfigError(`${name}.sources 引用了不存在的数据源: ${unknown.join(', ')}`);
+    }
+  }
+
+  if (raw.filter !== undefined) {
+    validateFilterSpec(raw.filter, `${name}.filter`);
+  }
+
+  const overrides = raw.templates === undefined ? {} : validateObject(raw.templates, `${name}.templates`);
+  const id = raw.id ? String(raw.id) : `device${index + 1}`;
+  const mode = parseChoice(raw.mode ?? env.QUOTE_MODE, DISPLAY_MODES, names.mode);
+
+  return {
+    id,
+    label: raw.label ? String(raw.label) : '',
+    deviceId: raw.deviceId,
+    apiKey,
+    apiEndpoint: deviceEndpoint(raw.deviceId),
+    imageEndpoint: deviceImageEndpoint(raw.deviceId),
+    mode,
+    fontPath: parseFontPath(mode, raw.font || env.QUOTE_FONT_PATH, raw.font || !env.QUOTE_FONT_PATH ? names.font : 'QUOTE_FONT_PATH'),
+    sources,
+    filter: raw.filter || null,
+    templates: compileTemplates({ ...templateSources, ...overrides }, names.templates),
+    layout: resolveLayout(
+      {
+        model: raw.model ?? env.QUOTE_DEVICE_MODEL,
+        columns: raw.columns ?? env.QUOTE_LINE_COLUMNS,
+        overflow: raw.overflow ?? env.QUOTE_LINE_OVERFLOW
+      },
+      names.layout
+    ),
+    pageSize: parseCount(raw.pageSize, `${name}.pageSize`, parseCount(env.QUOTE_PAGE_SIZE, 'QUOTE_PAGE_SIZE', DEFAULT_PAGE_SIZE)),
+    rotationMinutes: parseCount(
+      raw.rotationMinutes,
+      `${name}.rotationMinutes`,
+      parseCount(env.QUOTE_ROTATION_MINUTES, 'QUOTE_ROTATION_MINUTES', DEFAULT_ROTATION_MINUTES)
+    ),
+    onUnchanged: parseChoice(raw.onUnchanged ?? env.QUOTE_ON_UNCHANGED, UNCHANGED_ACTIONS, names.onUnchanged),
+    link: {
+      mode: parseChoice(raw.linkMode ?? env.QUOTE_LINK_MODE, LINK_MODES, names.linkMode),
+      // 未配置时使用设备第一个数据源的数据库地址
+      url: raw.linkUrl || env.QUOTE_LINK_URL || ''
+    },
+    icon: parseIcon(
+      {
+        strategy: raw.icon ?? env.QUOTE_ICON,
+        map: raw.iconMap ?? env.QUOTE_ICON_MAP,
+        value: raw.iconValue ?? env.QUOTE_ICON_VALUE
+      },
+      names.icon
+    ),
+    // 同一设备的推送使用相同的 taskKey，新内容替换旧内容而不是叠加
+    taskKey: String(raw.taskKey || env.QUOTE_TASK_KEY || `notion2quote-${id}`)
+  };
+}
+
+/**
+ * 读取 Quote 设备列表
+ * QUOTE_DEVICES 为 JSON 数组；未配置时使用 QUOTE_DEVICE_ID、DOT_API_KEY 和全局的模板、排版作为唯一设备
+ * @param {Object} env 环境变量对象
+ * @param {Object} context 其他配置
+ * @param {Array<string>} context.sourceIds 已配置的数据源 ID
+ * @param {Object<string, string>} context.templateSources 全局模板字符串（见 config/templates 中的 getTemplateSources）
+ * @returns {Array<Object>} 设备列表
+ * @throws {ConfigError} 配置格式不正确时抛出
+ */
+function getQuoteDevices(env, { sourceIds = [], templateSources = {} } = {}) {
+  const defaults = { env, sourceIds, templateSources };
+
+  if (!env.QUOTE_DEVICES) {
+    return [parseDevice({ id: DEFAULT_DEVICE_ID, deviceId: env.QUOTE_DEVICE_ID }, 0, defaults, ENV_FIELD_NAMES)];
+  }
+
+  const raw = parseJson(env.QUOTE_DEVICES, 'QUOTE_DEVICES');
+
+  let devices;
+  try {
+    validateArray(raw, 'QUOTE_DEVICES');
+    devices = raw.map((item, index) => parseDevice(item, index, defaults, deviceFieldNames(`QUOTE_DEVICES[${index}]`)));
+  } catch (err) {
+    if (err instanceof ConfigError) {
+      throw err;
+    }
+    throw new ConfigError(`QUOTE_DEVICES 配置错误: ${err.message}`);
+  }
+
+  if (devices.length === 0) {
+    throw new ConfigError('QUOTE_DEVICES 至少需要包含一台设备');
+  }
+
+  const ids = devices.map(device => device.id);
+  const duplicated = ids.filter((id, index) => ids.indexOf(id) !== index);
+  if (duplicated.length > 0) {
+    throw new ConfigError(`QUOTE_DEVICES 中存在重复的设备 ID: ${[...new Set(duplicated)].join(', ')}`);
+  }
+
+  return devices;
+}
+
+module.exports = {
+  DEFAULT_DEVICE_ID,
+  deviceEndpoint,
+  deviceImageEndpoint,
+  getQuoteDevices
+};
@@ -1,5 +1,16 @@
 require('dotenv').config();
 
+const os = require('os');
+const path = require('path');
+const { getPropertyMapping } = require('./propertyMapping');
+const { getNotionSources, getMergeOrder } = require('./sources');
+const { getTemplateSources } = require('./templates');
+const { getQuoteDevices } = require('./devices');
+const { getProfiles } = require('./profiles');
+const { ConfigError } = require('../utils/errorHandler');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, parseTimeRange } = require('../utils/time');
+const { parseCron } = require('../utils/cron');
+
 /**
  * 配置管理模块
  * 统一管理环境变量和应用配置
@@ -7,6 +18,8 @@ require('dotenv').config();
 
 /**
  * 必要的环境变量列表
+ * 配置了 NOTION_SOURCES 时，数据库 ID 由各数据源提供，不再需要 NOTION_DATABASE_ID；
+ * 配置了 QUOTE_DEVICES 时，设备 ID 和 API 密钥由各设备提供
  */
 const REQUIRED_ENV_VARS = [
   'NOTION_API_KEY',
@@ -20,7 +33,10 @@ const REQUIRED_ENV_VARS = [
  * @returns {Object} 检查结果，包含是否成功和缺失的环境变量
  */
 function checkEnvVariables() {
-  const missingEnvs = REQUIRED_ENV_VARS.filter(env => !process.env[env]);
+  const missingEnvs = REQUIRED_ENV_VARS
+    .filter(env => !(env === 'NOTION_DATABASE_ID' && process.env.NOTION_SOURCES))
+    .filter(env => !(['DOT_API_KEY', 'QUOTE_DEVICE_ID'].includes(env) && process.env.QUOTE_DEVICES))
+    .filter(env => !process.env[env]);
   
   return {
     success: missingEnvs.length === 0,
@@ -28,6 +44,144 @@ function checkEnvVariables() {
   };
 }
 
+/**
+ * 解析正整数环境变量
+ * @param {string} name 环境变量名
+ * @param {number} defaultValue 未配置时的默认值
+ * @returns {number} 解析结果
+ * @throws {ConfigError} 配置值不是正整数时抛出
+ */
+function parsePositiveInt(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  const num = Number(value);
+  if (!Number.isInteger(num) || num <= 0) {
+    throw new ConfigError(`${name} 必须是正整数，当前为: ${value}`);
+  }
+  return num;
+}
+
+/**
+ * 解析非负整数环境变量
+ * @param {string} name 环境变量名
+ * @param {number} defaultValue 未配置时的默认值
+ * @returns {number} 解析结果
+ * @throws {ConfigError} 配置值不是非负整数时抛出
+ */
+function parseNonNegativeInt(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 0) {
+    throw new ConfigError(`${name} 必须是非负整数，当前为: ${value}`);
+  }
+  return num;
+}
+
+/**
+ * 读取时区配置 TIMEZONE
+ * 签名时间、翻页、免打扰时段和日期显示都按该时区计算，与服务器所在时区无关
+ * @returns {string} IANA 时区名称
+ * @throws {ConfigError} 时区名称无效时抛出
+ */
+function getTimeZone() {
+  const timeZone = process.env.TIMEZONE || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone)) {
+    throw new ConfigError(`TIMEZONE 不是有效的 IANA 时区名称（如 Asia/Shanghai、Europe/Berlin），当前为: ${timeZone}`);
+  }
+  return timeZone;
+}
+
+/**
+ * 读取免打扰时段 QUIET_HOURS，如 23:00-07:00
+ * @returns {Object|null} { start, end }（自零点起的分钟数），未配置时为 null
+ * @throws {ConfigError} 格式不正确时抛出
+ */
+function getQuietHours() {
+  if (!process.env.QUIET_HOURS) {
+    return null;
+  }
+  try {
+    return parseTimeRange(process.env.QUIET_HOURS);
+  } catch (err) {
+    throw new ConfigError(`QUIET_HOURS 配置错误: ${err.message}`);
+  }
+}
+
+/**
+ * 生成最长间隔不超过指定分钟数的 cron 表达式
+ * 不足 1 小时按分钟，不足 1 天按整小时，否则每天 0 点
+ * @param {number} minutes 间隔（分钟）
+ * @returns {string} cron 表达式
+ */
+function intervalToCron(minutes) {
+  if (minutes < 60) {
+    return `*/${minutes} * * * *`;
+  }
+  if (minutes < 24 * 60) {
+    return `0 */${Math.floor(minutes / 60)} * * *`;
+  }
+  return '0 0 * * *';
+}
+
+/**
+ * 读取守护模式的调度配置
+ * SCHEDULE_CRON 未配置时按设备中最短的翻页间隔触发，如 rotationMinutes 为 2 时为 *\/2 * * * *，
+ * 为默认的一天时为 0 0 * * *
+ * @param {Array<Object>} devices 设备列表（见 config/devices）
+ * @returns {Object} { cron, jitterSeconds }，cron 为解析后的计划（见 utils/cron）
+ * @throws {ConfigError} 表达式或随机延迟格式不正确时抛出
+ */
+function getSchedule(devices) {
+  const minutes = Math.min(...devices.map(device => device.rotationMinutes));
+  const expression = process.env.SCHEDULE_CRON || intervalToCron(minutes);
+  let cron;
+  try {
+    cron = parseCron(expression);
+  } catch (err) {
+    throw new ConfigError(`SCHEDULE_CRON 配置错误: ${err.message}`);
+  }
+
+  return { cron, jitterSeconds: parseNonNegativeInt('SCHEDULE_JITTER_SECONDS', 0) };
+}
+
+/**
+ * 读取服务的公开地址，用于生成落地页链接
+ * 未配置 PUBLIC_URL 时在 Vercel 上使用生产域名或部署域名
+ * @returns {string} 不带结尾斜杠的地址，无法确定时为空字符串
+ */
+function getPublicUrl() {
+  const host = process.env.VERCEL_PROJECT_PRODUCTION_URL || process.env.VERCEL_URL;
+  const url = process.env.PUBLIC_URL || (host ? `https://${host}` : '');
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * 默认的本地存储文件路径
+ * Vercel 上只有临时目录可写，本地运行时保存在项目的 .data 目录
+ * @returns {string} 存储文件路径
+ */
+function getDefaultStoragePath() {
+  return process.env.VERCEL
+    ? path.join(os.tmpdir(), 'notion2quote-state.json')
+    : path.join(process.cwd(), '.data', 'state.json');
+}
+
+/**
+ * 存储方式，未配置 STORAGE_BACKEND 时若已配置 KV 接口则使用 kv，否则使用本地文件
+ * @returns {string} 存储方式
+ */
+function getStorageBackend() {
+  if (process.env.STORAGE_BACKEND) {
+    return process.env.STORAGE_BACKEND.toLowerCase();
+  }
+  return process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN ? 'kv' : 'file';
+}
+
 /**
  * 获取配置对象
  * @returns {Object} 配置对象
@@ -39,17 +193,57 @@ function getConfig() {
     throw new Error(`缺少必要的环境变量: ${envCheck.missing.join(', ')}`);
   }
   
+  const mapping = getPropertyMapping();
+  const sources = getNotionSources(process.env, mapping);
+  const devices = getQuoteDevices(process.env, {
+    sourceIds: sources.map(source => source.id),
+    templateSources: getTemplateSources(process.env)
+  });
+  const publicUrl = getPublicUrl();
+  const pageLinked = devices.filter(device => device.link.mode === 'page').map(device => device.id);
+  if (pageLinked.length > 0 && !publicUrl) {
+    throw new ConfigError(`设备 ${pageLinked.join(', ')} 使用落地页链接，需要配置 PUBLIC_URL`);
+  }
+  
   return {
     notion: {
       apiKey: process.env.NOTION_API_KEY,
-      databaseId: process.env.NOTION_DATABASE_ID
+      databaseId: process.env.NOTION_DATABASE_ID,
+      mapping,
+      sources,
+      mergeOrder: getMergeOrder(process.env),
+      meUserId: process.env.NOTION_ME_USER_ID || '',
+      webhookSecret: process.env.NOTION_WEBHOOK_SECRET || '',
+      webhookDebounceMs: parsePositiveInt('NOTION_WEBHOOK_DEBOUNCE_MS', 3000),
+      maxPages: parsePositiveInt('NOTION_MAX_PAGES', 10), // 每页 100 条
+      maxRows: parsePositiveInt('NOTION_MAX_ROWS', 500)
     },
     quote: {
-      apiKey: process.env.DOT_API_KEY,
-      deviceId: process.env.QUOTE_DEVICE_ID,
-      apiEndpoint: `https://dot.mindreset.tech/api/authV2/open/device/${process.env.QUOTE_DEVICE_ID}/text`
+      devices,
+      profiles: getProfiles(process.env, { deviceIds: devices.map(device => device.id) }),
+      emojiBaseUrl: process.env.QUOTE_EMOJI_BASE_URL || ''
+    },
+    schedule: getSchedule(devices),
+    // 对外请求的重试和熔断设置（见 utils/httpClient 中的 request）
+    http: {
+      retries: parseNonNegativeInt('HTTP_RETRIES', 2),
+      retryBaseMs: parsePositiveInt('HTTP_RETRY_BASE_MS', 500),
+      retryMaxMs: parsePositiveInt('HTTP_RETRY_MAX_MS', 10000),
+      breakerThreshold: parsePositiveInt('HTTP_BREAKER_THRESHOLD', 5),
+      breakerCooldownMs: parsePositiveInt('HTTP_BREAKER_COOLDOWN_MS', 30000)
+    },
+    storage: {
+      backend: getStorageBackend(),
+      filePath: process.env.STORAGE_FILE_PATH || getDefaultStoragePath(),
+      kvUrl: process.env.KV_REST_API_URL || '',
+      kvToken: process.env.KV_REST_API_TOKEN || ''
     },
     app: {
+      apiToken: process.env.API_TOKEN || '',
+      cronSecret: process.env.CRON_SECRET || '',
+      publicUrl,
+      timeZone: getTimeZone(),
+      quietHours: getQuietHours(),
       timeout: 30000, // 30秒超时
       maxMessageLength: 500 // 最大消息长度
     }
@@ -59,5 +253,6 @@ function getConfig() {
 module.exports = {
   checkEnvVariables,
   getConfig,
+  parsePositiveInt,
   REQUIRED_ENV_VARS
 };
\ No newline at end of file
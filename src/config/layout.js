@@ -0,0 +1,73 @@
+/**
+ * 消息排版配置
+ * 按设备型号确定每行可显示的列数（半角字符占 1 列，汉字和 emoji 占 2 列）和图片模式的屏幕尺寸，
+ * 超出的行按 QUOTE_LINE_OVERFLOW 截断或换行
+ */
+
+const { ConfigError } = require('../utils/errorHandler');
+
+/**
+ * 设备型号及其消息区域每行的列数、屏幕宽高（像素）
+ * Quote/0 的消息区域一行约可显示 15 个汉字，屏幕为 296×152 的墨水屏
+ */
+const DEVICE_MODELS = {
+  quote0: { columns: 30, width: 296, height: 152 }
+};
+
+/**
+ * 超长行的处理方式
+ * - ellipsis: 截断并以 ... 结尾
+ * - wrap: 在空格或汉字之间换行
+ * - none: 不处理
+ */
+const LINE_OVERFLOWS = ['ellipsis', 'wrap', 'none'];
+
+/**
+ * 解析消息排版配置
+ * @param {Object} values 原始配置 { model, columns, overflow }，未配置的字段为 undefined
+ * @param {Object<string, string>} names 各字段在错误信息中显示的名称
+ * @returns {Object} { model, columns, overflow, width, height }，columns 未配置时使用设备型号的默认值
+ * @throws {ConfigError} 配置值不受支持时抛出
+ */
+function resolveLayout({ model: rawModel, columns: rawColumns, overflow: rawOverflow }, names) {
+  const model = String(rawModel || 'quote0').toLowerCase();
+  if (!DEVICE_MODELS[model]) {
+    throw new ConfigError(`${names.model} 只能是 ${Object.keys(DEVICE_MODELS).join(', ')}，当前为: ${model}`);
+  }
+
+  let { columns } = DEVICE_MODELS[model];
+  if (rawColumns !== undefined && rawColumns !== '') {
+    columns = Number(rawColumns);
+    if (!Number.isInteger(columns) || columns <= 0) {
+      throw new ConfigError(`${names.columns} 必须是正整数，当前为: ${rawColumns}`);
+    }
+  }
+
+  const overflow = String(rawOverflow || 'ellipsis').toLowerCase();
+  if (!LINE_OVERFLOWS.includes(overflow)) {
+    throw new ConfigError(`${names.overflow} 只能是 ${LINE_OVERFLOWS.join(', ')}，当前为: ${overflow}`);
+  }
+
+  const { width, height } = DEVICE_MODELS[model];
+  return { model, columns, overflow, width, height };
+}
+
+/**
+ * 读取消息排版配置
+ * @param {Object} env 环境变量对象
+ * @returns {Object} { model, columns, overflow, width, height }
+ * @throws {ConfigError} 配置值不受支持时抛出
+ */
+function getLayout(env) {
+  return resolveLayout(
+    { model: env.QUOTE_DEVICE_MODEL, columns: env.QUOTE_LINE_COLUMNS, overflow: env.QUOTE_LINE_OVERFLOW },
+    { model: 'QUOTE_DEVICE_MODEL', columns: 'QUOTE_LINE_COLUMNS', overflow: 'QUOTE_LINE_OVERFLOW' }
+  );
+}
+
+module.exports = {
+  DEVICE_MODELS,
+  LINE_OVERFLOWS,
+  resolveLayout,
+  getLayout
+};
@@ -0,0 +1,162 @@
+/**
+ * 显示方案配置
+ * 按时段和星期切换设备的显示内容，每个方案可以替换过滤条件、模板和每页任务数，
+ * 也可以在该时段内暂停推送（如睡眠时间）
+ */
+
+const { ConfigError } = require('../utils/errorHandler');
+const { parseJson } = require('./propertyMapping');
+const { compileTemplates, TEMPLATE_ENV_VARS } = require('./templates');
+const { parseTimeRange } = require('../utils/time');
+const {
+  validateArray,
+  validateObject,
+  validateFilterSpec
+} = require('../middleware/validation');
+
+/**
+ * 星期名称，下标与 Date#getDay 一致（0 为星期日）
+ */
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * 解析星期列表
+ * @param {*} value 星期名称数组，如 ["Mon", "Tue"]，未配置时为每天
+ * @param {string} name 错误信息中显示的名称
+ * @returns {Array<number>} 星期（0 为星期日）
+ * @throws {ConfigError} 包含无法识别的星期名称时抛出
+ */
+function parseDays(value, name) {
+  if (value === undefined) {
+    return [0, 1, 2, 3, 4, 5, 6];
+  }
+  validateArray(value, name);
+  const days = value.map(day => WEEKDAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase()));
+  const unknown = value.filter((day, index) => days[index] === -1);
+  if (unknown.length > 0 || days.length === 0) {
+    throw new ConfigError(`${name} 必须是 Mon、Tue、Wed、Thu、Fri、Sat、Sun 组成的非空数组，无法识别: ${unknown.join(', ') || '[]'}`);
+  }
+  return [...new Set(days)].sort();
+}
+
+/**
+ * 编译方案覆盖的模板，只返回方案中配置的部分，其余沿用设备的模板
+ * @param {Object} overrides 模板字符串
+ * @param {string} name 错误信息中显示的名称
+ * @returns {Object} 编译后的模板
+ * @throws {ConfigError} 模板名称未知或格式错误时抛出
+ */
+function compileOverrides(overrides, name) {
+  const unknown = Object.keys(overrides).filter(key => !(key in TEMPLATE_ENV_VARS));
+  if (unknown.length > 0) {
+    throw new ConfigError(`${name} 包含未知的模板: ${unknown.join(', ')}`);
+  }
+  const names = {};
+  Object.keys(TEMPLATE_ENV_VARS).forEach(key => {
+    names[key] = `${name}.${key}`;
+  });
+  const compiled = compileTemplates(overrides, names);
+  const templates = {};
+  Object.keys(overrides).forEach(key => {
+    templates[key] = compiled[key];
+  });
+  return templates;
+}
+
+/**
+ * 解析单个方案配置
+ * @param {Object} raw 原始配置
+ * @param {number} index 在列表中的位置
+ * @param {Array<string>} deviceIds 已配置的设备 ID
+ * @returns {Object} 方案
+ */
+function parseProfile(raw, index, deviceIds) {
+  const name = `QUOTE_PROFILES[${index}]`;
+  validateObject(raw, name);
+
+  let time = null;
+  if (raw.time !== undefined) {
+    try {
+      time = parseTimeRange(raw.time);
+    } catch (err) {
+      throw new ConfigError(`${name}.time 配置错误: ${err.message}`);
+    }
+  }
+
+  let devices = null;
+  if (raw.devices !== undefined) {
+    validateArray(raw.devices, `${name}.devices`);
+    devices = raw.devices.map(String);
+    const unknown = devices.filter(id => !deviceIds.includes(id));
+    if (unknown.length > 0) {
+      throw new ConfigError(`${name}.devices 引用了不存在的设备: ${unknown.join(', ')}`);
+    }
+  }
+
+  if (raw.filter !== undefined) {
+    validateFilterSpec(raw.filter, `${name}.filter`);
+  }
+  if (raw.push !== undefined && typeof raw.push !== 'boolean') {
+    throw new ConfigError(`${name}.push 必须是 true 或 false`);
+  }
+
+  let pageSize = null;
+  if (raw.pageSize !== undefined) {
+    pageSize = Number(raw.pageSize);
+    if (!Number.isInteger(pageSize) || pageSize <= 0) {
+      throw new ConfigError(`${name}.pageSize 必须是正整数，当前为: ${raw.pageSize}`);
+    }
+  }
+
+  return {
+    id: raw.id ? String(raw.id) : `profile${index + 1}`,
+    time,
+    days: parseDays(raw.days, `${name}.days`),
+    devices,
+    push: raw.push !== false,
+    filter: raw.filter || null,
+    templates: raw.templates === undefined
+      ? {}
+      : compileOverrides(validateObject(raw.templates, `${name}.templates`), `${name}.templates`),
+    pageSize
+  };
+}
+
+/**
+ * 读取显示方案 QUOTE_PROFILES（JSON 数组），按顺序匹配，第一个匹配当前时间的方案生效
+ * @param {Object} env 环境变量对象
+ * @param {Object} context 其他配置
+ * @param {Array<string>} context.deviceIds 已配置的设备 ID
+ * @returns {Array<Object>} 方案列表，未配置时为空数组
+ * @throws {ConfigError} 配置格式不正确时抛出
+ */
+function getProfiles(env, { deviceIds = [] } = {}) {
+  if (!env.QUOTE_PROFILES) {
+    return [];
+  }
+
+  const raw = parseJson(env.QUOTE_PROFILES, 'QUOTE_PROFILES');
+
+  let profiles;
+  try {
+    validateArray(raw, 'QUOTE_PROFILES');
+    profiles = raw.map((item, index) => parseProfile(item, index, deviceIds));
+  } catch (err) {
+    if (err instanceof ConfigError) {
+      throw err;
+    }
+    throw new ConfigError(`QUOTE_PROFILES 配置错误: ${err.message}`);
+  }
+
+  const ids = profiles.map(profile => profile.id);
+  const duplicated = ids.filter((id, index) => ids.indexOf(id) !== index);
+  if (duplicated.length > 0) {
+    throw new ConfigError(`QUOTE_PROFILES 中存在重复的方案 ID: ${[...new Set(duplicated)].join(', ')}`);
+  }
+
+  return profiles;
+}
+
+module.exports = {
+  getProfiles
+};
@@ -0,0 +1,248 @@
+/**
+ * Notion 属性映射配置
+ * 描述任务数据库中各字段对应的属性名称，并根据数据库结构进行校验
+ */
+
+const { ConfigError } = require('../utils/errorHandler');
+const { validateSortSpec } = require('../middleware/validation');
+const { SUPPORTED_TYPES: TEXT_PROPERTY_TYPES } = require('../utils/notionProperty');
+
+/**
+ * 默认属性映射，与最初的单数据库配置保持一致
+ */
+const DEFAULT_PROPERTY_MAPPING = {
+  statusProperty: '办理状态',
+  statusValues: ['进行中'],
+  titleProperty: '待办事项',
+  sortProperty: '创建日期',
+  sortDirection: 'descending',
+  dueProperty: '',
+  priorityProperty: '',
+  tagsProperty: '',
+  peopleProperty: '',
+  extraProperties: [],
+  sorts: [],
+  doneValue: '已完成',
+  statusFlow: []
+};
+
+/**
+ * 各映射字段支持的 Notion 属性类型
+ */
+const SUPPORTED_PROPERTY_TYPES = {
+  statusProperty: ['status', 'select', 'rich_text'],
+  titleProperty: TEXT_PROPERTY_TYPES,
+  sortProperty: [
+    'title',
+    'rich_text',
+    'number',
+    'select',
+    'status',
+    'date',
+    'checkbox',
+    'created_time',
+    'last_edited_time',
+    'unique_id',
+    'formula'
+  ],
+  dueProperty: ['date', 'formula'],
+  priorityProperty: ['select', 'status', 'number', 'rich_text', 'formula'],
+  tagsProperty: ['multi_select', 'select'],
+  peopleProperty: ['people']
+};
+
+/**
+ * 可以留空的映射字段
+ */
+const OPTIONAL_FIELDS = ['sortProperty', 'dueProperty', 'priorityProperty', 'tagsProperty', 'peopleProperty'];
+
+/**
+ * 支持的排序方向
+ */
+const SORT_DIRECTIONS = ['ascending', 'descending'];
+
+/**
+ * 解析逗号分隔的列表
+ * @param {string} value 原始字符串
+ * @returns {Array<string>} 去除空白后的非空项
+ */
+function parseList(value) {
+  return String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item !== '');
+}
+
+/**
+ * 解析 JSON 格式的配置项
+ * @param {string} value 原始字符串
+ * @param {string} name 配置项名称，用于错误信息
+ * @returns {*} 解析结果
+ * @throws {ConfigError} 不是合法 JSON 时抛出
+ */
+function parseJson(value, name) {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new ConfigError(`${name} 不是合法的 JSON: ${err.message}`);
+  }
+}
+
+/**
+ * 校验排序规则列表，将校验错误转换为配置错误
+ * 设置了 sorts 时优先于 sortProperty / sortDirection
+ * @param {*} sorts 排序规则
+ * @param {string} name 配置项名称，用于错误信息
+ * @returns {Array<Object>} 排序规则
+ * @throws {ConfigError} 格式不正确时抛出
+ */
+function checkSorts(sorts, name) {
+  try {
+    return validateSortSpec(sorts, name);
+  } catch (err) {
+    throw new ConfigError(err.message);
+  }
+}
+
+/**
+ * 从环境变量读取属性映射，未配置的字段使用默认值
+ * @param {Object} env 环境变量对象
+ * @returns {Object} 属性映射
+ * @throws {ConfigError} 映射格式不正确时抛出
+ */
+function getPropertyMapping(env = process.env) {
+  const mapping = {
+    statusProperty: env.NOTION_STATUS_PROPERTY || DEFAULT_PROPERTY_MAPPING.statusProperty,
+    statusValues: env.NOTION_STATUS_VALUES
+      ? parseList(env.NOTION_STATUS_VALUES)
+      : [...DEFAULT_PROPERTY_MAPPING.statusValues],
+    titleProperty: env.NOTION_TITLE_PROPERTY || DEFAULT_PROPERTY_MAPPING.titleProperty,
+    sortProperty: env.NOTION_SORT_PROPERTY !== undefined
+      ? env.NOTION_SORT_PROPERTY.trim()
+      : DEFAULT_PROPERTY_MAPPING.sortProperty,
+    sortDirection: (env.NOTION_SORT_DIRECTION || DEFAULT_PROPERTY_MAPPING.sortDirection).toLowerCase(),
+    dueProperty: (env.NOTION_DUE_PROPERTY || '').trim(),
+    priorityProperty: (env.NOTION_PRIORITY_PROPERTY || '').trim(),
+    tagsProperty: (env.NOTION_TAGS_PROPERTY || '').trim(),
+    peopleProperty: (env.NOTION_PEOPLE_PROPERTY || '').trim(),
+    extraProperties: env.NOTION_EXTRA_PROPERTIES ? parseList(env.NOTION_EXTRA_PROPERTIES) : [],
+    sorts: env.NOTION_SORTS ? checkSorts(parseJson(env.NOTION_SORTS, 'NOTION_SORTS'), 'NOTION_SORTS') : [],
+    doneValue: env.NOTION_DONE_STATUS || DEFAULT_PROPERTY_MAPPING.doneValue,
+    statusFlow: env.NOTION_STATUS_FLOW ? parseList(env.NOTION_STATUS_FLOW) : []
+  };
+
+  return checkMappingFormat(mapping, 'NOTION_STATUS_VALUES', 'NOTION_SORT_DIRECTION');
+}
+
+/**
+ * 检查映射中不依赖数据库结构的字段格式
+ * @param {Object} mapping 属性映射
+ * @param {string} statusValuesName 状态值配置项名称，用于错误信息
+ * @param {string} sortDirectionName 排序方向配置项名称，用于错误信息
+ * @returns {Object} 原映射
+ * @throws {ConfigError} 格式不正确时抛出
+ */
+function checkMappingFormat(mapping, statusValuesName, sortDirectionName) {
+  if (mapping.statusValues.length === 0) {
+    throw new ConfigError(`${statusValuesName} 至少需要包含一个状态值`);
+  }
+
+  if (!SORT_DIRECTIONS.includes(mapping.sortDirection)) {
+    throw new ConfigError(
+      `${sortDirectionName} 只能是 ${SORT_DIRECTIONS.join(' 或 ')}，当前为: ${mapping.sortDirection}`
+    );
+  }
+
+  return mapping;
+}
+
+/**
+ * 在基础映射上合并覆盖项，用于单个数据源的映射配置
+ * @param {Object} base 基础映射（通常来自环境变量）
+ * @param {Object} overrides 覆盖项，列表字段可以是数组或逗号分隔的字符串
+ * @param {string} name 配置项名称，用于错误信息
+ * @returns {Object} 合并后的属性映射
+ * @throws {ConfigError} 覆盖项包含未知字段或格式不正确时抛出
+ */
+function mergePropertyMapping(base, overrides = {}, name = 'mapping') {
+  const unknown = Object.keys(overrides).filter(field => !(field in DEFAULT_PROPERTY_MAPPING));
+  if (unknown.length > 0) {
+    throw new ConfigError(`${name} 包含未知字段: ${unknown.join(', ')}`);
+  }
+
+  const toList = value => (Array.isArray(value) ? value.map(String) : parseList(value));
+  const mapping = { ...base, ...overrides };
+  mapping.statusValues = toList(mapping.statusValues);
+  mapping.extraProperties = toList(mapping.extraProperties);
+  mapping.statusFlow = toList(mapping.statusFlow);
+  mapping.sortDirection = String(mapping.sortDirection).toLowerCase();
+  mapping.sorts = checkSorts(mapping.sorts, `${name}.sorts`);
+
+  return checkMappingFormat(mapping, `${name}.statusValues`, `${name}.sortDirection`);
+}
+
+/**
+ * 根据数据库结构校验属性映射
+ * @param {Object} mapping 属性映射
+ * @param {Object} database `databases.retrieve` 返回的数据库对象
+ * @returns {Object} 映射字段对应的属性类型，如 { statusProperty: 'status' }
+ * @throws {ConfigError} 属性不存在或类型不受支持时抛出，details 中列出所有问题
+ */
+function validatePropertyMapping(mapping, database) {
+  const properties = (database && database.properties) || {};
+  const problems = [];
+  const types = {};
+
+  Object.keys(SUPPORTED_PROPERTY_TYPES).forEach(field => {
+    const propertyName = mapping[field];
+
+    // 可选字段允许留空，排序属性留空表示使用 Notion 默认顺序
+    if (OPTIONAL_FIELDS.includes(field) && !propertyName) {
+      return;
+    }
+
+    const property = properties[propertyName];
+    if (!property) {
+      problems.push(`${field} 对应的属性 "${propertyName}" 在数据库中不存在`);
+      return;
+    }
+
+    if (!SUPPORTED_PROPERTY_TYPES[field].includes(property.type)) {
+      problems.push(
+        `${field} 对应的属性 "${propertyName}" 类型为 ${property.type}，` +
+        `仅支持: ${SUPPORTED_PROPERTY_TYPES[field].join(', ')}`
+      );
+      return;
+    }
+
+    types[field] = property.type;
+  });
+
+  // 额外显示的属性可以是任意可渲染为文本的类型
+  (mapping.extraProperties || []).forEach(propertyName => {
+    const property = properties[propertyName];
+    if (!property) {
+      problems.push(`extraProperties 中的属性 "${propertyName}" 在数据库中不存在`);
+    } else if (!TEXT_PROPERTY_TYPES.includes(property.type)) {
+      problems.push(`extraProperties 中的属性 "${propertyName}" 类型为 ${property.type}，无法显示为文本`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(`Notion 属性映射与数据库结构不匹配: ${problems.join('; ')}`, problems);
+  }
+
+  return types;
+}
+
+module.exports = {
+  DEFAULT_PROPERTY_MAPPING,
+  SUPPORTED_PROPERTY_TYPES,
+  SORT_DIRECTIONS,
+  OPTIONAL_FIELDS,
+  parseList,
+  parseJson,
+  getPropertyMapping,
+  mergePropertyMapping,
+  validatePropertyMapping
+};
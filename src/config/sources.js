@@ -0,0 +1,153 @@
+/**
+ * Notion 数据源配置
+ * 支持从多个数据库汇总任务，每个数据源可以有自己的属性映射、过滤条件、标签和前缀
+ * 过滤条件为声明式格式（见 middleware/validation 中的 validateFilterSpec），
+ * 未配置时默认筛选状态属于 statusValues 的项目
+ */
+
+const { ConfigError } = require('../utils/errorHandler');
+const { mergePropertyMapping, parseJson } = require('./propertyMapping');
+const {
+  validateArray,
+  validateObject,
+  validateString,
+  validateRequired,
+  validateFilterSpec
+} = require('../middleware/validation');
+
+/**
+ * 未配置 NOTION_SOURCES 时使用的数据源 ID
+ */
+const DEFAULT_SOURCE_ID = 'default';
+
+/**
+ * 支持的合并排序方式
+ * - source: 按数据源顺序拼接，保留各自的排序
+ * - due: 按截止日期升序，无截止日期的排在最后
+ * - created: 按创建时间降序
+ * - edited: 按最后编辑时间降序
+ */
+const MERGE_ORDERS = ['source', 'due', 'created', 'edited'];
+
+/**
+ * 解析单个数据源配置
+ * @param {Object} raw 原始配置
+ * @param {number} index 在列表中的位置
+ * @param {Object} baseMapping 基础属性映射
+ * @param {Object|null} baseFilter 全局过滤条件
+ * @returns {Object} 数据源
+ */
+function parseSource(raw, index, baseMapping, baseFilter) {
+  const name = `NOTION_SOURCES[${index}]`;
+  validateObject(raw, name);
+  validateString(validateRequired(raw.databaseId, `${name}.databaseId`), `${name}.databaseId`);
+
+  if (raw.filter !== undefined) {
+    validateFilterSpec(raw.filter, `${name}.filter`);
+  }
+  if (raw.mapping !== undefined) {
+    validateObject(raw.mapping, `${name}.mapping`);
+  }
+
+  return {
+    id: raw.id ? String(raw.id) : `source${index + 1}`,
+    databaseId: raw.databaseId,
+    apiKey: raw.apiKey || null,
+    label: raw.label ? String(raw.label) : '',
+    prefix: raw.prefix ? String(raw.prefix) : '',
+    mapping: mergePropertyMapping(baseMapping, raw.mapping, `${name}.mapping`),
+    filter: raw.filter || baseFilter
+  };
+}
+
+/**
+ * 读取全局过滤条件 NOTION_FILTER
+ * @param {Object} env 环境变量对象
+ * @returns {Object|null} 声明式过滤条件
+ * @throws {ConfigError} 格式不正确时抛出
+ */
+function getBaseFilter(env) {
+  if (!env.NOTION_FILTER) {
+    return null;
+  }
+  try {
+    return validateFilterSpec(parseJson(env.NOTION_FILTER, 'NOTION_FILTER'), 'NOTION_FILTER');
+  } catch (err) {
+    if (err instanceof ConfigError) {
+      throw err;
+    }
+    throw new ConfigError(`NOTION_FILTER 配置错误: ${err.message}`);
+  }
+}
+
+/**
+ * 读取 Notion 数据源列表
+ * NOTION_SOURCES 为 JSON 数组；未配置时使用 NOTION_DATABASE_ID 和环境变量中的属性映射作为唯一数据源
+ * @param {Object} env 环境变量对象
+ * @param {Object} baseMapping 基础属性映射
+ * @returns {Array<Object>} 数据源列表
+ * @throws {ConfigError} 配置格式不正确时抛出
+ */
+function getNotionSources(env, baseMapping) {
+  const baseFilter = getBaseFilter(env);
+
+  if (!env.NOTION_SOURCES) {
+    return [
+      {
+        id: DEFAULT_SOURCE_ID,
+        databaseId: env.NOTION_DATABASE_ID,
+        apiKey: null,
+        label: '',
+        prefix: '',
+        mapping: baseMapping,
+        filter: baseFilter
+      }
+    ];
+  }
+
+  const raw = parseJson(env.NOTION_SOURCES, 'NOTION_SOURCES');
+
+  let sources;
+  try {
+    validateArray(raw, 'NOTION_SOURCES');
+    sources = raw.map((item, index) => parseSource(item, index, baseMapping, baseFilter));
+  } catch (err) {
+    if (err instanceof ConfigError) {
+      throw err;
+    }
+    throw new ConfigError(`NOTION_SOURCES 配置错误: ${err.message}`);
+  }
+
+  if (sources.length === 0) {
+    throw new ConfigError('NOTION_SOURCES 至少需要包含一个数据源');
+  }
+
+  const ids = sources.map(source => source.id);
+  const duplicated = ids.filter((id, index) => ids.indexOf(id) !== index);
+  if (duplicated.length > 0) {
+    throw new ConfigError(`NOTION_SOURCES 中存在重复的数据源 ID: ${[...new Set(duplicated)].join(', ')}`);
+  }
+
+  return sources;
+}
+
+/**
+ * 读取合并排序方式
+ * @param {Object} env 环境变量对象
+ * @returns {string} 合并排序方式
+ * @throws {ConfigError} 配置值不受支持时抛出
+ */
+function getMergeOrder(env) {
+  const order = (env.NOTION_MERGE_ORDER || 'source').toLowerCase();
+  if (!MERGE_ORDERS.includes(order)) {
+    throw new ConfigError(`NOTION_MERGE_ORDER 只能是 ${MERGE_ORDERS.join(', ')}，当前为: ${order}`);
+  }
+  return order;
+}
+
+module.exports = {
+  DEFAULT_SOURCE_ID,
+  MERGE_ORDERS,
+  getNotionSources,
+  getMergeOrder
+};
@@ -0,0 +1,125 @@
+/**
+ * Quote 推送内容模板配置
+ * 标题、每行任务、消息头尾和签名均可用模板自定义（语法见 utils/template），
+ * 未配置的部分使用与默认显示效果一致的内置模板。模板在读取配置时编译，格式错误直接抛出 ConfigError
+ */
+
+const { ConfigError } = require('../utils/errorHandler');
+const { compileTemplate } = require('../utils/template');
+
+/**
+ * 页面级变量，所有模板都可以使用
+ * - page / pages: 当前页码和总页数
+ * - total: 已获取的任务数；truncated: 是否因 NOTION_MAX_PAGES 或 NOTION_MAX_ROWS 上限而未取完
+ * - count: 当前页任务数；start / end: 当前页第一个和最后一个任务的序号
+ * - fetchedAt: 任务获取时间；stale: 任务是否来自快照
+ */
+const PAGE_VARIABLES = ['page', 'pages', 'total', 'truncated', 'count', 'start', 'end', 'fetchedAt', 'stale'];
+
+/**
+ * 任务级变量，只能在 line 模板中使用
+ * - index: 任务序号（从 1 开始，跨页连续）
+ * - label: 数据源前缀加标题；extras: 额外显示属性，以 " · " 连接
+ * - fields: 额外显示属性对象，如 {{fields.项目}}
+ * - source: 数据源标签
+ */
+const TASK_VARIABLES = [
+  'index',
+  'title',
+  'prefix',
+  'label',
+  'status',
+  'due',
+  'priority',
+  'tags',
+  'people',
+  'url',
+  'source',
+  'extras',
+  'fields'
+];
+
+/**
+ * 默认模板，标题最多占 25 列（约 11 个汉字加省略号）
+ */
+const DEFAULT_TEMPLATES = {
+  title: '{{total}}{{#if truncated}}+{{/if}} 个待办事项',
+  header: '',
+  line: '{{index}}. {{label | width:25}}{{#if extras}} · {{extras}}{{/if}}',
+  footer: '',
+  signature: '第 {{page}} 页，共 {{pages}} 页 · {{#if stale}}缓存于 {{/if}}{{fetchedAt | date:HH:mm:ss}}'
+};
+
+/**
+ * 各模板对应的环境变量
+ */
+const TEMPLATE_ENV_VARS = {
+  title: 'QUOTE_TITLE_TEMPLATE',
+  header: 'QUOTE_HEADER_TEMPLATE',
+  line: 'QUOTE_LINE_TEMPLATE',
+  footer: 'QUOTE_FOOTER_TEMPLATE',
+  signature: 'QUOTE_SIGNATURE_TEMPLATE'
+};
+
+/**
+ * 编译一组模板
+ * @param {Object<string, string>} sources 模板字符串，键为 title / header / line / footer / signature，缺省的使用默认模板
+ * @param {Object<string, string>} names 各模板在错误信息中显示的名称
+ * @returns {Object} 编译后的模板 { title, header, line, footer, signature }
+ * @throws {ConfigError} 任一模板格式错误时抛出，details 中列出所有问题
+ */
+function compileTemplates(sources = {}, names = TEMPLATE_ENV_VARS) {
+  const problems = [];
+  const templates = {};
+
+  Object.keys(DEFAULT_TEMPLATES).forEach(key => {
+    const source = sources[key] === undefined ? DEFAULT_TEMPLATES[key] : sources[key];
+    const variables = key === 'line' ? [...PAGE_VARIABLES, ...TASK_VARIABLES] : PAGE_VARIABLES;
+    try {
+      templates[key] = compileTemplate(source, { variables });
+    } catch (err) {
+      problems.push(`${names[key] || key}: ${err.message}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(`模板配置错误: ${problems.join('; ')}`, problems);
+  }
+  return templates;
+}
+
+/**
+ * 从环境变量读取模板字符串
+ * 模板中的 "\n" 会转换为换行，便于在 .env 中书写多行的消息头尾
+ * @param {Object} env 环境变量对象
+ * @returns {Object<string, string>} 已配置的模板字符串，未配置的不包含在内
+ */
+function getTemplateSources(env) {
+  const sources = {};
+  Object.entries(TEMPLATE_ENV_VARS).forEach(([key, name]) => {
+    if (env[name] !== undefined && env[name] !== '') {
+      sources[key] = env[name].replace(/\\n/g, '\n');
+    }
+  });
+  return sources;
+}
+
+/**
+ * 从环境变量读取并编译模板
+ * @param {Object} env 环境变量对象
+ * @returns {Object} 编译后的模板
+ * @throws {ConfigError} 模板格式错误时抛出
+ */
+function getTemplates(env) {
+  return compileTemplates(getTemplateSources(env));
+}
+
+module.exports = {
+  PAGE_VARIABLES,
+  TASK_VARIABLES,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_ENV_VARS,
+  compileTemplates,
+  getTemplateSources,
+  getTemplates
+};
@@ -1,33 +1,184 @@
-const { checkEnvVariables } = require('./config');
-const { executeSync } = require('./services/syncService');
-const { info, error } = require('./utils/logger');
+const { checkEnvVariables, getConfig } = require('./config');
+const { executeSync, summarizeSyncResult } = require('./services/syncService');
+const {
+  createNotionClient,
+  verifyDatabaseSchema,
+  buildSourceFilter,
+  buildSourceSorts
+} = require('./services/notion');
+const { runSchemaCommand } = require('./commands/schema');
+const { runRenderCommand } = require('./commands/render');
+const { runDaemonCommand } = require('./commands/daemon');
+const { runPreviewCommand } = require('./commands/preview');
+const { loadBdfFont } = require('./utils/bdfFont');
+const { info, warn, error } = require('./utils/logger');
+const { ConfigError } = require('./utils/errorHandler');
 
 /**
- * 主函数，执行整个流程
+ * 启动前检查环境变量和配置
+ * @returns {Promise<boolean>} 是否可以继续
  */
-async function main() {
-  info('开始执行 Notion 到 Quote 设备的同步...');
-  
+async function prepare() {
   // 检查环境变量
   const envCheck = checkEnvVariables();
   if (!envCheck.success) {
     error('环境变量配置不完整，无法继续', { missing: envCheck.missing });
+    return false;
+  }
+  
+  try {
+    // 启动时校验所有数据源的属性映射、过滤条件和排序规则，配置错误直接终止；
+    // 网络等其他错误只跳过该数据源，由同步时的降级逻辑处理
+    const config = getConfig();
+    for (const source of config.notion.sources) {
+      try {
+        const schema = await verifyDatabaseSchema(createNotionClient(source.apiKey), source.databaseId, source.mapping);
+        // 提前编译过滤条件和排序规则，尽早发现引用了不存在属性等问题
+        buildSourceFilter(source, schema, { meUserId: config.notion.meUserId, timeZone: config.app.timeZone });
+        buildSourceSorts(source.mapping, schema.properties);
+      } catch (err) {
+        if (err instanceof ConfigError) {
+          throw err;
+        }
+        warn(`数据源 ${source.id} 结构校验失败，将在同步时重试`, { error: err.message });
+      }
+    }
+
+    // 图片模式的字体无法加载时只提示，推送时会改用文字
+    config.quote.devices.filter(device => device.mode === 'image').forEach(device => {
+      try {
+        loadBdfFont(device.fontPath);
+      } catch (err) {
+        warn(`[${device.id}] 无法加载图片模式的字体，将使用文字发送`, { font: device.fontPath, error: err.message });
+      }
+    });
+  } catch (err) {
+    error('配置错误，无法继续', { error: err.message, problems: err.details });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * 主函数，执行整个流程
+ * @param {Object} options 同步选项，见 executeSync
+ */
+async function main(options = {}) {
+  info('开始执行 Notion 到 Quote 设备的同步...');
+
+  if (!(await prepare())) {
     return;
   }
   
   try {
     // 执行同步操作
-    const success = await executeSync();
+    const result = await executeSync(options);
+    const { message } = summarizeSyncResult(result);
     
-    if (success) {
-      info('成功发送到 Quote 设备！');
+    if (result.success) {
+      info(message);
     } else {
-      error('发送到 Quote 设备失败');
+      error(message, { devices: result.devices.filter(device => !device.success) });
     }
   } catch (err) {
     error('执行过程中发生错误', { error: err.message, stack: err.stack });
   }
 }
 
-// 执行主函数
-main();
\ No newline at end of file
+/**
+ * 读取 --name=value 形式的选项
+ * @param {Array<string>} flags 命令行中以 -- 开头的参数
+ * @param {string} name 选项名
+ * @returns {string|undefined} 选项值，未指定时为 undefined
+ */
+function flagValue(flags, name) {
+  const flag = flags.find(arg => arg.startsWith(`--${name}=`));
+  return flag === undefined ? undefined : flag.slice(name.length + 3);
+}
+
+/**
+ * 根据命令行参数执行子命令
+ * - 无参数：执行一次同步，--force 在内容与上次推送相同时也推送；
+ *   --dry-run 只预览要推送的内容，不发送到设备，可加 --page=、--device=、--profile= 和 --json
+ * - schema [databaseId]：检查数据库结构并推荐配置
+ * - render [outputDir]：将各设备当前页面渲染为 PNG，不发送到设备
+ * - daemon：常驻运行，按 SCHEDULE_CRON 定时同步
+ */
+async function run() {
+  const argv = process.argv.slice(2);
+  const flags = argv.filter(arg => arg.startsWith('--'));
+  const [command, ...args] = argv.filter(arg => !arg.startsWith('--'));
+  
+  if (command === 'schema') {
+    const envCheck = checkEnvVariables();
+    if (!envCheck.success) {
+      error('环境变量配置不完整，无法继续', { missing: envCheck.missing });
+      process.exitCode = 1;
+      return;
+    }
+    const ok = await runSchemaCommand(args[0]);
+    process.exitCode = ok ? 0 : 1;
+    return;
+  }
+  
+  if (command === 'render') {
+    const envCheck = checkEnvVariables();
+    if (!envCheck.success) {
+      error('环境变量配置不完整，无法继续', { missing: envCheck.missing });
+      process.exitCode = 1;
+      return;
+    }
+    const ok = await runRenderCommand(args[0]);
+    process.exitCode = ok ? 0 : 1;
+    return;
+  }
+  
+  if (command === 'daemon') {
+    if (!(await prepare())) {
+      process.exitCode = 1;
+      return;
+    }
+    const ok = await runDaemonCommand();
+    if (!ok) {
+      // 仍有未结束的请求，不等待其完成
+      process.exit(1);
+    }
+    return;
+  }
+  
+  if (command) {
+    error(`未知的子命令: ${command}`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  if (flags.includes('--dry-run')) {
+    const page = flagValue(flags, 'page');
+    if (page !== undefined && !(Number.isInteger(Number(page)) && Number(page) >= 1)) {
+      error(`--page 必须是正整数，当前为: ${page}`);
+      process.exitCode = 1;
+      return;
+    }
+    if (!(await prepare())) {
+      process.exitCode = 1;
+      return;
+    }
+    const ok = await runPreviewCommand({
+      page: page !== undefined ? Number(page) : undefined,
+      device: flagValue(flags, 'device'),
+      profile: flagValue(flags, 'profile'),
+      json: flags.includes('--json')
+    });
+    process.exitCode = ok ? 0 : 1;
+    return;
+  }
+  
+  await main({ force: flags.includes('--force') });
+}
+
+// 执行主函数，子命令未处理的错误也以非零状态退出
+run().catch(err => {
+  error('执行过程中发生错误', { error: err.message, problems: err.details, stack: err.stack });
+  process.exitCode = 1;
+});
\ No newline at end of file
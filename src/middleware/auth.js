@@ -0,0 +1,115 @@
+/**
+ * API authentication
+ * Protects mutating routes with a shared bearer token (API_TOKEN), the cron route with CRON_SECRET,
+ * and signs links that are opened from the device without a token
+ */
+
+const crypto = require('crypto');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errorHandler');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {boolean} Whether the strings are equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Extract the token from the Authorization header or the token query parameter
+ * @param {Object} req Request object
+ * @returns {string} Token, or an empty string if none was sent
+ */
+function extractToken(req) {
+  const header = (req.headers && req.headers.authorization) || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return match[1].trim();
+  }
+  return (req.query && req.query.token) || '';
+}
+
+/**
+ * Authenticate a request to a mutating route
+ * @param {Object} req Request object
+ * @param {string} apiToken Configured API_TOKEN
+ * @param {Object} options Options
+ * @param {boolean} options.required Reject the request when no API_TOKEN is configured;
+ *   otherwise the route stays open until a token is configured
+ * @throws {ForbiddenError} If the route requires a token but none is configured
+ * @throws {UnauthorizedError} If the token is missing or wrong
+ */
+function authenticateRequest(req, apiToken, { required = false } = {}) {
+  if (!apiToken) {
+    if (required) {
+      throw new ForbiddenError('API_TOKEN is not configured, this route is disabled');
+    }
+    return;
+  }
+
+  const token = extractToken(req);
+  if (!token || !safeEqual(token, apiToken)) {
+    throw new UnauthorizedError('Invalid or missing API token');
+  }
+}
+
+/**
+ * Authenticate a scheduled request from Vercel Cron
+ * Vercel sends CRON_SECRET as a bearer token; the route is disabled until the secret is configured
+ * @param {Object} req Request object
+ * @param {string} cronSecret Configured CRON_SECRET
+ * @throws {ForbiddenError} If no CRON_SECRET is configured
+ * @throws {UnauthorizedError} If the Authorization header is missing or wrong
+ */
+function authenticateCronRequest(req, cronSecret) {
+  if (!cronSecret) {
+    throw new ForbiddenError('CRON_SECRET is not configured, this route is disabled');
+  }
+
+  const header = (req.headers && req.headers.authorization) || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match || !safeEqual(match[1].trim(), cronSecret)) {
+    throw new UnauthorizedError('Invalid or missing cron secret');
+  }
+}
+
+/**
+ * Sign a link path with API_TOKEN so it can be opened without the token itself
+ * @param {string} linkPath Path and identifying parameters, e.g. page:office:2
+ * @param {string} apiToken Configured API_TOKEN
+ * @returns {string} Signature, an empty string when no API_TOKEN is configured
+ */
+function signLink(linkPath, apiToken) {
+  if (!apiToken) {
+    return '';
+  }
+  return crypto.createHmac('sha256', apiToken).update(linkPath).digest('hex').slice(0, 32);
+}
+
+/**
+ * Authenticate a read-only request opened from a signed link
+ * Accepts either a valid sig query parameter or the API token itself
+ * @param {Object} req Request object
+ * @param {string} linkPath The value that was signed, see signLink
+ * @param {string} apiToken Configured API_TOKEN
+ * @throws {UnauthorizedError} If neither the signature nor the token is valid
+ */
+function authenticateLinkRequest(req, linkPath, apiToken) {
+  const sig = (req.query && req.query.sig) || '';
+  if (apiToken && sig && safeEqual(sig, signLink(linkPath, apiToken))) {
+    return;
+  }
+  authenticateRequest(req, apiToken);
+}
+
+module.exports = {
+  authenticateRequest,
+  authenticateLinkRequest,
+  authenticateCronRequest,
+  signLink,
+  extractToken
+};
@@ -0,0 +1,99 @@
+/**
+ * Notion webhook utilities
+ * Reads the raw request body, verifies the X-Notion-Signature header
+ * and decides whether an event concerns one of the configured databases
+ */
+
+const crypto = require('crypto');
+const { UnauthorizedError, ConfigError } = require('../utils/errorHandler');
+
+/**
+ * Read the raw request body bytes
+ * The signature covers the exact bytes Notion sent, so a body that has already been parsed
+ * cannot be verified: re-serialized JSON differs in key order, whitespace and escapes.
+ * Body parsing must be disabled for the webhook function (see api/webhook)
+ * @param {Object} req Request object
+ * @returns {Promise<Buffer>} Raw body
+ * @throws {ConfigError} If the body was parsed and the raw bytes are no longer available
+ */
+async function readRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody)) {
+    return req.rawBody;
+  }
+  if (Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+  if (req.body !== undefined) {
+    throw new ConfigError('Webhook request body was already parsed, disable body parsing so the signature can be verified');
+  }
+  if (!req.readable) {
+    return Buffer.alloc(0);
+  }
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Verify the X-Notion-Signature header of a webhook request
+ * Notion signs the raw body with HMAC-SHA256 using the subscription's verification token
+ * @param {Buffer} rawBody Raw request body
+ * @param {string} signature Value of the X-Notion-Signature header, e.g. sha256=abc...
+ * @param {string} secret Verification token
+ * @throws {UnauthorizedError} If the signature is missing or does not match
+ */
+function verifyNotionSignature(rawBody, signature, secret) {
+  if (!signature) {
+    throw new UnauthorizedError('Missing X-Notion-Signature header');
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+
+  if (
+    expectedBuffer.length !== signatureBuffer.length ||
+    !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)
+  ) {
+    throw new UnauthorizedError('Invalid webhook signature');
+  }
+}
+
+/**
+ * Normalize a Notion ID by removing dashes and lowercasing it
+ * @param {string} id Notion ID with or without dashes
+ * @returns {string} Normalized ID
+ */
+function normalizeId(id) {
+  return String(id || '').replace(/-/g, '').toLowerCase();
+}
+
+/**
+ * Check whether an event is a page change inside one of the given databases
+ * @param {Object} event Webhook event body
+ * @param {Array<string>} databaseIds Configured database IDs
+ * @returns {boolean} Whether the event should trigger a sync
+ */
+function isRelevantPageEvent(event, databaseIds) {
+  if (!event || typeof event.type !== 'string' || !event.type.startsWith('page.')) {
+    return false;
+  }
+
+  const parent = event.data && event.data.parent;
+  if (!parent || !parent.id) {
+    return false;
+  }
+
+  const parentId = normalizeId(parent.id);
+  return databaseIds.some(id => normalizeId(id) === parentId);
+}
+
+module.exports = {
+  readRawBody,
+  verifyNotionSignature,
+  normalizeId,
+  isRelevantPageEvent
+};
@@ -110,23 +110,173 @@ function validateRange(value, min, max, fieldName) {
   return num;
 }
 
+/**
+ * Operators supported in declarative filter leaves
+ */
+const FILTER_OPERATORS = ['in', 'contains', 'isMe', 'before', 'after', 'withinDays', 'checked', 'unchecked'];
+
+/**
+ * Notion condition keys passed through to the query unchanged
+ */
+const RAW_FILTER_KEYS = [
+  'title',
+  'rich_text',
+  'number',
+  'select',
+  'multi_select',
+  'status',
+  'date',
+  'people',
+  'checkbox',
+  'url',
+  'email',
+  'phone_number',
+  'formula',
+  'relation',
+  'rollup',
+  'created_time',
+  'created_by',
+  'last_edited_time',
+  'last_edited_by',
+  'unique_id',
+  'files'
+];
+
+/**
+ * Validate a declarative filter spec
+ * A spec is either a compound ({ and: [...] } / { or: [...] }) or a leaf
+ * ({ property, <operator>: value }), where operator is one of FILTER_OPERATORS
+ * or a raw Notion condition key such as select or date
+ * @param {*} spec Filter spec to validate
+ * @param {string} fieldName Field name for error message
+ * @returns {Object} The validated spec
+ * @throws {ValidationError} If the spec is malformed
+ */
+function validateFilterSpec(spec, fieldName = 'Filter') {
+  validateObject(spec, fieldName);
+
+  const compound = ['and', 'or'].filter(key => key in spec);
+  if (compound.length > 0) {
+    if (compound.length > 1 || Object.keys(spec).length > 1) {
+      throw new ValidationError(`${fieldName} must contain either "and" or "or" and nothing else`);
+    }
+    const children = validateArray(spec[compound[0]], `${fieldName}.${compound[0]}`);
+    if (children.length === 0) {
+      throw new ValidationError(`${fieldName}.${compound[0]} must not be empty`);
+    }
+    children.forEach((child, index) => validateFilterSpec(child, `${fieldName}.${compound[0]}[${index}]`));
+    return spec;
+  }
+
+  // Raw timestamp conditions do not reference a property
+  if (spec.timestamp !== undefined) {
+    validateString(spec.timestamp, `${fieldName}.timestamp`);
+    validateObject(spec[spec.timestamp], `${fieldName}.${spec.timestamp}`);
+    return spec;
+  }
+
+  validateString(validateRequired(spec.property, `${fieldName}.property`), `${fieldName}.property`);
+
+  const keys = Object.keys(spec).filter(key => key !== 'property');
+  if (keys.length !== 1) {
+    throw new ValidationError(
+      `${fieldName} must have exactly one operator (${FILTER_OPERATORS.join(', ')}) or Notion condition`
+    );
+  }
+
+  const [operator] = keys;
+  const value = spec[operator];
+  const name = `${fieldName}.${operator}`;
+
+  switch (operator) {
+  case 'in':
+    if (validateArray(value, name).length === 0) {
+      throw new ValidationError(`${name} must not be empty`);
+    }
+    value.forEach((item, index) => validateString(item, `${name}[${index}]`));
+    break;
+  case 'contains':
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => validateString(item, `${name}[${index}]`));
+    } else {
+      validateString(value, name);
+    }
+    break;
+  case 'before':
+  case 'after':
+    validateString(value, name);
+    if (!['today', 'tomorrow', 'yesterday'].includes(value) && isNaN(Date.parse(value))) {
+      throw new ValidationError(`${name} must be today, tomorrow, yesterday or an ISO date`);
+    }
+    break;
+  case 'withinDays':
+    if (!Number.isInteger(validateRange(value, 0, 365, name))) {
+      throw new ValidationError(`${name} must be an integer`);
+    }
+    break;
+  case 'isMe':
+  case 'checked':
+  case 'unchecked':
+    if (value !== true) {
+      throw new ValidationError(`${name} must be true`);
+    }
+    break;
+  default:
+    if (!RAW_FILTER_KEYS.includes(operator)) {
+      throw new ValidationError(`${fieldName} has unknown operator "${operator}"`);
+    }
+    validateObject(value, name);
+  }
+
+  return spec;
+}
+
+/**
+ * Validate a list of sort keys
+ * Each key is { property, direction } or { timestamp, direction }
+ * @param {*} sorts Sort keys to validate
+ * @param {string} fieldName Field name for error message
+ * @returns {Array} The validated sort keys
+ * @throws {ValidationError} If a sort key is malformed
+ */
+function validateSortSpec(sorts, fieldName = 'Sorts') {
+  validateArray(sorts, fieldName);
+  sorts.forEach((sort, index) => {
+    const name = `${fieldName}[${index}]`;
+    validateObject(sort, name);
+    if (sort.timestamp !== undefined) {
+      if (!['created_time', 'last_edited_time'].includes(sort.timestamp)) {
+        throw new ValidationError(`${name}.timestamp must be created_time or last_edited_time`);
+      }
+    } else {
+      validateString(validateRequired(sort.property, `${name}.property`), `${name}.property`);
+    }
+    if (!['ascending', 'descending'].includes(sort.direction)) {
+      throw new ValidationError(`${name}.direction must be ascending or descending`);
+    }
+  });
+  return sorts;
+}
+
 /**
  * Validate webhook request
  * @param {Object} req Express request object
  * @throws {ValidationError} If validation fails
  */
 function validateWebhookRequest(req) {
-  validateRequired(req.body, 'Request body');
+  validateObject(validateRequired(req.body, 'Request body'), 'Request body');
   
-  // Validate Notion webhook structure
-  if (req.body.type === 'block.created') {
-    validateRequired(req.body.data, 'Event data');
-    validateRequired(req.body.data.block, 'Block data');
+  // Verification handshake sent when the subscription is created
+  if (req.body.verification_token !== undefined) {
+    validateString(req.body.verification_token, 'Verification token');
+    return;
   }
   
-  if (req.body.object === 'event' || req.body.type === 'database_item') {
-    validateRequired(req.body.workspace_id, 'Workspace ID');
-  }
+  // Validate Notion webhook event structure
+  validateString(validateRequired(req.body.type, 'Event type'), 'Event type');
+  validateRequired(req.body.workspace_id, 'Workspace ID');
+  validateObject(validateRequired(req.body.entity, 'Event entity'), 'Event entity');
+  validateRequired(req.body.entity.id, 'Entity ID');
 }
 
 /**
@@ -140,6 +290,63 @@ function validateSyncRequest(req) {
   if (req.query.batchSize) {
     validateRange(req.query.batchSize, 1, 10, 'Batch size');
   }
+  if (req.query.page !== undefined) {
+    const page = validateNumber(req.query.page, 'Page');
+    if (!Number.isInteger(page) || page < 1) {
+      throw new ValidationError('Page must be a positive integer');
+    }
+  }
+  if (req.query.force !== undefined && !['1', 'true', '0', 'false'].includes(String(req.query.force))) {
+    throw new ValidationError('Force must be true or false');
+  }
+}
+
+/**
+ * Validate preview request
+ * @param {Object} req Request object with optional query.page, query.device, query.profile and query.format
+ * @param {Array<string>} formats Supported output formats
+ * @throws {ValidationError} If validation fails
+ */
+function validatePreviewRequest(req, formats) {
+  if (req.query.page !== undefined) {
+    const page = validateNumber(req.query.page, 'Page');
+    if (!Number.isInteger(page) || page < 1) {
+      throw new ValidationError('Page must be a positive integer');
+    }
+  }
+  ['device', 'profile'].forEach(name => {
+    if (req.query[name] !== undefined) {
+      validateLength(req.query[name], 1, 100, name[0].toUpperCase() + name.slice(1));
+    }
+  });
+  if (req.query.format !== undefined && !formats.includes(req.query.format)) {
+    throw new ValidationError(`Format must be one of ${formats.join(', ')}`);
+  }
+}
+
+/**
+ * Validate task write-back request
+ * @param {Object} req Request object with query.pageId, query.action and an optional JSON body
+ * @throws {ValidationError} If validation fails
+ */
+function validateTaskActionRequest(req) {
+  const pageId = validateString(validateRequired(req.query.pageId, 'Page ID'), 'Page ID');
+  if (!/^[0-9a-f]{32}$/i.test(pageId.replace(/-/g, ''))) {
+    throw new ValidationError('Page ID must be a Notion page ID');
+  }
+
+  const action = validateRequired(req.query.action, 'Action');
+  if (!['complete', 'status'].includes(action)) {
+    throw new ValidationError('Action must be complete or status');
+  }
+
+  if (action === 'status') {
+    const body = validateObject(validateRequired(req.body, 'Request body'), 'Request body');
+    if (body.advance === true) {
+      return;
+    }
+    validateLength(validateRequired(body.status, 'Status'), 1, 100, 'Status');
+  }
 }
 
 module.exports = {
@@ -150,6 +357,11 @@ module.exports = {
   validateObject,
   validateLength,
   validateRange,
+  validateFilterSpec,
+  validateSortSpec,
+  FILTER_OPERATORS,
   validateWebhookRequest,
-  validateSyncRequest
+  validateSyncRequest,
+  validatePreviewRequest,
+  validateTaskActionRequest
 };
@@ -0,0 +1,175 @@
+/**
+ * 任务模型
+ * 将 Notion 页面规范化为统一的任务对象，作为 notion、syncService 与 quote 之间的数据约定
+ */
+
+const { propertyToText } = require('../utils/notionProperty');
+
+/**
+ * @typedef {Object} TaskDue
+ * @property {string} start 开始日期（ISO 字符串）
+ * @property {string|null} end 结束日期（ISO 字符串）
+ */
+
+/**
+ * @typedef {Object} TaskIcon
+ * @property {string} type 图标类型：emoji、external 或 file
+ * @property {string} value emoji 字符或图片地址
+ */
+
+/**
+ * @typedef {Object} TaskSource
+ * @property {string} id 数据源 ID
+ * @property {string} label 数据源标签
+ * @property {string} prefix 显示在标题前的前缀
+ */
+
+/**
+ * @typedef {Object} Task
+ * @property {string} id Notion 页面 ID
+ * @property {string} url Notion 页面链接
+ * @property {string} title 标题
+ * @property {string|null} status 状态
+ * @property {TaskDue|null} due 截止日期
+ * @property {string|null} priority 优先级
+ * @property {Array<string>} tags 标签
+ * @property {Array<string>} people 负责人名称
+ * @property {TaskIcon|null} icon 页面图标
+ * @property {string|null} createdAt 创建时间（ISO 字符串）
+ * @property {string|null} lastEditedAt 最后编辑时间（ISO 字符串）
+ * @property {Object<string, string>} fields 额外显示属性的文本，键为属性名
+ * @property {TaskSource|null} source 任务所属的数据源
+ */
+
+/**
+ * 创建任务对象，未提供的字段使用空值
+ * @param {Object} fields 任务字段
+ * @returns {Task} 任务对象
+ */
+function createTask(fields = {}) {
+  return {
+    id: '',
+    url: '',
+    title: '',
+    status: null,
+    due: null,
+    priority: null,
+    tags: [],
+    people: [],
+    icon: null,
+    createdAt: null,
+    lastEditedAt: null,
+    fields: {},
+    source: null,
+    ...fields
+  };
+}
+
+/**
+ * 读取日期属性
+ * @param {Object} property Notion 属性值
+ * @returns {TaskDue|null} 日期范围
+ */
+function readDate(property) {
+  const date = property?.type === 'formula' ? property.formula?.date : property?.date;
+  if (!date || !date.start) {
+    return null;
+  }
+  return { start: date.start, end: date.end || null };
+}
+
+/**
+ * 读取多选或单选属性的选项名称
+ * @param {Object} property Notion 属性值
+ * @returns {Array<string>} 选项名称列表
+ */
+function readNames(property) {
+  if (!property) {
+    return [];
+  }
+  if (property.type === 'multi_select') {
+    return property.multi_select.map(option => option.name);
+  }
+  if (property.type === 'select') {
+    return property.select ? [property.select.name] : [];
+  }
+  return [];
+}
+
+/**
+ * 读取人员属性的名称
+ * @param {Object} property Notion 属性值
+ * @returns {Array<string>} 人员名称列表
+ */
+function readPeople(property) {
+  if (!property || property.type !== 'people') {
+    return [];
+  }
+  return property.people.map(person => person.name || person.id);
+}
+
+/**
+ * 读取页面图标
+ * @param {Object} icon Notion 页面图标对象
+ * @returns {TaskIcon|null} 图标
+ */
+function readIcon(icon) {
+  if (!icon) {
+    return null;
+  }
+  if (icon.type === 'emoji') {
+    return { type: 'emoji', value: icon.emoji };
+  }
+  if (icon.type === 'external') {
+    return { type: 'external', value: icon.external.url };
+  }
+  if (icon.type === 'file') {
+    return { type: 'file', value: icon.file.url };
+  }
+  return null;
+}
+
+/**
+ * 将 Notion 页面转换为任务对象
+ * @param {Object} page `databases.query` 返回的页面对象
+ * @param {Object} mapping 属性映射
+ * @param {Object} schema 数据库属性结构（database.properties），用于数字格式等渲染选项
+ * @param {Object} options 传给 propertyToText 的渲染选项
+ * @returns {Task} 任务对象
+ */
+function taskFromPage(page, mapping, schema = {}, options = {}) {
+  const properties = page.properties || {};
+  const property = name => (name ? properties[name] : undefined);
+  const text = name => {
+    const rendered = propertyToText(property(name), {
+      ...options,
+      numberFormat: schema[name]?.number?.format
+    });
+    return rendered === '' ? null : rendered;
+  };
+
+  const fields = {};
+  (mapping.extraProperties || []).forEach(name => {
+    fields[name] = text(name) || '';
+  });
+
+  return createTask({
+    id: page.id,
+    url: page.url || '',
+    title: text(mapping.titleProperty) || '',
+    status: text(mapping.statusProperty),
+    due: readDate(property(mapping.dueProperty)),
+    priority: text(mapping.priorityProperty),
+    tags: readNames(property(mapping.tagsProperty)),
+    people: readPeople(property(mapping.peopleProperty)),
+    icon: readIcon(page.icon),
+    createdAt: page.created_time || null,
+    lastEditedAt: page.last_edited_time || null,
+    fields
+  });
+}
+
+module.exports = {
+  createTask,
+  taskFromPage
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { getConfig } = require('../config');
+const { getStore } = require('../storage');
+const { warn } = require('../utils/logger');
+const { request } = require('../utils/httpClient');
+const { bitmapFromGrayscale, encodePng } = require('../utils/bitmap');
+const { decodePng, isPng } = require('../utils/pngDecoder');
+
+/**
+ * 图标模块
+ * 按设备的图标配置选出当前页要显示的图标，并转换为 dot. API 要求的 40×40 PNG（base64）。
+ * emoji 使用 Twemoji 的 PNG 图片，转换结果按图标来源缓存，不会每次同步都重新下载
+ */
+
+/**
+ * dot. API 的图标尺寸（像素）
+ */
+const ICON_SIZE = 40;
+
+/**
+ * emoji 图片地址前缀，文件名为 Twemoji 的码点序列
+ */
+const DEFAULT_EMOJI_BASE_URL = 'https://cdn.jsdelivr.net/gh/jdecked/twemoji@15.1.0/assets/72x72/';
+
+/**
+ * 存储中图标缓存的保留时间（毫秒），不再使用的图标自动过期
+ */
+const ICON_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * 图标获取失败后重试前的等待时间（毫秒），期间不再下载，避免每次同步都请求无法访问的地址
+ */
+const ICON_RETRY_MS = 10 * 60 * 1000;
+
+// 本进程内的转换结果
+const memoryCache = new Map();
+
+// 本进程内获取失败的图标及失败时间，过了重试等待时间后重新下载
+const failedAt = new Map();
+
+/**
+ * 将配置中的图标值转换为图标对象
+ * @param {string} value emoji 或图片地址
+ * @returns {TaskIcon} 图标（见 models/task）
+ */
+function iconFromValue(value) {
+  return /^https?:\/\//i.test(value) ? { type: 'external', value } : { type: 'emoji', value };
+}
+
+/**
+ * 截止日期排序用的时间戳，没有截止日期的任务排在最后
+ * @param {Task} task 任务
+ * @returns {number} 时间戳
+ */
+function dueTime(task) {
+  const time = task.due && task.due.start ? Date.parse(task.due.start) : NaN;
+  return isNaN(time) ? Infinity : time;
+}
+
+/**
+ * 按设备的图标配置选出当前页的图标
+ * @param {Object} icon 设备的图标配置 { strategy, map, value }（见 config/devices）
+ * @param {Array<Task>} tasks 当前页的任务（见 models/task）
+ * @returns {TaskIcon|null} 图标，没有可用的图标时为 null
+ */
+function pickIcon({ strategy, map, value }, tasks) {
+  switch (strategy) {
+  case 'first': {
+    const task = tasks.find(item => item.icon);
+    return task ? task.icon : null;
+  }
+  case 'urgent': {
+    // 截止日期最早的任务优先，日期相同时保持列表顺序
+    const task = tasks
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => item.icon)
+      .sort((a, b) => dueTime(a.item) - dueTime(b.item) || a.index - b.index)[0];
+    return task ? task.item.icon : null;
+  }
+  case 'status':
+  case 'priority': {
+    const task = tasks.find(item => map[item[strategy]]);
+    return task ? iconFromValue(map[task[strategy]]) : null;
+  }
+  case 'fixed':
+    return iconFromValue(value);
+  default:
+    return null;
+  }
+}
+
+/**
+ * emoji 对应的 Twemoji 文件名
+ * 不含零宽连接符的序列去掉变体选择符 U+FE0F，与 Twemoji 的命名一致
+ * @param {string} emoji emoji
+ * @returns {string} 文件名，如 1f525.png
+ */
+function emojiFileName(emoji) {
+  let codePoints = Array.from(emoji).map(char => char.codePointAt(0).toString(16));
+  if (!codePoints.includes('200d')) {
+    codePoints = codePoints.filter(code => code !== 'fe0f');
+  }
+  return `${codePoints.join('-')}.png`;
+}
+
+/**
+ * 图标的下载地址和缓存键
+ * Notion 托管的文件地址带有定时过期的签名参数，缓存键去掉查询参数
+ * @param {TaskIcon} icon 图标
+ * @param {string} emojiBaseUrl emoji 图片地址前缀
+ * @returns {Object} { url, key }
+ */
+function iconLocation(icon, emojiBaseUrl) {
+  if (icon.type === 'emoji') {
+    return { url: `${emojiBaseUrl}${emojiFileName(icon.value)}`, key: `emoji:${icon.value}` };
+  }
+  if (icon.type === 'file') {
+    const url = new URL(icon.value);
+    return { url: icon.value, key: `file:${url.origin}${url.pathname}` };
+  }
+  return { url: icon.value, key: `url:${icon.value}` };
+}
+
+/**
+ * 将 PNG 图片转换为 dot. API 使用的图标
+ * @param {Buffer} png PNG 文件内容
+ * @returns {string} 40×40 的黑白 PNG（base64）
+ * @throws {Error} 不是 PNG 或无法解码时抛出
+ */
+function convertIcon(png) {
+  if (!isPng(png)) {
+    throw new Error('只支持 PNG 格式的图标');
+  }
+  return encodePng(bitmapFromGrayscale(decodePng(png), ICON_SIZE, ICON_SIZE)).toString('base64');
+}
+
+/**
+ * 获取图标的 base64 数据，依次查找进程内缓存、存储中的缓存，最后下载并转换
+ * @param {TaskIcon} icon 图标
+ * @returns {Promise<string>} base64 数据，无法获取时为空字符串
+ */
+async function loadIcon(icon) {
+  const config = getConfig();
+  const { url, key } = iconLocation(icon, config.quote.emojiBaseUrl || DEFAULT_EMOJI_BASE_URL);
+  if (memoryCache.has(key)) {
+    return memoryCache.get(key);
+  }
+  if (failedAt.has(key) && Date.now() - failedAt.get(key) < ICON_RETRY_MS) {
+    return '';
+  }
+
+  const storeKey = `icon:${crypto.createHash('sha1').update(key).digest('hex')}`;
+  try {
+    const cached = await getStore().get(storeKey);
+    if (cached && cached.data) {
+      memoryCache.set(key, cached.data);
+      return cached.data;
+    }
+  } catch (err) {
+    warn('读取图标缓存失败', { icon: key, error: err.message });
+  }
+
+  let data = '';
+  try {
+    const response = await request('get', url, { ...config.http, responseType: 'arraybuffer', timeout: config.app.timeout });
+    data = convertIcon(Buffer.from(response.data));
+  } catch (err) {
+    warn('获取图标失败，本次不显示图标', { icon: key, error: err.message });
+    failedAt.set(key, Date.now());
+    return '';
+  }
+
+  failedAt.delete(key);
+  memoryCache.set(key, data);
+  try {
+    await getStore().set(storeKey, { source: key, data, createdAt: new Date().toISOString() }, { ttl: ICON_CACHE_TTL_MS });
+  } catch (err) {
+    warn('保存图标缓存失败', { icon: key, error: err.message });
+  }
+  return data;
+}
+
+/**
+ * 确定设备当前页的图标
+ * @param {Object} device 设备（见 config/devices）
+ * @param {Array<Task>} tasks 当前页的任务
+ * @returns {Promise<string>} 图标的 base64 数据，不显示图标时为空字符串
+ */
+async function resolveIcon(device, tasks) {
+  const icon = pickIcon(device.icon, tasks);
+  return icon ? loadIcon(icon) : '';
+}
+
+module.exports = {
+  ICON_SIZE,
+  pickIcon,
+  emojiFileName,
+  convertIcon,
+  resolveIcon
+};
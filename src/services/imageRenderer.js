@@ -0,0 +1,146 @@
+const {
+  BLACK,
+  WHITE,
+  createBitmap,
+  fillRect,
+  strokeRect,
+  drawLine,
+  encodePng
+} = require('../utils/bitmap');
+const { loadBdfFont, measureText, fitText, drawText } = require('../utils/bdfFont');
+const { getZonedParts } = require('../utils/time');
+
+/**
+ * 图片渲染模块
+ * 在本地将一页任务排版为墨水屏尺寸的黑白位图：标题栏、复选框、截止日期标签和进度条，
+ * 再编码为 PNG 通过 dot. 的图片接口发送
+ */
+
+/**
+ * 页面边距（像素）
+ */
+const PADDING = 4;
+
+/**
+ * 计算截止日期标签
+ * @param {TaskDue|null} due 截止日期（见 models/task）
+ * @param {Date} now 当前时间
+ * @param {string} timeZone IANA 时区
+ * @returns {Object|null} { text, urgent }，已逾期或今天到期时 urgent 为 true；没有截止日期时为 null
+ */
+function dueBadge(due, now, timeZone) {
+  if (!due || !due.start) {
+    return null;
+  }
+
+  const toDay = ({ year, month, day }) => Date.UTC(year, month - 1, day) / 86400000;
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(due.start);
+  const dueParts = dateOnly
+    ? { year: Number(dateOnly[1]), month: Number(dateOnly[2]), day: Number(dateOnly[3]) }
+    : getZonedParts(new Date(due.start), timeZone);
+  const days = toDay(dueParts) - toDay(getZonedParts(now, timeZone));
+
+  if (days < 0) {
+    return { text: '逾期', urgent: true };
+  }
+  if (days === 0) {
+    return { text: '今天', urgent: true };
+  }
+  if (days === 1) {
+    return { text: '明天', urgent: false };
+  }
+  const pad = value => String(value).padStart(2, '0');
+  return { text: `${pad(dueParts.month)}-${pad(dueParts.day)}`, urgent: false };
+}
+
+/**
+ * 将一页任务渲染为位图
+ * @param {Array<Task>} tasks 当前页的任务（见 models/task）
+ * @param {Object} page 页面信息
+ * @param {string} page.title 已渲染的标题
+ * @param {string} page.signature 已渲染的签名
+ * @param {number} page.batchNumber 当前页码
+ * @param {number} page.totalBatches 总页数
+ * @param {number} page.startIndex 当前页第一个任务的索引
+ * @param {number} page.totalTasks 任务总数
+ * @param {Object} options 渲染选项
+ * @param {Object} options.layout 设备排版（见 config/layout），提供屏幕宽高
+ * @param {Object} options.font BDF 字体（见 utils/bdfFont）
+ * @param {string} options.timeZone IANA 时区，用于计算截止日期标签
+ * @param {Date} options.now 当前时间
+ * @returns {Object} 位图（见 utils/bitmap）
+ */
+function renderTasksBitmap(tasks, page, { layout, font, timeZone, now = new Date() }) {
+  const { width, height } = layout;
+  const bitmap = createBitmap(width, height);
+  const lineHeight = font.height;
+  const contentWidth = width - PADDING * 2;
+
+  // 标题栏：左侧标题，右侧页码
+  const pageText = `${page.batchNumber}/${page.totalBatches}`;
+  const pageWidth = measureText(font, pageText);
+  drawText(bitmap, font, fitText(font, page.title, contentWidth - pageWidth - PADDING), PADDING, PADDING);
+  drawText(bitmap, font, pageText, width - PADDING - pageWidth, PADDING);
+  const headerBottom = PADDING + lineHeight + 2;
+  drawLine(bitmap, PADDING, headerBottom, width - PADDING - 1, headerBottom);
+
+  // 底部：签名和进度条，进度为当前页最后一个任务在列表中的位置
+  const signatureTop = height - PADDING - lineHeight;
+  drawText(bitmap, font, fitText(font, page.signature, contentWidth), PADDING, signatureTop);
+  const barTop = signatureTop - 7;
+  const total = Math.max(page.totalTasks, page.startIndex + tasks.length, 1);
+  const progress = Math.min(1, (page.startIndex + tasks.length) / total);
+  strokeRect(bitmap, PADDING, barTop, contentWidth, 5);
+  fillRect(bitmap, PADDING + 1, barTop + 1, Math.round((contentWidth - 2) * progress), 3);
+
+  // 任务行：复选框、标题和截止日期标签
+  const rowHeight = lineHeight + 4;
+  const rowsTop = headerBottom + 3;
+  const maxRows = Math.max(0, Math.floor((barTop - 2 - rowsTop) / rowHeight));
+  const boxSize = Math.min(lineHeight - 2, 10);
+
+  tasks.slice(0, maxRows).forEach((task, index) => {
+    const top = rowsTop + index * rowHeight;
+    strokeRect(bitmap, PADDING, top + Math.floor((lineHeight - boxSize) / 2) + 1, boxSize, boxSize);
+
+    let textRight = width - PADDING;
+    const badge = dueBadge(task.due, now, timeZone);
+    if (badge) {
+      const badgeWidth = measureText(font, badge.text) + 4;
+      const badgeLeft = width - PADDING - badgeWidth;
+      if (badge.urgent) {
+        fillRect(bitmap, badgeLeft, top, badgeWidth, lineHeight + 2);
+        drawText(bitmap, font, badge.text, badgeLeft + 2, top + 1, WHITE);
+      } else {
+        strokeRect(bitmap, badgeLeft, top, badgeWidth, lineHeight + 2);
+        drawText(bitmap, font, badge.text, badgeLeft + 2, top + 1, BLACK);
+      }
+      textRight = badgeLeft - PADDING;
+    }
+
+    const textLeft = PADDING + boxSize + 4;
+    const label = `${task.source?.prefix || ''}${task.title}`;
+    drawText(bitmap, font, fitText(font, label, textRight - textLeft), textLeft, top + 1);
+  });
+
+  return bitmap;
+}
+
+/**
+ * 将一页任务渲染为 PNG
+ * @param {Array<Task>} tasks 当前页的任务
+ * @param {Object} page 页面信息，见 renderTasksBitmap
+ * @param {Object} options 渲染选项，font 为字体文件路径，其余见 renderTasksBitmap
+ * @returns {Buffer} PNG 文件内容
+ * @throws {Error} 字体文件不存在或格式错误时抛出
+ */
+function renderTasksPng(tasks, page, { fontPath, ...options }) {
+  const font = loadBdfFont(fontPath);
+  return encodePng(renderTasksBitmap(tasks, page, { ...options, font }));
+}
+
+module.exports = {
+  dueBadge,
+  renderTasksBitmap,
+  renderTasksPng
+};
@@ -0,0 +1,114 @@
+const { signLink } = require('../middleware/auth');
+const { formatDatePattern } = require('../utils/template');
+
+/**
+ * 落地页模块
+ * 点击设备后打开的页面，列出屏幕上当前页的任务及其 Notion 链接
+ */
+
+/**
+ * 签名使用的落地页标识
+ * @param {string} deviceId 设备 ID（见 config/devices 中的 id）
+ * @param {number} page 页码
+ * @returns {string} 标识
+ */
+function pageLinkPath(deviceId, page) {
+  return `page:${deviceId}:${page}`;
+}
+
+/**
+ * 生成落地页地址，配置了 API_TOKEN 时附带签名，无需在链接中暴露令牌
+ * @param {string} publicUrl 服务的公开地址
+ * @param {string} deviceId 设备 ID
+ * @param {number} page 页码
+ * @param {string} apiToken API_TOKEN
+ * @returns {string} 落地页地址
+ */
+function pageLinkUrl(publicUrl, deviceId, page, apiToken) {
+  const sig = signLink(pageLinkPath(deviceId, page), apiToken);
+  return `${publicUrl}/api/page/${page}?device=${encodeURIComponent(deviceId)}${sig ? `&sig=${sig}` : ''}`;
+}
+
+/**
+ * 数据库在 Notion 中的地址
+ * @param {string} databaseId 数据库 ID
+ * @returns {string} 地址
+ */
+function databaseUrl(databaseId) {
+  return `https://www.notion.so/${String(databaseId).replace(/-/g, '')}`;
+}
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {*} value 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;'
+  })[char]);
+}
+
+/**
+ * 渲染落地页 HTML
+ * @param {Object} page 页面内容
+ * @param {string} page.title 页面标题
+ * @param {Array<Task>} page.tasks 当前页的任务（见 models/task）
+ * @param {number} page.startIndex 第一个任务在列表中的位置
+ * @param {number} page.page 页码
+ * @param {number} page.pages 总页数
+ * @param {string} page.databaseUrl 数据库地址，为空时不显示
+ * @param {Date} page.fetchedAt 任务获取时间
+ * @param {boolean} page.stale 任务是否来自快照
+ * @param {string} page.timeZone IANA 时区
+ * @returns {string} HTML
+ */
+function renderLandingPage({ title, tasks, startIndex, page, pages, databaseUrl: viewUrl, fetchedAt, stale, timeZone }) {
+  const items = tasks.map(task => {
+    const label = `${task.source?.prefix || ''}${task.title}`;
+    const details = [
+      task.status,
+      task.due ? `截止 ${formatDatePattern(task.due.start, task.due.start.length > 10 ? 'MM-DD HH:mm' : 'MM-DD', { timeZone })}` : '',
+      task.priority
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+    const name = task.url ? `<a href="${escapeHtml(task.url)}">${escapeHtml(label)}</a>` : escapeHtml(label);
+    return `      <li>${name}${details ? `<br><small>${details}</small>` : ''}</li>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; max-width: 40em; margin: 2em auto; padding: 0 1em; line-height: 1.6; }
+    li { margin: 0.6em 0; }
+    small, footer { color: #666; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+${tasks.length > 0 ? `  <p>第 ${page} 页，共 ${pages} 页</p>
+  <ol start="${startIndex + 1}">
+${items.join('\n')}
+  </ol>` : '  <p>没有任务</p>'}
+  <footer>
+    ${stale ? '缓存于' : '更新于'} ${escapeHtml(formatDatePattern(fetchedAt, 'YYYY-MM-DD HH:mm:ss', { timeZone }))}${viewUrl ? ` · <a href="${escapeHtml(viewUrl)}">在 Notion 中查看全部</a>` : ''}
+  </footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  pageLinkPath,
+  pageLinkUrl,
+  databaseUrl,
+  escapeHtml,
+  renderLandingPage
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { getStore } = require('../storage');
+const { warn } = require('../utils/logger');
+
+/**
+ * 推送记录模块
+ * 保存每台设备上次推送内容的哈希，内容没有变化时跳过推送，避免无谓的墨水屏刷新和 API 调用
+ */
+
+/**
+ * 推送记录的保留时间（毫秒），过期后下一次同步照常推送
+ */
+const LAST_PUSH_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * 设备推送记录的存储键
+ * @param {string} deviceId 设备 ID（见 config/devices 中的 id）
+ * @returns {string} 存储键
+ */
+function lastPushKey(deviceId) {
+  return `lastPush:${deviceId}`;
+}
+
+/**
+ * 计算推送内容的哈希
+ * @param {Object} content 推送内容，调用方需去掉时间戳等每次都会变化的部分
+ * @returns {string} 哈希
+ */
+function contentHash(content) {
+  return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * 读取设备上次推送的记录，读取失败时按没有记录处理
+ * @param {string} deviceId 设备 ID
+ * @returns {Promise<Object|null>} { hash, sentAt }，没有记录时为 null
+ */
+async function loadLastPush(deviceId) {
+  try {
+    return await getStore().get(lastPushKey(deviceId));
+  } catch (err) {
+    warn(`[${deviceId}] 读取推送记录失败`, { error: err.message });
+    return null;
+  }
+}
+
+/**
+ * 保存设备本次推送的记录，保存失败只记录警告
+ * @param {string} deviceId 设备 ID
+ * @param {string} hash 推送内容的哈希
+ * @returns {Promise<void>}
+ */
+async function saveLastPush(deviceId, hash) {
+  try {
+    await getStore().set(lastPushKey(deviceId), { hash, sentAt: new Date().toISOString() }, { ttl: LAST_PUSH_TTL_MS });
+  } catch (err) {
+    warn(`[${deviceId}] 保存推送记录失败`, { error: err.message });
+  }
+}
+
+module.exports = {
+  contentHash,
+  loadLastPush,
+  saveLastPush
+};
@@ -1,149 +1,386 @@
 const { Client } = require('@notionhq/client');
 const { getConfig } = require('../config');
 const { info, error } = require('../utils/logger');
+const { createFetch } = require('../utils/httpClient');
+const { ConfigError, NotFoundError, ValidationError } = require('../utils/errorHandler');
+const { propertyToText } = require('../utils/notionProperty');
+const { normalizeId } = require('../middleware/notionWebhook');
+const { validatePropertyMapping } = require('../config/propertyMapping');
+const { taskFromPage } = require('../models/task');
+const { compileFilter, compileSorts } = require('./notionFilter');
 
 /**
  * Notion 服务模块
  * 封装 Notion API 调用和任务获取逻辑
  */
 
+/**
+ * 判断 Notion 请求能否安全重试
+ * 查询和搜索虽然使用 POST 但只读；更新页面（PATCH）写入的是确定的属性值，重复执行结果相同
+ * @param {string} method HTTP 方法（小写）
+ * @param {string} url 请求地址
+ * @returns {boolean} 是否可以重试
+ */
+function isIdempotentNotionRequest(method, url) {
+  if (method === 'patch') {
+    return true;
+  }
+  return method === 'post' && /\/(query|search)$/.test(new URL(url).pathname);
+}
+
 /**
  * 创建 Notion 客户端实例
+ * 请求经由 utils/httpClient 发送，临时故障时按配置重试，连续失败时熔断
+ * @param {string} apiKey 数据源单独配置的 API 密钥，默认使用 NOTION_API_KEY
  * @returns {Client} Notion 客户端实例
  */
-function createNotionClient() {
+function createNotionClient(apiKey) {
   const config = getConfig();
-  return new Client({ auth: config.notion.apiKey });
+  return new Client({
+    auth: apiKey || config.notion.apiKey,
+    timeoutMs: config.app.timeout,
+    fetch: createFetch({ ...config.http, timeout: config.app.timeout }, isIdempotentNotionRequest)
+  });
 }
 
+// 已通过结构校验的数据库与映射组合，进程内只校验一次
+const verifiedDatabases = new Map();
+
 /**
- * 从 Notion 数据库获取进行中项目
- * @returns {Promise<Array>} 进行中项目列表
+ * 获取数据库结构并校验属性映射
+ * @param {Client} notion Notion 客户端实例
+ * @param {string} databaseId 数据库 ID
+ * @param {Object} mapping 属性映射
+ * @returns {Promise<Object>} { types, properties }，types 为映射字段对应的属性类型，
+ *   properties 为数据库属性结构
+ * @throws {ConfigError} 映射的属性不存在或类型不受支持时抛出
  */
-async function getNotionTasks() {
-  const config = getConfig();
-  const notion = createNotionClient();
-  const databaseId = config.notion.databaseId;
+async function verifyDatabaseSchema(notion, databaseId, mapping) {
+  const cacheKey = `${databaseId}:${JSON.stringify(mapping)}`;
+  if (verifiedDatabases.has(cacheKey)) {
+    return verifiedDatabases.get(cacheKey);
+  }
 
-  try {
-    // 先尝试获取数据库结构，了解实际的属性名
-    const database = await notion.databases.retrieve({
-      database_id: databaseId
-    });
-    
-    info('获取 Notion 数据库结构成功');
-    
-    // 使用正确的状态属性名：办理状态
-    const statusProperty = '办理状态';
-    
-    // 使用正确的标题属性名：待办事项
-    const titleProperty = '待办事项';
-    
-    // 检查状态属性是否存在
-    if (!database.properties[statusProperty]) {
-      error(`数据库中不存在状态属性: ${statusProperty}`);
-      return [];
-    }
-    
-    // 检查状态属性类型
-    const statusPropertyType = database.properties[statusProperty].type;
-    info(`状态属性类型: ${statusPropertyType}`);
-    
-    // 根据属性类型构建不同的过滤器
-    let filter = {};
-    if (statusPropertyType === 'select') {
-      filter = {
-        property: statusProperty,
-        select: {
-          equals: '进行中'
-        }
-      };
-    } else if (statusPropertyType === 'status') {
-      filter = {
-        property: statusProperty,
-        status: {
-          equals: '进行中'
-        }
-      };
-    } else if (statusPropertyType === 'rich_text') {
-      filter = {
-        property: statusProperty,
-        rich_text: {
-          contains: '进行中'
-        }
-      };
-    } else {
-      error(`不支持的状态属性类型: ${statusPropertyType}`);
-      return [];
+  const database = await notion.databases.retrieve({
+    database_id: databaseId
+  });
+
+  info('获取 Notion 数据库结构成功');
+
+  const types = validatePropertyMapping(mapping, database);
+  info('Notion 属性映射校验通过', types);
+
+  const schema = { types, properties: database.properties };
+  verifiedDatabases.set(cacheKey, schema);
+  return schema;
+}
+
+/**
+ * 根据状态属性类型构建单个状态值的过滤条件
+ * @param {string} property 状态属性名
+ * @param {string} type 状态属性类型
+ * @param {string} value 状态值
+ * @returns {Object} Notion 过滤条件
+ */
+function buildStatusCondition(property, type, value) {
+  if (type === 'rich_text') {
+    return { property, rich_text: { contains: value } };
+  }
+  return { property, [type]: { equals: value } };
+}
+
+/**
+ * 根据属性映射构建状态过滤器，多个状态值之间为"或"关系
+ * @param {Object} mapping 属性映射
+ * @param {string} statusType 状态属性类型
+ * @returns {Object} Notion 过滤器
+ */
+function buildStatusFilter(mapping, statusType) {
+  const conditions = mapping.statusValues.map(value =>
+    buildStatusCondition(mapping.statusProperty, statusType, value)
+  );
+  return conditions.length === 1 ? conditions[0] : { or: conditions };
+}
+
+/**
+ * 根据属性映射构建排序规则
+ * @param {Object} mapping 属性映射
+ * @returns {Array} Notion 排序规则，未配置排序属性时为空数组
+ */
+function buildSorts(mapping) {
+  if (!mapping.sortProperty) {
+    return [];
+  }
+  return [
+    {
+      property: mapping.sortProperty,
+      direction: mapping.sortDirection
     }
-    
+  ];
+}
+
+/**
+ * 按游标分页查询数据库，直到没有更多结果或达到页数、行数上限
+ * @param {Client} notion Notion 客户端实例
+ * @param {Object} params `databases.query` 参数
+ * @param {number} maxPages 最多查询的页数
+ * @param {number} [maxRows] 最多获取的行数，默认不限
+ * @returns {Promise<Object>} { results, hasMore }，hasMore 表示因任一上限而未取完
+ */
+async function queryDatabaseAll(notion, params, maxPages, maxRows = Infinity) {
+  const results = [];
+  let cursor;
+  let pages = 0;
+
+  do {
     const response = await notion.databases.query({
-      database_id: databaseId,
-      filter: filter,
-      sorts: [
-        {
-          property: '创建日期',
-          direction: 'descending'
-        }
-      ],
-      // 添加超时设置
-      timeout: config.app.timeout
+      ...params,
+      page_size: Math.min(100, maxRows - results.length),
+      ...(cursor ? { start_cursor: cursor } : {})
     });
 
     // 验证响应格式
     if (!response || !Array.isArray(response.results)) {
-      error('Notion API 响应格式错误');
-      return [];
+      throw new Error('Notion API 响应格式错误');
     }
 
-    const tasks = response.results.map(page => {
-      // 检查属性类型并获取标题
-      let title = '';
-      if (page.properties[titleProperty].title) {
-        // 如果是标题类型
-        title = page.properties[titleProperty].title.map(t => t.plain_text).join('');
-      } else if (page.properties[titleProperty].rich_text) {
-        // 如果是富文本类型
-        title = page.properties[titleProperty].rich_text.map(t => t.plain_text).join('');
-      } else if (page.properties[titleProperty].select) {
-        // 如果是选择类型
-        title = page.properties[titleProperty].select?.name || '';
-      } else if (page.properties[titleProperty].checkbox) {
-        // 如果是复选框类型，获取页面标题
-        title = page.properties.Name?.title?.map(t => t.plain_text).join('') || '';
-      }
-      
-      // 获取创建时间
-      const createdAt = page.created_time || new Date().toISOString();
-      
-      return {
-        title,
-        createdAt
-      };
-    }).filter(task => task.title.trim() !== ''); // 过滤空标题
-    
-    // 按创建时间排序，最新的在前面
-    tasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    // 提取标题，保持排序顺序
-    const sortedTaskTitles = tasks.map(task => task.title);
+    results.push(...response.results);
+    pages++;
+    cursor = response.has_more ? response.next_cursor : null;
+  } while (cursor && pages < maxPages && results.length < maxRows);
+
+  if (cursor) {
+    info(results.length >= maxRows
+      ? `已达到行数上限 ${maxRows} 行，剩余结果未获取`
+      : `已达到分页上限 ${maxPages} 页，剩余结果未获取`);
+  }
+
+  return {
+    results,
+    hasMore: Boolean(cursor)
+  };
+}
+
+/**
+ * 构建数据源的查询过滤器：配置了声明式过滤条件时编译该条件，否则按状态值过滤
+ * @param {Object} source 数据源
+ * @param {Object} schema verifyDatabaseSchema 返回的 { types, properties }
+ * @param {Object} context 过滤条件编译上下文（见 notionFilter 中的 compileFilter）
+ * @returns {Object} Notion 过滤器
+ */
+function buildSourceFilter(source, { types, properties }, context) {
+  if (source.filter) {
+    return compileFilter(source.filter, properties, context);
+  }
+  return buildStatusFilter(source.mapping, types.statusProperty);
+}
+
+/**
+ * 构建数据源的排序规则：配置了 sorts 时优先使用，否则使用 sortProperty / sortDirection
+ * @param {Object} mapping 属性映射
+ * @param {Object} properties 数据库属性结构
+ * @returns {Array} Notion 排序规则
+ */
+function buildSourceSorts(mapping, properties) {
+  return mapping.sorts && mapping.sorts.length > 0
+    ? compileSorts(mapping.sorts, properties)
+    : buildSorts(mapping);
+}
+
+/**
+ * 判断是否为 Notion 请求超时错误
+ * @param {Error} err 错误对象
+ * @returns {boolean} 是否超时
+ */
+function isTimeoutError(err) {
+  return Boolean(err) && err.code === 'notionhq_client_request_timeout';
+}
+
+/**
+ * 从单个 Notion 数据源获取进行中项目
+ * @param {Object} source 数据源（见 config/sources），默认为第一个数据源
+ * @returns {Promise<Object>} { tasks, total, truncated }
+ *   tasks 为任务对象（见 models/task），total 为实际获取到的项目数（不超过 maxRows），
+ *   truncated 表示因 maxPages 或 maxRows 上限而可能还有未获取的项目，此时 total 不是完整总数
+ * @throws {Error} 查询失败时记录日志后抛出，由调用方决定如何降级
+ */
+async function getNotionTasks(source = getConfig().notion.sources[0]) {
+  const config = getConfig();
+  const notion = createNotionClient(source.apiKey);
+  const { databaseId, mapping } = source;
+
+  try {
+    const schema = await verifyDatabaseSchema(notion, databaseId, mapping);
+    const { types, properties } = schema;
+    info(`[${source.id}] 状态属性类型: ${types.statusProperty}`);
+
+    const filter = buildSourceFilter(source, schema, {
+      meUserId: config.notion.meUserId,
+      timeZone: config.app.timeZone
+    });
+
+    const { results, hasMore } = await queryDatabaseAll(notion, {
+      database_id: databaseId,
+      filter: filter,
+      sorts: buildSourceSorts(mapping, properties)
+    }, config.notion.maxPages, config.notion.maxRows);
+
+    const sourceInfo = { id: source.id, label: source.label, prefix: source.prefix };
+    const tasks = results
+      .map(page => ({
+        ...taskFromPage(page, mapping, properties, { timeZone: config.app.timeZone }),
+        source: sourceInfo
+      }))
+      .filter(task => task.title.trim() !== ''); // 过滤空标题
     
-    info(`获取到 ${sortedTaskTitles.length} 个进行中项目`);
-    return sortedTaskTitles;
+    info(`[${source.id}] 获取到 ${tasks.length}${hasMore ? '+' : ''} 个进行中项目`);
+    return {
+      tasks,
+      total: tasks.length,
+      truncated: hasMore
+    };
   } catch (err) {
-    error('从 Notion 获取任务时出错', { error: err.message });
-    if (err.response) {
-      error('Notion API 错误响应', { status: err.response.status });
-    } else if (err.code === 'notionhq_client_request_timeout') {
-      error('Notion API 请求超时，使用缓存的任务列表');
-      // 返回一个默认的错误消息任务，避免设备显示空白
-      return ['Notion API 请求超时，请稍后重试'];
+    if (err instanceof ConfigError) {
+      error(`[${source.id}] ${err.message}`, { problems: err.details });
+    } else if (isTimeoutError(err)) {
+      error(`[${source.id}] Notion API 请求超时`);
+    } else {
+      error(`[${source.id}] 从 Notion 获取任务时出错`, { error: err.message, status: err.status });
     }
-    return [];
+    throw err;
+  }
+}
+
+/**
+ * 构建写入状态属性的值
+ * @param {string} type 状态属性类型
+ * @param {string} value 状态值
+ * @returns {Object} pages.update 中该属性的值
+ */
+function buildStatusValue(type, value) {
+  if (type === 'rich_text') {
+    return { rich_text: [{ type: 'text', text: { content: value } }] };
   }
+  return { [type]: { name: value } };
+}
+
+/**
+ * 计算目标状态
+ * @param {Object} mapping 属性映射
+ * @param {string|null} current 当前状态
+ * @param {Object} change 变更内容：{ complete: true }、{ status } 或 { advance: true }
+ * @returns {string} 目标状态
+ * @throws {ValidationError} 无法推进到下一个状态时抛出
+ */
+function resolveTargetStatus(mapping, current, change) {
+  if (change.complete) {
+    return mapping.doneValue;
+  }
+  if (!change.advance) {
+    return change.status;
+  }
+
+  const flow = mapping.statusFlow;
+  if (flow.length === 0) {
+    throw new ValidationError('未配置 NOTION_STATUS_FLOW，无法推进状态');
+  }
+  const index = flow.indexOf(current);
+  if (index === -1) {
+    throw new ValidationError(`当前状态 "${current}" 不在状态流程中`);
+  }
+  if (index === flow.length - 1) {
+    throw new ValidationError(`当前状态 "${current}" 已是最后一个状态`);
+  }
+  return flow[index + 1];
+}
+
+/**
+ * 用于读取页面时表示该密钥无权访问页面的 Notion 错误码
+ */
+const INACCESSIBLE_PAGE_CODES = ['object_not_found', 'restricted_resource', 'unauthorized'];
+
+/**
+ * 读取页面并找到其所属的数据源
+ * 各数据源可能使用不同的 API 密钥，依次用每个密钥读取，直到某个密钥有权访问该页面
+ * @param {string} pageId Notion 页面 ID
+ * @param {Array<Object>} sources 数据源列表（见 config/sources）
+ * @returns {Promise<Object>} { page, source }
+ * @throws {NotFoundError} 页面无法读取或不属于已配置的数据库时抛出
+ */
+async function retrieveSourcePage(pageId, sources) {
+  const apiKeys = [...new Set(sources.map(source => source.apiKey || null))];
+
+  for (const apiKey of apiKeys) {
+    let page;
+    try {
+      page = await createNotionClient(apiKey).pages.retrieve({ page_id: pageId });
+    } catch (err) {
+      if (INACCESSIBLE_PAGE_CODES.includes(err.code)) {
+        continue;
+      }
+      throw err;
+    }
+
+    const parentId = page.parent && page.parent.database_id;
+    const source = sources.find(item => normalizeId(item.databaseId) === normalizeId(parentId));
+    if (!source) {
+      throw new NotFoundError('该页面不属于已配置的 Notion 数据库');
+    }
+    return { page, source };
+  }
+
+  throw new NotFoundError('无法读取该页面，请确认页面存在且已共享给数据源的集成');
+}
+
+/**
+ * 更新任务的状态属性
+ * 根据页面所属数据库找到对应的数据源，使用该数据源的 API 密钥和属性映射写入状态
+ * @param {string} pageId Notion 页面 ID
+ * @param {Object} change 变更内容：{ complete: true }、{ status } 或 { advance: true }
+ * @returns {Promise<Object>} { pageId, source, from, to }
+ * @throws {NotFoundError} 页面无法读取或不属于已配置的数据库时抛出
+ * @throws {ValidationError} 目标状态不是该属性的可选值时抛出
+ */
+async function updateTaskStatus(pageId, change) {
+  const { page, source } = await retrieveSourcePage(pageId, getConfig().notion.sources);
+
+  const notion = createNotionClient(source.apiKey);
+  const { mapping } = source;
+  const { types, properties } = await verifyDatabaseSchema(notion, source.databaseId, mapping);
+  const type = types.statusProperty;
+
+  const from = propertyToText(page.properties[mapping.statusProperty]) || null;
+  const to = resolveTargetStatus(mapping, from, change);
+
+  // status / select 类型只能写入已有的选项
+  if (type !== 'rich_text') {
+    const options = (properties[mapping.statusProperty][type].options || []).map(option => option.name);
+    if (!options.includes(to)) {
+      throw new ValidationError(`"${to}" 不是 ${mapping.statusProperty} 的可选值，可选值: ${options.join(', ')}`);
+    }
+  }
+
+  await notion.pages.update({
+    page_id: pageId,
+    properties: {
+      [mapping.statusProperty]: buildStatusValue(type, to)
+    }
+  });
+
+  info(`[${source.id}] 任务状态已更新`, { pageId, from, to });
+  return { pageId, source: source.id, from, to };
 }
 
 module.exports = {
   getNotionTasks,
-  createNotionClient
+  createNotionClient,
+  isTimeoutError,
+  verifyDatabaseSchema,
+  queryDatabaseAll,
+  buildStatusFilter,
+  buildSorts,
+  buildSourceFilter,
+  buildSourceSorts,
+  resolveTargetStatus,
+  updateTaskStatus
 };
\ No newline at end of file
@@ -0,0 +1,227 @@
+const { ConfigError } = require('../utils/errorHandler');
+const { DEFAULT_TIME_ZONE } = require('../utils/time');
+
+/**
+ * Notion 过滤器编译模块
+ * 将声明式过滤条件（格式见 middleware/validation 中的 validateFilterSpec）
+ * 根据数据库结构编译为 Notion 的 and / or 复合过滤器
+ */
+
+/**
+ * 各运算符支持的属性类型
+ */
+const OPERATOR_PROPERTY_TYPES = {
+  in: ['status', 'select', 'multi_select', 'rich_text', 'title'],
+  contains: ['multi_select', 'select', 'rich_text', 'title', 'people'],
+  isMe: ['people', 'created_by', 'last_edited_by'],
+  before: ['date', 'formula', 'created_time', 'last_edited_time'],
+  after: ['date', 'formula', 'created_time', 'last_edited_time'],
+  withinDays: ['date', 'formula', 'created_time', 'last_edited_time'],
+  checked: ['checkbox', 'formula'],
+  unchecked: ['checkbox', 'formula']
+};
+
+/**
+ * Notion 复合过滤器最多允许的嵌套层数
+ */
+const MAX_FILTER_DEPTH = 2;
+
+/**
+ * 计算指定时区下相对今天偏移若干天的日期
+ * @param {number} offsetDays 偏移天数
+ * @param {Object} context 编译上下文
+ * @returns {string} YYYY-MM-DD 格式的日期
+ */
+function relativeDate(offsetDays, context) {
+  const now = context.now || new Date();
+  // en-CA 的日期格式即为 YYYY-MM-DD
+  const today = new Intl.DateTimeFormat('en-CA', { timeZone: context.timeZone || DEFAULT_TIME_ZONE }).format(now);
+  const date = new Date(`${today}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + offsetDays);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * 解析过滤条件中的日期值
+ * @param {string} value today、tomorrow、yesterday 或 ISO 日期
+ * @param {Object} context 编译上下文
+ * @returns {string} 传给 Notion 的日期
+ */
+function resolveDate(value, context) {
+  const offsets = { yesterday: -1, today: 0, tomorrow: 1 };
+  return value in offsets ? relativeDate(offsets[value], context) : value;
+}
+
+/**
+ * 生成单个属性条件
+ * 公式属性的条件需要再包一层结果类型，如 { formula: { date: {...} } }
+ * @param {string} property 属性名
+ * @param {string} type 属性类型
+ * @param {string} valueType 条件类型，如 date 或 checkbox
+ * @param {Object} body 条件内容
+ * @returns {Object} Notion 过滤条件
+ */
+function typedCondition(property, type, valueType, body) {
+  if (type === 'formula') {
+    return { property, formula: { [valueType]: body } };
+  }
+  return { property, [type]: body };
+}
+
+/**
+ * 将多个条件合并为"或"关系，只有一个条件时直接返回
+ * @param {Array<Object>} conditions 条件列表
+ * @returns {Object} Notion 过滤条件
+ */
+function anyOf(conditions) {
+  return conditions.length === 1 ? conditions[0] : { or: conditions };
+}
+
+/**
+ * 编译单个叶子条件
+ * @param {Object} spec 叶子条件
+ * @param {Object} properties 数据库属性结构
+ * @param {Object} context 编译上下文
+ * @returns {Object} Notion 过滤条件
+ * @throws {ConfigError} 属性不存在或类型与运算符不匹配时抛出
+ */
+function compileLeaf(spec, properties, context) {
+  // 原生时间戳条件直接透传
+  if (spec.timestamp !== undefined) {
+    return spec;
+  }
+
+  const { property } = spec;
+  const operator = Object.keys(spec).find(key => key !== 'property');
+  const value = spec[operator];
+  const schema = properties[property];
+
+  if (!schema) {
+    throw new ConfigError(`过滤条件引用的属性 "${property}" 在数据库中不存在`);
+  }
+
+  // 原生 Notion 条件直接透传
+  if (!OPERATOR_PROPERTY_TYPES[operator]) {
+    return spec;
+  }
+
+  const type = schema.type;
+  if (!OPERATOR_PROPERTY_TYPES[operator].includes(type)) {
+    throw new ConfigError(
+      `过滤条件 ${operator} 不支持属性 "${property}" 的类型 ${type}，` +
+      `仅支持: ${OPERATOR_PROPERTY_TYPES[operator].join(', ')}`
+    );
+  }
+
+  switch (operator) {
+  case 'in':
+    return anyOf(value.map(item => {
+      if (type === 'multi_select') {
+        return { property, multi_select: { contains: item } };
+      }
+      if (type === 'rich_text' || type === 'title') {
+        return { property, [type]: { contains: item } };
+      }
+      return { property, [type]: { equals: item } };
+    }));
+  case 'contains':
+    return anyOf([].concat(value).map(item => {
+      if (type === 'select') {
+        return { property, select: { equals: item } };
+      }
+      return { property, [type]: { contains: item } };
+    }));
+  case 'isMe':
+    if (!context.meUserId) {
+      throw new ConfigError('过滤条件使用了 isMe，但未配置 NOTION_ME_USER_ID');
+    }
+    return { property, [type]: { contains: context.meUserId } };
+  case 'before':
+    return typedCondition(property, type, 'date', { before: resolveDate(value, context) });
+  case 'after':
+    return typedCondition(property, type, 'date', { after: resolveDate(value, context) });
+  case 'withinDays':
+    // 包含已逾期的项目
+    return typedCondition(property, type, 'date', { on_or_before: relativeDate(value, context) });
+  case 'checked':
+  case 'unchecked':
+    return typedCondition(property, type, 'checkbox', { equals: operator === 'checked' });
+  default:
+    return spec;
+  }
+}
+
+/**
+ * 计算 Notion 过滤器中复合条件的嵌套层数
+ * @param {Object} filter Notion 过滤器
+ * @returns {number} 层数，叶子条件为 0
+ */
+function filterDepth(filter) {
+  const children = filter.and || filter.or;
+  return children ? 1 + Math.max(...children.map(filterDepth)) : 0;
+}
+
+/**
+ * 编译声明式过滤条件
+ * 同类复合条件会被展开合并，以满足 Notion 最多两层嵌套的限制
+ * @param {Object} spec 声明式过滤条件
+ * @param {Object} properties 数据库属性结构（database.properties）
+ * @param {Object} context 编译上下文
+ * @param {string} context.meUserId isMe 对应的 Notion 用户 ID
+ * @param {string} context.timeZone 计算 today 等相对日期使用的时区
+ * @param {Date} context.now 当前时间，默认为 new Date()
+ * @param {string} path 当前条件在过滤条件中的路径，用于错误信息
+ * @returns {Object} Notion 过滤器
+ * @throws {ConfigError} 条件引用的属性不存在、类型不匹配或展开后嵌套超过两层时抛出
+ */
+function compileFilter(spec, properties, context = {}, path = 'filter') {
+  const compound = ['and', 'or'].find(key => key in spec);
+  if (!compound) {
+    return compileLeaf(spec, properties, context);
+  }
+
+  const children = [];
+  spec[compound].forEach((child, index) => {
+    const compiled = compileFilter(child, properties, context, `${path}.${compound}[${index}]`);
+    if (compiled[compound]) {
+      children.push(...compiled[compound]);
+    } else {
+      children.push(compiled);
+    }
+  });
+
+  const filter = children.length === 1 ? children[0] : { [compound]: children };
+  // 子条件先检查，报告的是最先超出限制的那一层
+  const depth = filterDepth(filter);
+  if (depth > MAX_FILTER_DEPTH) {
+    throw new ConfigError(
+      `过滤条件 ${path} 展开后嵌套了 ${depth} 层 and / or，Notion 最多支持 ${MAX_FILTER_DEPTH} 层`
+    );
+  }
+  return filter;
+}
+
+/**
+ * 根据数据库结构检查排序规则
+ * @param {Array<Object>} sorts 排序规则
+ * @param {Object} properties 数据库属性结构
+ * @returns {Array<Object>} Notion 排序规则
+ * @throws {ConfigError} 排序属性不存在时抛出
+ */
+function compileSorts(sorts, properties) {
+  return sorts.map(sort => {
+    if (sort.property !== undefined && !properties[sort.property]) {
+      throw new ConfigError(`排序规则引用的属性 "${sort.property}" 在数据库中不存在`);
+    }
+    return sort.timestamp !== undefined
+      ? { timestamp: sort.timestamp, direction: sort.direction }
+      : { property: sort.property, direction: sort.direction };
+  });
+}
+
+module.exports = {
+  OPERATOR_PROPERTY_TYPES,
+  compileFilter,
+  compileSorts,
+  relativeDate
+};
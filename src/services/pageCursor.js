@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { getStore } = require('../storage');
+const { info, warn } = require('../utils/logger');
+
+/**
+ * 翻页游标模块
+ * 为每台设备保存当前显示的页码，每次推送前进一页，而不是按当前时间推算页码，
+ * 推送不规律或手动触发时也不会跳页或重复。任务列表变化时从上次显示的任务所在页继续
+ */
+
+/**
+ * 游标的保留时间（毫秒），设备长期没有推送或已被删除时游标自动过期，之后从第 1 页开始
+ */
+const CURSOR_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * 设备游标的存储键
+ * @param {string} deviceId 设备 ID（见 config/devices 中的 id）
+ * @returns {string} 存储键
+ */
+function cursorKey(deviceId) {
+  return `cursor:${deviceId}`;
+}
+
+/**
+ * 任务的标识，Notion 页面 ID 缺失时使用标题
+ * @param {Task} task 任务（见 models/task）
+ * @returns {string} 标识
+ */
+function taskIdentity(task) {
+  return task.id || task.title;
+}
+
+/**
+ * 计算任务列表的签名，任务、顺序或每页任务数变化时签名随之变化
+ * @param {Array<Task>} tasks 任务列表
+ * @param {number} batchSize 每页任务数
+ * @returns {string} 签名
+ */
+function listSignature(tasks, batchSize) {
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify([batchSize, tasks.map(taskIdentity)]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * 根据上次的游标计算本次要显示的页码
+ * - 没有游标：第 1 页
+ * - 列表未变化：advance 时前进一页（最后一页之后回到第 1 页），否则保持不变
+ * - 列表变化：定位到上次显示的第一个任务现在所在的页，再按 advance 前进；该任务已不在列表中时回到第 1 页
+ * 翻页的节奏由触发同步的计划决定，每次推送都前进一页
+ * @param {Array<Task>} tasks 任务列表
+ * @param {number} batchSize 每页任务数
+ * @param {Object|null} previous 上次保存的游标 { page, signature, firstTask }
+ * @param {Object} options 可选项
+ * @param {boolean} options.advance 是否前进一页，默认为 true
+ * @returns {Object} { page, totalBatches, reset }，reset 表示因列表变化回到了第 1 页；没有任务时 page 为 0
+ */
+function nextPage(tasks, batchSize, previous, { advance = true } = {}) {
+  const totalBatches = Math.ceil(tasks.length / batchSize);
+  if (totalBatches === 0) {
+    return { page: 0, totalBatches, reset: false };
+  }
+  if (!previous) {
+    return { page: 1, totalBatches, reset: false };
+  }
+
+  let current = previous.page;
+  if (previous.signature !== listSignature(tasks, batchSize)) {
+    const index = tasks.findIndex(task => taskIdentity(task) === previous.firstTask);
+    if (index === -1) {
+      return { page: 1, totalBatches, reset: true };
+    }
+    current = Math.floor(index / batchSize) + 1;
+  }
+
+  // 游标超出范围时（如每页任务数变大）从最后一页继续
+  current = Math.min(Math.max(current, 1), totalBatches);
+  return { page: advance ? (current % totalBatches) + 1 : current, totalBatches, reset: false };
+}
+
+/**
+ * 读取设备的游标，读取失败时按没有游标处理
+ * @param {string} deviceId 设备 ID
+ * @returns {Promise<Object|null>} 游标，没有时为 null
+ */
+async function loadCursor(deviceId) {
+  try {
+    return await getStore().get(cursorKey(deviceId));
+  } catch (err) {
+    warn(`[${deviceId}] 读取翻页游标失败，从第 1 页开始`, { error: err.message });
+    return null;
+  }
+}
+
+/**
+ * 确定设备本次推送的页码，不保存游标；推送成功后再用 saveCursor 保存，推送失败时下次仍显示同一页
+ * @param {string} deviceId 设备 ID
+ * @param {Array<Task>} tasks 任务列表
+ * @param {number} batchSize 每页任务数
+ * @param {Object} options 可选项
+ * @param {number} options.page 指定页码（从 1 开始），超出范围时使用最后一页
+ * @param {boolean} options.advance 未指定页码时是否前进一页，默认为 true
+ * @returns {Promise<Object>} { page, totalBatches, reset }，见 nextPage；没有任务时 page 为 0
+ */
+async function resolvePage(deviceId, tasks, batchSize, { page, advance = true } = {}) {
+  const totalBatches = Math.ceil(tasks.length / batchSize);
+  if (totalBatches === 0) {
+    return { page: 0, totalBatches, reset: false };
+  }
+
+  const result = page
+    ? { page: Math.min(page, totalBatches), totalBatches, reset: false }
+    : nextPage(tasks, batchSize, await loadCursor(deviceId), { advance });
+
+  if (result.reset) {
+    info(`[${deviceId}] 任务列表已变化，从第 1 页开始显示`);
+  }
+  return result;
+}
+
+/**
+ * 保存设备的游标，保存失败只记录警告
+ * @param {string} deviceId 设备 ID
+ * @param {Array<Task>} tasks 任务列表
+ * @param {number} batchSize 每页任务数
+ * @param {Object} result resolvePage 的返回值
+ * @returns {Promise<void>}
+ */
+async function saveCursor(deviceId, tasks, batchSize, { page }) {
+  if (page === 0) {
+    return;
+  }
+  try {
+    await getStore().set(cursorKey(deviceId), {
+      page,
+      signature: listSignature(tasks, batchSize),
+      firstTask: taskIdentity(tasks[(page - 1) * batchSize]),
+      updatedAt: new Date().toISOString()
+    }, { ttl: CURSOR_TTL_MS });
+  } catch (err) {
+    warn(`[${deviceId}] 保存翻页游标失败`, { error: err.message });
+  }
+}
+
+module.exports = {
+  listSignature,
+  nextPage,
+  resolvePage,
+  saveCursor
+};
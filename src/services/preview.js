@@ -0,0 +1,318 @@
+const { getConfig } = require('../config');
+const { ValidationError, NotFoundError, RateLimitError } = require('../utils/errorHandler');
+const { textWidth } = require('../utils/textLayout');
+const { formatDatePattern } = require('../utils/template');
+const { collectTasks, resolveDeviceSources, acquireApiCall } = require('./syncService');
+const { selectBatch, buildRequestData, buildImageData, renderPageImage } = require('./quote');
+const { resolvePage } = require('./pageCursor');
+const { activeProfile, applyProfile } = require('./profiles');
+const { resolveIcon } = require('./icons');
+const { escapeHtml } = require('./landingPage');
+
+/**
+ * 预览模块
+ * 与同步相同地获取任务并构建每一页的请求数据，但不发送到设备，也不移动翻页游标或更新推送记录，
+ * 用于在推送前检查模板、过滤条件和显示方案的效果
+ */
+
+/**
+ * 预览的输出格式
+ */
+const PREVIEW_FORMATS = ['json', 'text', 'html'];
+
+/**
+ * 强制不使用任何显示方案时的 profile 取值
+ */
+const NO_PROFILE = 'none';
+
+/**
+ * 检查请求数据中各行的宽度，找出超出设备每行列数或消息长度上限的部分
+ * 消息按 QUOTE_LINE_OVERFLOW 处理后仍超出时（如 none）才会出现在警告中，标题和签名不做处理
+ * @param {Object} requestData buildRequestData 的返回值
+ * @param {Object} layout 设备的排版配置（见 config/layout）
+ * @param {number} maxMessageLength 消息的最大长度
+ * @returns {Array<string>} 警告信息
+ */
+function checkWidths({ title, message, signature }, layout, maxMessageLength) {
+  const warnings = [];
+  const check = (text, label) => {
+    const width = textWidth(text);
+    if (width > layout.columns) {
+      warnings.push(`${label}宽 ${width} 列，超出每行 ${layout.columns} 列`);
+    }
+  };
+
+  check(title, '标题');
+  message.split('\n').forEach((line, index) => check(line, `消息第 ${index + 1} 行`));
+  check(signature, '签名');
+  if (message.length > maxMessageLength) {
+    warnings.push(`消息超过 ${maxMessageLength} 个字符，末尾已截断`);
+  }
+  return warnings;
+}
+
+/**
+ * 将请求数据画成设备屏幕的文字示意：标题、消息和签名各占一栏，栏宽为设备每行的列数
+ * 超出列数的行完整显示，并在行尾标出超出的列数
+ * @param {Object} requestData buildRequestData 的返回值
+ * @param {Object} layout 设备的排版配置
+ * @returns {string} 多行文字
+ */
+function mockScreen({ title, message, signature }, layout) {
+  const { columns } = layout;
+  const border = `+${'-'.repeat(columns)}+`;
+  const row = line => {
+    const width = textWidth(line);
+    return width > columns
+      ? `|${line}  <- 超出 ${width - columns} 列`
+      : `|${line}${' '.repeat(columns - width)}|`;
+  };
+
+  return [
+    border,
+    row(title),
+    border,
+    ...message.split('\n').map(row),
+    border,
+    row(signature),
+    border
+  ].join('\n');
+}
+
+/**
+ * 确定要预览的设备及其显示方案
+ * @param {Object} config 配置
+ * @param {Object} overrides 覆盖项
+ * @param {string} overrides.device 只预览该设备
+ * @param {string} overrides.profile 使用该方案而不按当前时间选择，none 表示不使用方案
+ * @param {Date} now 选择方案的时间
+ * @returns {Array<Object>} 应用方案后的设备
+ * @throws {NotFoundError} 设备或方案不存在时抛出
+ * @throws {ValidationError} 指定的方案不适用于指定的设备时抛出
+ */
+function resolvePreviewDevices(config, { device: deviceId, profile: profileId }, now) {
+  let devices = config.quote.devices;
+  if (deviceId) {
+    devices = devices.filter(item => item.id === deviceId);
+    if (devices.length === 0) {
+      throw new NotFoundError(`Unknown device: ${deviceId}`);
+    }
+  }
+
+  if (!profileId) {
+    return devices.map(device => applyProfile(device, activeProfile(config.quote.profiles, device, now, config.app.timeZone)));
+  }
+  if (profileId === NO_PROFILE) {
+    return devices.map(device => applyProfile(device, null));
+  }
+
+  const profile = config.quote.profiles.find(item => item.id === profileId);
+  if (!profile) {
+    throw new NotFoundError(`Unknown profile: ${profileId}`);
+  }
+  // 方案只用于其 devices 中列出的设备
+  const covered = devices.filter(device => !profile.devices || profile.devices.includes(device.id));
+  if (covered.length === 0) {
+    throw new ValidationError(`Profile ${profileId} does not apply to ${deviceId ? `device ${deviceId}` : 'any device'}`);
+  }
+  return covered.map(device => applyProfile(device, profile));
+}
+
+/**
+ * 构建设备一页的预览：与推送时完全相同的请求数据、屏幕示意和宽度警告
+ * 图片模式的设备渲染失败时与推送时一样改用文字，屏幕示意始终按文字版式绘制
+ * @param {Object} device 应用方案后的设备
+ * @param {Object} list 任务列表 { tasks, total, truncated, stale, fetchedAt }
+ * @param {number} page 页码
+ * @returns {Promise<Object>} { page, endpoint, payload, screen, warnings }
+ */
+async function previewPage(device, { tasks, total, truncated, stale, fetchedAt }, page) {
+  const config = getConfig();
+  const { currentBatch, totalBatches, startIndex, batchTasks } = selectBatch(tasks, device.pageSize, page);
+  const icon = await resolveIcon(device, batchTasks);
+  const pageOptions = { truncated, stale, device, icon };
+  const requestData = buildRequestData(batchTasks, currentBatch, totalBatches, total, fetchedAt, startIndex, pageOptions);
+  const warnings = checkWidths(requestData, device.layout, config.app.maxMessageLength);
+
+  let endpoint = device.apiEndpoint;
+  let payload = requestData;
+  if (device.mode === 'image') {
+    try {
+      payload = buildImageData(renderPageImage(batchTasks, currentBatch, totalBatches, total, fetchedAt, startIndex, pageOptions), {
+        link: requestData.link,
+        taskKey: device.taskKey
+      });
+      endpoint = device.imageEndpoint;
+    } catch (err) {
+      warnings.push(`渲染图片失败，推送时将改用文字发送: ${err.message}`);
+    }
+  }
+
+  return {
+    page: currentBatch,
+    endpoint,
+    payload,
+    screen: mockScreen(requestData, device.layout),
+    warnings
+  };
+}
+
+/**
+ * 预览一台设备的所有页面（或指定的一页）
+ * @param {Object} device 应用方案后的设备
+ * @param {Promise<Object>} collected 设备数据源的 collectTasks 结果
+ * @param {number} page 只预览该页，超出范围时为最后一页
+ * @returns {Promise<Object>} { device, profile, mode, total, truncated, stale, failures, fetchedAt, next, pages, results }
+ *   next 为下一次推送将显示的页码（按翻页游标和翻页间隔推算），results 为各页的预览（见 previewPage）
+ */
+async function previewDevice(device, collected, page) {
+  const list = await collected;
+  const pages = Math.ceil(list.tasks.length / device.pageSize);
+  const next = pages > 0 ? (await resolvePage(device.id, list.tasks, device.pageSize)).page : 0;
+
+  let numbers = Array.from({ length: pages }, (_, index) => index + 1);
+  if (page && pages > 0) {
+    numbers = [Math.min(page, pages)];
+  }
+
+  const results = [];
+  for (const number of numbers) {
+    results.push(await previewPage(device, list, number));
+  }
+
+  return {
+    device: device.id,
+    profile: device.profile,
+    mode: device.mode,
+    total: list.total,
+    truncated: list.truncated,
+    stale: list.stale,
+    failures: list.failures,
+    fetchedAt: list.fetchedAt.toISOString(),
+    next,
+    pages,
+    results
+  };
+}
+
+/**
+ * 预览设备将要显示的内容，不发送到设备
+ * 与同步共用 API 调用频率限制，使用相同数据源的设备共用一次 Notion 查询
+ * @param {Object} overrides 覆盖项
+ * @param {number} overrides.page 只预览该页
+ * @param {string} overrides.device 只预览该设备
+ * @param {string} overrides.profile 使用该显示方案，none 表示不使用方案；默认按当前时间选择
+ * @returns {Promise<Object>} { generatedAt, devices }，devices 为各设备的预览（见 previewDevice）
+ * @throws {NotFoundError} 设备或方案不存在时抛出
+ * @throws {ValidationError} 指定的方案不适用于指定的设备时抛出
+ * @throws {RateLimitError} 超过 API 调用频率限制时抛出
+ * @throws {ExternalApiError} 数据源全部失败且没有快照时抛出
+ */
+async function buildPreview({ page, device, profile } = {}) {
+  const config = getConfig();
+  const now = new Date();
+  const targets = resolvePreviewDevices(config, { device, profile }, now);
+  if (!(await acquireApiCall())) {
+    throw new RateLimitError('API call rate limit exceeded, try again in a minute');
+  }
+
+  const collections = new Map();
+  const collect = sources => {
+    const key = sources.map(source => source.id).join(',');
+    if (!collections.has(key)) {
+      collections.set(key, collectTasks(sources, config.notion.mergeOrder));
+    }
+    return collections.get(key);
+  };
+
+  const devices = [];
+  for (const target of targets) {
+    devices.push(await previewDevice(target, collect(resolveDeviceSources(target, config.notion.sources)), page));
+  }
+  return { generatedAt: now.toISOString(), devices };
+}
+
+/**
+ * 每台设备预览的标题行
+ * @param {Object} item previewDevice 的返回值
+ * @returns {string} 标题行
+ */
+function deviceHeading(item) {
+  const config = getConfig();
+  const fetchedAt = formatDatePattern(new Date(item.fetchedAt), 'YYYY-MM-DD HH:mm:ss', { timeZone: config.app.timeZone });
+  return [
+    `${item.device}${item.profile ? `（方案 ${item.profile}）` : ''}`,
+    item.mode === 'image' ? '图片模式' : '文字模式',
+    `${item.total}${item.truncated ? '+' : ''} 个任务，共 ${item.pages} 页，下次推送第 ${item.next} 页`,
+    `${item.stale ? '缓存于' : '获取于'} ${fetchedAt}`
+  ].join(' · ');
+}
+
+/**
+ * 将预览渲染为纯文字，供命令行输出或 ?format=text
+ * @param {Object} preview buildPreview 的返回值
+ * @returns {string} 文字
+ */
+function renderPreviewText(preview) {
+  return preview.devices.map(item => {
+    const pages = item.results.map(result => [
+      `第 ${result.page}/${item.pages} 页${result.page === item.next ? '（下次推送）' : ''}${result.payload.icon ? ' · 带图标' : ''}`,
+      result.screen,
+      ...result.warnings.map(message => `! ${message}`)
+    ].join('\n'));
+    return [`== ${deviceHeading(item)}`, ...(pages.length > 0 ? pages : ['没有任务，同步时不会推送'])].join('\n\n');
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * 将预览渲染为 HTML 页面，图片模式的设备同时显示渲染出的图片
+ * @param {Object} preview buildPreview 的返回值
+ * @returns {string} HTML
+ */
+function renderPreviewHtml(preview) {
+  const sections = preview.devices.map(item => {
+    const pages = item.results.map(result => {
+      const image = result.payload.image
+        ? `\n    <img src="data:image/png;base64,${result.payload.image}" alt="第 ${result.page} 页">`
+        : '';
+      const warnings = result.warnings.length > 0
+        ? `\n    <ul class="warnings">${result.warnings.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>`
+        : '';
+      return `  <section>
+    <h3>第 ${result.page}/${item.pages} 页${result.page === item.next ? '（下次推送）' : ''}</h3>${image}
+    <pre>${escapeHtml(result.screen)}</pre>${warnings}
+  </section>`;
+    });
+    return `  <h2>${escapeHtml(deviceHeading(item))}</h2>
+${pages.length > 0 ? pages.join('\n') : '  <p>没有任务，同步时不会推送</p>'}`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Quote 设备预览</title>
+  <style>
+    body { font-family: -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; max-width: 48em; margin: 2em auto; padding: 0 1em; }
+    pre { font-family: "Sarasa Mono SC", "Noto Sans Mono CJK SC", monospace; background: #f6f6f6; padding: 0.5em; overflow-x: auto; }
+    img { border: 1px solid #ccc; image-rendering: pixelated; }
+    .warnings { color: #b00; }
+  </style>
+</head>
+<body>
+  <h1>Quote 设备预览</h1>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  PREVIEW_FORMATS,
+  checkWidths,
+  mockScreen,
+  buildPreview,
+  renderPreviewText,
+  renderPreviewHtml
+};
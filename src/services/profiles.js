@@ -0,0 +1,68 @@
+const { getZonedParts, isWithinTimeRange } = require('../utils/time');
+
+/**
+ * 显示方案模块
+ * 按当前时间为设备选出生效的显示方案（见 config/profiles），并将方案的设置应用到设备
+ */
+
+/**
+ * 判断方案在某一时刻是否生效
+ * 跨越午夜的时段按开始的那一天判断星期，如周五的 23:00-07:00 包含周六凌晨
+ * @param {Object} profile 方案
+ * @param {Date} now 当前时间
+ * @param {string} timeZone IANA 时区
+ * @returns {boolean} 是否生效
+ */
+function isProfileActive(profile, now, timeZone) {
+  const { hour, minute, weekday } = getZonedParts(now, timeZone);
+  if (!profile.time) {
+    return profile.days.includes(weekday);
+  }
+
+  const minutes = hour * 60 + minute;
+  if (!isWithinTimeRange(minutes, profile.time)) {
+    return false;
+  }
+  const startedYesterday = profile.time.start > profile.time.end && minutes < profile.time.end;
+  return profile.days.includes(startedYesterday ? (weekday + 6) % 7 : weekday);
+}
+
+/**
+ * 选出设备当前生效的方案，按配置顺序第一个匹配的方案生效
+ * @param {Array<Object>} profiles 方案列表（见 config/profiles）
+ * @param {Object} device 设备（见 config/devices）
+ * @param {Date} now 当前时间
+ * @param {string} timeZone IANA 时区
+ * @returns {Object|null} 方案，没有匹配的方案时为 null
+ */
+function activeProfile(profiles, device, now, timeZone) {
+  return profiles.find(profile =>
+    (!profile.devices || profile.devices.includes(device.id)) && isProfileActive(profile, now, timeZone)
+  ) || null;
+}
+
+/**
+ * 将方案的过滤条件、模板和每页任务数应用到设备
+ * 设备 ID 保持不变，翻页游标和推送记录沿用设备原有的；profile 字段记录生效的方案 ID
+ * @param {Object} device 设备
+ * @param {Object|null} profile 方案
+ * @returns {Object} 应用方案后的设备
+ */
+function applyProfile(device, profile) {
+  if (!profile) {
+    return { ...device, profile: null };
+  }
+  return {
+    ...device,
+    profile: profile.id,
+    filter: profile.filter || device.filter,
+    templates: { ...device.templates, ...profile.templates },
+    pageSize: profile.pageSize || device.pageSize
+  };
+}
+
+module.exports = {
+  isProfileActive,
+  activeProfile,
+  applyProfile
+};
@@ -1,128 +1,285 @@
-const axios = require('axios');
+const { request } = require('../utils/httpClient');
 const { getConfig } = require('../config');
-const { info, error } = require('../utils/logger');
+const { info, warn, error } = require('../utils/logger');
+const { renderTemplate, formatDatePattern } = require('../utils/template');
+const { fitLines, truncateLength } = require('../utils/textLayout');
+const { renderTasksPng } = require('./imageRenderer');
+const { resolvePage, saveCursor } = require('./pageCursor');
+const { contentHash, loadLastPush, saveLastPush } = require('./lastPush');
+const { pageLinkUrl, databaseUrl } = require('./landingPage');
+const { resolveIcon } = require('./icons');
 
 /**
  * Quote 服务模块
  * 封装 Quote 设备 API 调用和消息发送逻辑
  */
 
+/**
+ * 设备对应的数据库视图地址：配置的 link.url，否则为设备第一个数据源的数据库地址
+ * @param {Object} target 目标设备（见 config/devices）
+ * @param {Object} config 完整配置
+ * @returns {string} 地址
+ */
+function deviceViewUrl(target, config) {
+  if (target.link.url) {
+    return target.link.url;
+  }
+  const source = target.sources
+    ? config.notion.sources.find(item => item.id === target.sources[0])
+    : config.notion.sources[0];
+  return source ? databaseUrl(source.databaseId) : '';
+}
+
+/**
+ * 按设备的链接模式生成点击设备时打开的链接
+ * @param {Object} target 目标设备（见 config/devices）
+ * @param {Array<Task>} tasks 当前页的任务
+ * @param {number} batchNumber 当前页码
+ * @returns {string} 链接，none 模式为空字符串
+ */
+function buildLink(target, tasks, batchNumber) {
+  const config = getConfig();
+  switch (target.link.mode) {
+  case 'none':
+    return '';
+  case 'task':
+    // 第一个任务没有链接时退回数据库视图
+    return (tasks[0] && tasks[0].url) || deviceViewUrl(target, config);
+  case 'page':
+    return pageLinkUrl(config.app.publicUrl, target.id, batchNumber, config.app.apiToken);
+  default:
+    return deviceViewUrl(target, config);
+  }
+}
+
+/**
+ * 构建页面级模板变量（见 config/templates 中的 PAGE_VARIABLES）
+ * @param {Array<Task>} tasks 当前页的任务
+ * @param {Object} page 页面信息
+ * @returns {Object} 模板变量
+ */
+function buildPageContext(tasks, { batchNumber = 1, totalBatches = 1, totalTasks = 0, fetchTime = new Date(), startIndex = 0, truncated = false, stale = false } = {}) {
+  return {
+    page: batchNumber,
+    pages: totalBatches,
+    total: totalTasks,
+    truncated,
+    count: tasks.length,
+    start: startIndex + 1,
+    end: startIndex + tasks.length,
+    fetchedAt: fetchTime,
+    stale
+  };
+}
+
+/**
+ * 构建单个任务的模板变量（见 config/templates 中的 TASK_VARIABLES）
+ * @param {Task} task 任务（见 models/task）
+ * @param {number} index 任务序号，从 1 开始
+ * @returns {Object} 模板变量
+ */
+function buildTaskContext(task, index) {
+  const prefix = task.source?.prefix || '';
+  const fields = task.fields || {};
+  return {
+    index,
+    title: task.title,
+    prefix,
+    label: `${prefix}${task.title}`,
+    status: task.status || '',
+    due: task.due ? task.due.start : '',
+    priority: task.priority || '',
+    tags: task.tags || [],
+    people: task.people || [],
+    url: task.url || '',
+    source: task.source?.label || '',
+    extras: Object.values(fields).filter(text => text !== '').join(' · '),
+    fields
+  };
+}
+
 /**
  * 格式化任务列表为消息文本
- * @param {Array} tasks 任务列表
+ * 每个任务按 line 模板渲染一行，前后加上 header 和 footer 模板（为空时省略），
+ * 再按设备型号的列数截断或换行
+ * @param {Array<Task>} tasks 任务列表（见 models/task）
  * @param {number} batchNumber 当前批次编号
  * @param {number} totalBatches 总批次数
  * @param {number} startIndex 任务起始索引
+ * @param {Object} page 其余页面信息，见 buildPageContext
+ * @param {Object} page.device 目标设备（见 config/devices），决定模板和排版，默认为第一台设备
  * @returns {string} 格式化后的消息文本
  */
-function formatTasksMessage(tasks, batchNumber = 1, totalBatches = 1, startIndex = 0) {
+function formatTasksMessage(tasks, batchNumber = 1, totalBatches = 1, startIndex = 0, page = {}) {
   const config = getConfig();
+  const { templates, layout } = page.device || config.quote.devices[0];
+  const renderOptions = { timeZone: config.app.timeZone };
+  const pageContext = buildPageContext(tasks, { ...page, batchNumber, totalBatches, startIndex });
+
   // 使用起始索引确保任务编号在整个列表中是唯一的
-  let tasksText = tasks.map((task, index) => {
-    // 限制任务文本长度为 11 个字，超出部分用...替代
-    const limitedTask = task.length > 11 ? task.substring(0, 11) + '...' : task;
-    return `${startIndex + index + 1}. ${limitedTask}`;
-  }).join('\n');
-  
-  // 限制消息长度
-  if (tasksText.length > config.app.maxMessageLength) {
-    tasksText = tasksText.substring(0, config.app.maxMessageLength) + '...';
-  }
+  const lines = tasks.map((task, index) => renderTemplate(templates.line, {
+    ...pageContext,
+    ...buildTaskContext(task, startIndex + index + 1)
+  }, renderOptions));
+
+  const tasksText = [
+    renderTemplate(templates.header, pageContext, renderOptions),
+    lines.join('\n'),
+    renderTemplate(templates.footer, pageContext, renderOptions)
+  ].filter(text => text !== '').join('\n');
   
-  return tasksText;
+  // 限制消息长度，不拆开 emoji 等由多个码元组成的字符
+  return truncateLength(fitLines(tasksText, layout.columns, layout.overflow), config.app.maxMessageLength);
 }
 
 /**
  * 构建发送到 Quote 设备的请求数据
- * @param {Array} tasks 任务列表
+ * 标题、消息和签名按 config/templates 中的模板渲染，时间按 TIMEZONE 时区显示
+ * @param {Array<Task>} tasks 任务列表（见 models/task）
  * @param {number} batchNumber 当前批次编号
  * @param {number} totalBatches 总批次数
  * @param {number} totalTasks 总任务数
  * @param {Date} fetchTime 任务拉取时间
  * @param {number} startIndex 任务起始索引
+ * @param {Object} options 可选项
+ * @param {boolean} options.truncated 总数是否因分页上限而不完整
+ * @param {boolean} options.stale 任务是否来自快照，默认签名中显示"缓存于"
+ * @param {Object} options.device 目标设备（见 config/devices），默认为第一台设备
+ * @param {boolean} options.refreshNow 是否立即刷新屏幕，默认为 true
+ * @param {string} options.icon 图标的 base64 数据（见 services/icons），默认不显示图标
  * @returns {Object} 请求数据对象
  */
-function buildRequestData(tasks, batchNumber = 1, totalBatches = 1, totalTasks = 0, fetchTime = new Date(), startIndex = 0) {
-  const tasksText = formatTasksMessage(tasks, batchNumber, totalBatches, startIndex);
-  
-  // 转换为北京时间（UTC+8）并格式化为 "21:15:27" 格式
-  // 正确的北京时间计算：基于UTC时间加上8小时
-  const utcTime = new Date(fetchTime);
-  const beijingHours = (utcTime.getUTCHours() + 8) % 24;
-  const beijingMinutes = utcTime.getUTCMinutes();
-  const beijingSeconds = utcTime.getUTCSeconds();
-  
-  // 格式化时间字符串
-  const formattedHours = beijingHours.toString().padStart(2, '0');
-  const formattedMinutes = beijingMinutes.toString().padStart(2, '0');
-  const formattedSeconds = beijingSeconds.toString().padStart(2, '0');
-  const formattedTime = `${formattedHours}:${formattedMinutes}:${formattedSeconds}`;
+function buildRequestData(tasks, batchNumber = 1, totalBatches = 1, totalTasks = 0, fetchTime = new Date(), startIndex = 0, { truncated = false, stale = false, device, refreshNow = true, icon = '' } = {}) {
+  const config = getConfig();
+  const target = device || config.quote.devices[0];
+  const { templates } = target;
+  const renderOptions = { timeZone: config.app.timeZone };
+  const page = { totalTasks, fetchTime, truncated, stale, device: target };
+  const tasksText = formatTasksMessage(tasks, batchNumber, totalBatches, startIndex, page);
+  const pageContext = buildPageContext(tasks, { ...page, batchNumber, totalBatches, startIndex });
   
   return {
-    refreshNow: true,
-    title: `${totalTasks} 个待办事项`,
+    refreshNow,
+    title: renderTemplate(templates.title, pageContext, renderOptions),
     message: tasksText,
-    signature: `第 ${batchNumber} 页，共 ${totalBatches} 页 · ${formattedTime}`,
-    icon: '',
-    link: 'https://www.notion.so/kieker/2a8935d95ce580109f12e9ce4edf114a?v=2aa935d95ce580d99ee9000c1cee44c5',
-    taskKey: ''
+    signature: renderTemplate(templates.signature, pageContext, renderOptions),
+    icon,
+    link: buildLink(target, tasks, batchNumber),
+    taskKey: target.taskKey
   };
 }
 
 /**
- * 发送任务到 Quote 设备
- * @param {Array} tasks 任务列表
- * @param {number} batchInterval 批次间隔时间（分钟）
- * @returns {Promise<boolean>} 是否发送成功
+ * 将一页任务渲染为 PNG
+ * 标题和签名沿用文字模式的模板，任务列表按图片版式排列
+ * @param {Array<Task>} tasks 当前页的任务（见 models/task）
+ * @param {number} batchNumber 当前批次编号
+ * @param {number} totalBatches 总批次数
+ * @param {number} totalTasks 总任务数
+ * @param {Date} fetchTime 任务拉取时间
+ * @param {number} startIndex 任务起始索引
+ * @param {Object} options 可选项，见 buildRequestData
+ * @returns {Buffer} PNG 文件内容
+ * @throws {Error} 字体无法加载时抛出
  */
-async function sendToQuoteDevice(tasks, batchInterval = 3) {
+function renderPageImage(tasks, batchNumber = 1, totalBatches = 1, totalTasks = 0, fetchTime = new Date(), startIndex = 0, options = {}) {
   const config = getConfig();
-  // 计算总任务数和批次数
-  const totalTasks = tasks.length;
-  const batchSize = 3; // 每批3个任务
-  const totalBatches = Math.ceil(totalTasks / batchSize);
-  
-  // 计算当前批次
-  const now = new Date();
-  const minutesSinceMidnight = now.getHours() * 60 + now.getMinutes();
-  // 确保当前批次在有效范围内：1 到 totalBatches
-  const currentBatch = Math.floor((minutesSinceMidnight / batchInterval) % totalBatches) + 1;
-  
-  info(`当前时间计算的批次: ${currentBatch}/${totalBatches}`);
-  
-  // 计算当前批次的任务范围
+  const target = options.device || config.quote.devices[0];
+  const { title, signature } = buildRequestData(tasks, batchNumber, totalBatches, totalTasks, fetchTime, startIndex, { ...options, device: target });
+
+  return renderTasksPng(
+    tasks,
+    { title, signature, batchNumber, totalBatches, startIndex, totalTasks },
+    { fontPath: target.fontPath, layout: target.layout, timeZone: config.app.timeZone }
+  );
+}
+
+/**
+ * 构建发送到图片 API 的请求数据
+ * @param {Buffer} png PNG 文件内容
+ * @param {Object} options 可选项
+ * @param {boolean} options.refreshNow 是否立即刷新屏幕，默认为 true
+ * @param {string} options.link 点击设备时打开的链接（见 buildLink）
+ * @param {string} options.taskKey 设备的 taskKey
+ * @returns {Object} 请求数据对象
+ */
+function buildImageData(png, { refreshNow = true, link = '', taskKey = '' } = {}) {
+  return {
+    refreshNow,
+    image: png.toString('base64'),
+    border: 0,
+    link,
+    taskKey
+  };
+}
+
+/**
+ * 取出指定页的任务
+ * @param {Array<Task>} tasks 任务列表
+ * @param {number} batchSize 每批任务数
+ * @param {number} page 页码，从 1 开始（见 services/pageCursor）
+ * @returns {Object} { currentBatch, totalBatches, startIndex, batchTasks }，没有任务时 currentBatch 为 0
+ */
+function selectBatch(tasks, batchSize, page) {
+  const totalBatches = Math.ceil(tasks.length / batchSize);
+  if (totalBatches === 0) {
+    return { currentBatch: 0, totalBatches, startIndex: 0, batchTasks: [] };
+  }
+
+  const currentBatch = Math.min(Math.max(page, 1), totalBatches);
   const startIndex = (currentBatch - 1) * batchSize;
-  const endIndex = Math.min(startIndex + batchSize, totalTasks);
-  const batchTasks = tasks.slice(startIndex, endIndex);
-  
-  // 使用正确的参数构建请求数据，确保传递startIndex
-  const requestData = buildRequestData(batchTasks, currentBatch, totalBatches, totalTasks, new Date(), startIndex);
-  
+  return {
+    currentBatch,
+    totalBatches,
+    startIndex,
+    batchTasks: tasks.slice(startIndex, Math.min(startIndex + batchSize, tasks.length))
+  };
+}
+
+/**
+ * 发送一个批次的请求数据到设备
+ * @param {Object} target 目标设备（见 config/devices）
+ * @param {string} endpoint 文字或图片 API 地址
+ * @param {Object} requestData 请求数据
+ * @param {number} currentBatch 当前批次编号，用于日志
+ * @returns {Promise<boolean>} 是否发送成功
+ */
+async function postBatch(target, endpoint, requestData, currentBatch) {
+  const config = getConfig();
+
   try {
-    info('发送任务到 Quote 设备', { taskCount: tasks.length });
-    
-    const response = await axios.post(
-      config.quote.apiEndpoint,
-      requestData,
-      {
-        headers: {
-          'Authorization': `Bearer ${config.quote.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: config.app.timeout
-      }
-    );
+    // 同一设备的推送使用固定的 taskKey，重复发送只会替换为相同的内容，可以安全重试
+    const response = await request('post', endpoint, {
+      ...config.http,
+      idempotent: true,
+      data: requestData,
+      headers: {
+        'Authorization': `Bearer ${target.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: config.app.timeout
+    });
     
     // 验证响应
     if (response && (response.status === 200 || response.data.code === 200)) {
-      info('发送成功！', { status: response.status });
+      info(`[${target.id}] 批次发送成功！`, { 
+        batch: currentBatch, 
+        status: response.status 
+      });
       return true;
     } else {
-      error('发送失败', { status: response?.status, data: response?.data });
+      error(`[${target.id}] 批次发送失败`, { 
+        batch: currentBatch,
+        status: response?.status, 
+        data: response?.data 
+      });
       return false;
     }
   } catch (err) {
-    error('发送到 Quote 设备时出错', { error: err.message });
+    error(`[${target.id}] 发送批次任务到 Quote 设备时出错`, { 
+      batch: currentBatch,
+      error: err.message 
+    });
     if (err.response) {
       // 服务器返回错误状态码
       error('响应状态错误', { status: err.response.status, data: err.response.data });
@@ -134,95 +291,146 @@ async function sendToQuoteDevice(tasks, batchInterval = 3) {
   }
 }
 
-async function sendTasksInBatches(tasks, batchSize = 3, intervalMinutes = 2) {
+/**
+ * 发送任务到第一台 Quote 设备
+ * @param {Array} tasks 任务列表
+ * @returns {Promise<boolean>} 是否发送成功
+ */
+async function sendToQuoteDevice(tasks) {
+  const device = getConfig().quote.devices[0];
+  const { success } = await sendTasksInBatches(tasks, device.pageSize, { device });
+  return success;
+}
+
+/**
+ * 计算一页内容的哈希，用于判断与上次推送相比是否有变化
+ * 拉取时间固定为同一值，签名等模板中的时间戳不影响结果；图片模式的截止日期标签随日期变化，因此计入当天日期
+ * @param {Object} target 目标设备
+ * @param {string} mode 推送模式
+ * @param {Array<Task>} batchTasks 当前页的任务
+ * @param {Object} page 页面信息 { currentBatch, totalBatches, total, startIndex, truncated, stale, icon }
+ * @returns {string} 哈希
+ */
+function pageContentHash(target, mode, batchTasks, { currentBatch, totalBatches, total, startIndex, truncated, stale, icon }) {
+  const config = getConfig();
+  const { title, message, signature, link } = buildRequestData(batchTasks, currentBatch, totalBatches, total, new Date(0), startIndex, { truncated, stale, device: target });
+  return contentHash({
+    mode,
+    page: currentBatch,
+    title,
+    message,
+    signature,
+    link,
+    icon: mode === 'text' ? icon : '',
+    due: batchTasks.map(task => task.due),
+    date: mode === 'image' ? formatDatePattern(new Date(), 'YYYY-MM-DD', { timeZone: config.app.timeZone }) : null
+  });
+}
+
+/**
+ * 按设备的翻页游标选择一个批次发送到 Quote 设备，每次推送前进一页；
+ * 推送失败时不保存游标，下次仍显示同一页
+ * 图片模式的设备先发送渲染好的图片，失败时改用文字。
+ * 内容与上次推送相同时按设备的 onUnchanged 设置跳过或不立即刷新屏幕
+ * @param {Array<Task>} tasks 任务列表（见 models/task）
+ * @param {number} batchSize 每批任务数
+ * @param {Object} options 可选项
+ * @param {number} options.total 任务总数，默认为 tasks.length
+ * @param {boolean} options.truncated 总数是否因分页上限而不完整
+ * @param {boolean} options.stale 任务是否来自快照
+ * @param {Date} options.fetchedAt 任务获取时间，默认为当前时间
+ * @param {Object} options.device 目标设备（见 config/devices），默认为第一台设备
+ * @param {number} options.page 指定显示的页码，之后从该页继续翻页
+ * @param {boolean} options.advance 是否允许前进一页，默认为 true；为 false 时刷新当前页
+ * @param {boolean} options.force 内容未变化时也照常推送并刷新屏幕
+ * @returns {Promise<Object>} { success, push, page, pages }
+ *   push 为 sent（已推送并刷新）、quiet（已推送但不立即刷新）、skipped（内容未变化，未推送）、
+ *   empty（没有任务）或 failed（推送失败）；page 和 pages 为本次显示的页码和总页数
+ */
+async function sendTasksInBatches(tasks, batchSize = 3, { total = tasks.length, truncated = false, stale = false, fetchedAt = new Date(), device, page, advance = true, force = false } = {}) {
   info('开始同步操作');
   
   try {
     const config = getConfig();
+    const target = device || config.quote.devices[0];
+    // 分批基于实际获取到的任务，标题中显示的总数使用 total
     const totalTasks = tasks.length;
     const totalBatches = Math.ceil(totalTasks / batchSize);
     
-    // 记录任务拉取时间
-    const fetchTime = new Date();
+    // 任务拉取时间，使用快照时为快照的保存时间
+    const fetchTime = fetchedAt;
     
-    info(`开始分批发送任务，共 ${totalTasks} 个任务，${totalBatches} 批，每批 ${batchSize} 个任务`);
+    info(`[${target.id}] 开始分批发送任务，共 ${total}${truncated ? '+' : ''} 个任务，${totalBatches} 批，每批 ${batchSize} 个任务`);
     
     // 如果任务数量为 0，返回成功
     if (totalTasks === 0) {
-      info('没有任务需要发送');
-      return true;
+      info(`[${target.id}] 没有任务需要发送`);
+      return { success: true, push: 'empty', page: 0, pages: 0 };
     }
     
-    // 根据当前时间计算应该显示的批次
-    // 使用分钟数作为种子，每 intervalMinutes 分钟切换一次批次
-    const now = new Date();
-    const minutesSinceMidnight = now.getHours() * 60 + now.getMinutes();
-    const batchInterval = intervalMinutes; // 使用传入的批次间隔时间
-    const currentBatch = Math.floor((minutesSinceMidnight / batchInterval) % totalBatches) + 1;
-    
-    info(`当前时间计算的批次: ${currentBatch}/${totalBatches}`);
+    // 根据设备的翻页游标确定本次显示的批次，推送成功或内容未变化时才保存游标
+    const cursor = await resolvePage(target.id, tasks, batchSize, { page, advance });
+    const { currentBatch, startIndex, batchTasks } = selectBatch(tasks, batchSize, cursor.page);
+    const outcome = push => ({ success: push !== 'failed', push, page: currentBatch, pages: totalBatches });
     
-    // 计算当前批次的任务范围
-    const startIndex = (currentBatch - 1) * batchSize;
-    const endIndex = Math.min(startIndex + batchSize, totalTasks);
-    const batchTasks = tasks.slice(startIndex, endIndex);
+    info(`[${target.id}] ${page ? '指定' : '翻页游标'}的批次: ${currentBatch}/${totalBatches}`);
+    info(`[${target.id}] 当前批次任务: ${batchTasks.length} 个 (${currentBatch}/${totalBatches})`, { tasks: batchTasks.map(task => task.title) });
     
-    info(`当前批次任务: ${batchTasks.length} 个 (${currentBatch}/${totalBatches})`, { tasks: batchTasks });
-    
-    // 发送当前批次的任务
-    const requestData = buildRequestData(batchTasks, currentBatch, totalBatches, totalTasks, fetchTime, startIndex);
+    // 与上次推送的内容比较，记录中保存实际使用的推送模式，图片改用文字发送后下次仍会重试图片
+    const icon = await resolveIcon(target, batchTasks);
+    const pageInfo = { currentBatch, totalBatches, total, startIndex, truncated, stale, icon };
+    const hash = pageContentHash(target, target.mode, batchTasks, pageInfo);
+    const unchanged = !force && (await loadLastPush(target.id))?.hash === hash;
+    if (unchanged && target.onUnchanged === 'skip') {
+      info(`[${target.id}] 内容与上次推送相同，跳过推送`, { batch: currentBatch });
+      await saveCursor(target.id, tasks, batchSize, cursor);
+      return outcome('skipped');
+    }
+    const refreshNow = !unchanged || target.onUnchanged === 'refresh';
     
-    try {
-      info('发送批次任务到 Quote 设备', { 
-        batch: currentBatch, 
-        totalBatches, 
-        taskCount: batchTasks.length 
-      });
-      
-      const response = await axios.post(
-        config.quote.apiEndpoint,
-        requestData,
-        {
-          headers: {
-            'Authorization': `Bearer ${config.quote.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: config.app.timeout
-        }
-      );
-      
-      // 验证响应
-      if (response && (response.status === 200 || response.data.code === 200)) {
-        info('批次发送成功！', { 
-          batch: currentBatch, 
-          status: response.status 
-        });
-        return true;
-      } else {
-        error('批次发送失败', { 
-          batch: currentBatch,
-          status: response?.status, 
-          data: response?.data 
+    const pageOptions = { truncated, stale, device: target, refreshNow, icon };
+    info(`[${target.id}] 发送批次任务到 Quote 设备`, { 
+      batch: currentBatch, 
+      totalBatches, 
+      taskCount: batchTasks.length,
+      mode: target.mode,
+      refreshNow
+    });
+    const sent = async mode => {
+      await saveLastPush(target.id, mode === target.mode ? hash : pageContentHash(target, mode, batchTasks, pageInfo));
+      await saveCursor(target.id, tasks, batchSize, cursor);
+      return outcome(refreshNow ? 'sent' : 'quiet');
+    };
+
+    // 图片模式：渲染或发送失败时改用文字 API，保证设备上仍有内容
+    if (target.mode === 'image') {
+      let imageData = null;
+      try {
+        imageData = buildImageData(renderPageImage(batchTasks, currentBatch, totalBatches, total, fetchTime, startIndex, pageOptions), {
+          refreshNow,
+          link: buildLink(target, batchTasks, currentBatch),
+          taskKey: target.taskKey
         });
-        return false;
+      } catch (err) {
+        warn(`[${target.id}] 渲染图片失败，改用文字发送`, { error: err.message });
       }
-    } catch (err) {
-      error('发送批次任务到 Quote 设备时出错', { 
-        batch: currentBatch,
-        error: err.message 
-      });
-      if (err.response) {
-        // 服务器返回错误状态码
-        error('响应状态错误', { status: err.response.status, data: err.response.data });
-      } else if (err.request) {
-        // 请求已发送但没有收到响应
-        error('没有收到响应');
+      if (imageData && await postBatch(target, target.imageEndpoint, imageData, currentBatch)) {
+        return sent('image');
       }
-      return false;
+      if (imageData) {
+        warn(`[${target.id}] 图片发送失败，改用文字发送`, { batch: currentBatch });
+      }
+    }
+    
+    // 发送当前批次的任务
+    const requestData = buildRequestData(batchTasks, currentBatch, totalBatches, total, fetchTime, startIndex, pageOptions);
+    if (await postBatch(target, target.apiEndpoint, requestData, currentBatch)) {
+      return sent('text');
     }
+    return outcome('failed');
   } catch (err) {
-    error('分批发送任务时出错', { error: err.message });
-    return false;
+    error('分批发送任务时出错', { device: device?.id, error: err.message });
+    return { success: false, push: 'failed', page: null, pages: null };
   }
 }
 
@@ -230,5 +438,10 @@ module.exports = {
   sendToQuoteDevice,
   sendTasksInBatches,
   formatTasksMessage,
-  buildRequestData
+  buildRequestData,
+  buildImageData,
+  renderPageImage,
+  selectBatch,
+  buildLink,
+  deviceViewUrl
 };
@@ -0,0 +1,171 @@
+const { nextRun, maxInterval } = require('../utils/cron');
+const { info, warn, error } = require('../utils/logger');
+
+/**
+ * 定时调度模块
+ * 按 cron 表达式定时执行任务，供守护模式使用：
+ * - 每次执行前随机延迟 0 到 jitterMs 毫秒，避免多个实例在整点同时请求
+ * - 上一次执行尚未结束时跳过本次，不会重叠执行
+ * - 调度状态保存在存储中，重启后补上停机期间错过的一次执行
+ * 同时提供定时计划与设备翻页间隔的一致性检查，供守护模式和 Vercel Cron 使用
+ */
+
+/**
+ * 调度状态在存储中的键
+ */
+const STATE_KEY = 'scheduler:state';
+
+/**
+ * 单次定时器的最长等待时间，超过时分段等待（setTimeout 最多约 24.8 天，分段也能及时跟上系统时间的调整）
+ */
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+/**
+ * 创建调度器
+ * @param {Object} options 选项
+ * @param {Object} options.schedule cron 计划（见 utils/cron 中的 parseCron）
+ * @param {string} options.timeZone cron 表达式使用的 IANA 时区
+ * @param {number} options.jitterMs 随机延迟上限（毫秒）
+ * @param {Function} options.run 要执行的异步函数，返回 { success, message }
+ * @param {Object} options.store 保存调度状态的存储（见 storage）
+ * @returns {Object} { start, stop, isRunning }
+ */
+function createScheduler({ schedule, timeZone, jitterMs = 0, run, store }) {
+  let timer = null;
+  let running = null;
+  let stopped = false;
+  let state = {};
+
+  const saveState = async changes => {
+    state = { ...state, ...changes, expression: schedule.expression };
+    try {
+      await store.set(STATE_KEY, state);
+    } catch (err) {
+      warn('保存调度状态失败', { error: err.message });
+    }
+  };
+
+  const execute = async reason => {
+    if (running) {
+      warn(`上一次同步尚未结束，跳过本次${reason}执行`);
+      return;
+    }
+
+    const startedAt = new Date();
+    running = (async () => {
+      let outcome;
+      try {
+        outcome = await run();
+      } catch (err) {
+        error('定时同步出错', { error: err.message, stack: err.stack });
+        outcome = { success: false, message: err.message };
+      }
+      await saveState({
+        lastRunAt: startedAt.toISOString(),
+        lastSuccess: outcome.success,
+        lastMessage: outcome.message,
+        durationMs: Date.now() - startedAt.getTime()
+      });
+    })();
+
+    try {
+      await running;
+    } finally {
+      running = null;
+    }
+  };
+
+  const wait = (target, callback) => {
+    const delay = target - Date.now();
+    if (delay > MAX_TIMER_MS) {
+      timer = setTimeout(() => wait(target, callback), MAX_TIMER_MS);
+    } else {
+      timer = setTimeout(callback, Math.max(0, delay));
+    }
+  };
+
+  const scheduleNext = () => {
+    if (stopped) {
+      return;
+    }
+    const next = nextRun(schedule, new Date(), timeZone);
+    const jitter = Math.floor(Math.random() * jitterMs);
+    saveState({ nextRunAt: next.toISOString() });
+    info(`下一次同步: ${next.toISOString()}${jitter > 0 ? `（随机延迟 ${Math.round(jitter / 1000)} 秒）` : ''}`);
+
+    wait(next.getTime() + jitter, () => {
+      timer = null;
+      // 先安排下一次，执行时间较长时下一次按时触发并因重叠被跳过，不会打乱计划
+      scheduleNext();
+      execute('定时');
+    });
+  };
+
+  return {
+    /**
+     * 读取调度状态并开始调度；停机期间错过了计划的执行时，启动后立即补执行一次
+     * @returns {Promise<void>}
+     */
+    async start() {
+      try {
+        state = (await store.get(STATE_KEY)) || {};
+      } catch (err) {
+        warn('读取调度状态失败，按首次启动处理', { error: err.message });
+        state = {};
+      }
+
+      const missed = state.expression === schedule.expression
+        && state.nextRunAt
+        && Date.parse(state.nextRunAt) < Date.now();
+      scheduleNext();
+      if (missed) {
+        info(`停机期间错过了 ${state.nextRunAt} 的同步，立即补执行`);
+        execute('补');
+      }
+    },
+
+    /**
+     * 停止调度，等待正在进行的执行结束
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      stopped = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      if (running) {
+        await running;
+      }
+    },
+
+    /**
+     * 是否有正在进行的执行
+     * @returns {boolean}
+     */
+    isRunning() {
+      return running !== null;
+    }
+  };
+}
+
+/**
+ * 检查定时计划的触发频率能否跟上各设备的翻页间隔
+ * @param {Object} schedule cron 计划（见 utils/cron 中的 parseCron）
+ * @param {string} timeZone cron 表达式使用的 IANA 时区
+ * @param {Array<Object>} devices 设备列表（见 config/devices）
+ * @param {Date} now 从该时刻开始检查
+ * @returns {Array<string>} 警告信息，频率足够时为空数组
+ */
+function checkCronFrequency(schedule, timeZone, devices, now = new Date()) {
+  const minutes = Math.ceil(maxInterval(schedule, now, timeZone) / 60000);
+  return devices
+    .filter(device => device.rotationMinutes < minutes)
+    .map(device => `定时计划 ${schedule.expression} 最长间隔 ${minutes} 分钟，跟不上设备 ${device.id} 的翻页间隔 ${device.rotationMinutes} 分钟`);
+}
+
+module.exports = {
+  STATE_KEY,
+  createScheduler,
+  checkCronFrequency
+};
@@ -0,0 +1,198 @@
+const { OPTIONAL_FIELDS } = require('../config/propertyMapping');
+
+/**
+ * 数据库结构检查模块
+ * 列出数据库属性、推荐属性映射和过滤条件，并找出当前配置引用但数据库中不存在的属性
+ */
+
+/**
+ * 提取数据库属性列表
+ * @param {Object} database `databases.retrieve` 返回的数据库对象
+ * @returns {Array<Object>} [{ name, type, options, groups }]，options 为 select / status / multi_select 的选项
+ */
+function describeProperties(database) {
+  return Object.entries(database.properties || {}).map(([name, property]) => {
+    const config = property[property.type] || {};
+    return {
+      name,
+      type: property.type,
+      options: (config.options || []).map(option => option.name),
+      // status 类型的选项按"未开始 / 进行中 / 已完成"分组
+      groups: (config.groups || []).map(group => ({
+        name: group.name,
+        options: (config.options || [])
+          .filter(option => (group.option_ids || []).includes(option.id))
+          .map(option => option.name)
+      }))
+    };
+  });
+}
+
+/**
+ * 按类型和名称关键字查找属性
+ * @param {Array<Object>} properties describeProperties 的返回值
+ * @param {Array<string>} types 可接受的类型，按优先级排列
+ * @param {RegExp} pattern 名称关键字，优先返回名称匹配的属性
+ * @param {boolean} fallback 没有名称匹配的属性时，是否返回第一个类型匹配的属性
+ * @returns {Object|undefined} 属性
+ */
+function findProperty(properties, types, pattern, fallback = true) {
+  for (const type of types) {
+    const candidates = properties.filter(property => property.type === type);
+    const matched = pattern ? candidates.find(property => pattern.test(property.name)) : undefined;
+    if (matched) {
+      return matched;
+    }
+    if (fallback && candidates.length > 0) {
+      return candidates[0];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * 查找 status 属性中指定分组的选项
+ * @param {Object} property status 属性
+ * @param {RegExp} pattern 分组名称关键字
+ * @returns {Array<string>} 选项名称
+ */
+function groupOptions(property, pattern) {
+  const group = property.groups.find(item => pattern.test(item.name));
+  return group ? group.options : [];
+}
+
+/**
+ * 根据数据库属性推荐属性映射
+ * @param {Array<Object>} properties describeProperties 的返回值
+ * @returns {Object} 推荐的属性映射（字段同 config/propertyMapping）
+ */
+function proposeMapping(properties) {
+  const STATUS_NAME = /状态|status|stage|进度/i;
+  const title = findProperty(properties, ['title']);
+  const status = findProperty(properties, ['status', 'select'], STATUS_NAME);
+  const sort = findProperty(properties, ['created_time', 'date'], /创建|created/i);
+  const due = findProperty(properties, ['date'], /截止|到期|due|deadline/i);
+  const priority = findProperty(properties, ['select', 'status', 'number'], /优先|priority|紧急/i, false);
+  const tags = findProperty(properties, ['multi_select'], /标签|tag|分类|category/i);
+  const people = findProperty(properties, ['people'], /负责|执行|assignee|owner/i);
+
+  const mapping = {
+    statusProperty: status ? status.name : '',
+    statusValues: [],
+    titleProperty: title ? title.name : '',
+    sortProperty: sort ? sort.name : '',
+    sortDirection: 'descending',
+    dueProperty: due ? due.name : '',
+    priorityProperty: priority && priority !== status ? priority.name : '',
+    tagsProperty: tags ? tags.name : '',
+    peopleProperty: people ? people.name : '',
+    doneValue: '',
+    statusFlow: []
+  };
+
+  if (status) {
+    const inProgress = status.type === 'status'
+      ? groupOptions(status, /in progress|进行/i)
+      : status.options.filter(option => /进行|doing|in progress/i.test(option));
+    const done = status.type === 'status'
+      ? groupOptions(status, /complete|完成/i)
+      : status.options.filter(option => /完成|done|complete/i.test(option));
+
+    mapping.statusValues = inProgress.length > 0 ? inProgress : status.options.slice(0, 1);
+    mapping.doneValue = done[0] || '';
+    mapping.statusFlow = status.type === 'status'
+      ? status.groups.flatMap(group => group.options)
+      : status.options;
+  }
+
+  return mapping;
+}
+
+/**
+ * 将推荐映射转换为可以直接粘贴到 .env 的配置行
+ * @param {Object} mapping 推荐的属性映射
+ * @returns {Array<string>} 配置行
+ */
+function mappingToEnvLines(mapping) {
+  const lines = [
+    ['NOTION_STATUS_PROPERTY', mapping.statusProperty],
+    ['NOTION_STATUS_VALUES', mapping.statusValues.join(',')],
+    ['NOTION_TITLE_PROPERTY', mapping.titleProperty],
+    ['NOTION_SORT_PROPERTY', mapping.sortProperty],
+    ['NOTION_SORT_DIRECTION', mapping.sortDirection],
+    ['NOTION_DUE_PROPERTY', mapping.dueProperty],
+    ['NOTION_PRIORITY_PROPERTY', mapping.priorityProperty],
+    ['NOTION_TAGS_PROPERTY', mapping.tagsProperty],
+    ['NOTION_PEOPLE_PROPERTY', mapping.peopleProperty],
+    ['NOTION_DONE_STATUS', mapping.doneValue],
+    ['NOTION_STATUS_FLOW', mapping.statusFlow.join(',')]
+  ];
+  return lines.map(([name, value]) => (value ? `${name}=${value}` : `# ${name}=`));
+}
+
+/**
+ * 根据推荐映射生成声明式过滤条件示例
+ * @param {Object} mapping 推荐的属性映射
+ * @returns {Object|null} 过滤条件，没有状态属性时为 null
+ */
+function proposeFilter(mapping) {
+  if (!mapping.statusProperty) {
+    return null;
+  }
+  const conditions = [{ property: mapping.statusProperty, in: mapping.statusValues }];
+  if (mapping.dueProperty) {
+    conditions.push({ property: mapping.dueProperty, withinDays: 7 });
+  }
+  return conditions.length === 1 ? conditions[0] : { and: conditions };
+}
+
+/**
+ * 收集过滤条件中引用的属性名
+ * @param {Object|null} spec 声明式过滤条件
+ * @returns {Array<string>} 属性名
+ */
+function filterProperties(spec) {
+  if (!spec) {
+    return [];
+  }
+  const compound = spec.and || spec.or;
+  if (compound) {
+    return compound.flatMap(filterProperties);
+  }
+  return spec.property ? [spec.property] : [];
+}
+
+/**
+ * 找出数据源配置引用但数据库中不存在的属性
+ * @param {Object} source 数据源（见 config/sources）
+ * @param {Array<Object>} properties describeProperties 的返回值
+ * @returns {Array<string>} 问题描述
+ */
+function findMissingReferences(source, properties) {
+  const names = new Set(properties.map(property => property.name));
+  const { mapping } = source;
+  const references = [];
+
+  ['statusProperty', 'titleProperty', ...OPTIONAL_FIELDS].forEach(field => {
+    if (mapping[field]) {
+      references.push([`mapping.${field}`, mapping[field]]);
+    }
+  });
+  (mapping.extraProperties || []).forEach(name => references.push(['mapping.extraProperties', name]));
+  (mapping.sorts || [])
+    .filter(sort => sort.property)
+    .forEach(sort => references.push(['mapping.sorts', sort.property]));
+  filterProperties(source.filter).forEach(name => references.push(['filter', name]));
+
+  return references
+    .filter(([, name]) => !names.has(name))
+    .map(([field, name]) => `${field} 引用的属性 "${name}" 不存在`);
+}
+
+module.exports = {
+  describeProperties,
+  proposeMapping,
+  proposeFilter,
+  mappingToEnvLines,
+  findMissingReferences
+};
@@ -0,0 +1,64 @@
+const { getStore } = require('../storage');
+const { info, warn } = require('../utils/logger');
+
+/**
+ * 任务快照模块
+ * 每次成功获取数据源的任务后保存快照，Notion 请求失败时用最近一次成功的快照代替
+ */
+
+/**
+ * 快照的保留时间（毫秒），数据源长期没有成功获取或已被删除时快照自动过期
+ */
+const SNAPSHOT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * 数据源快照的存储键
+ * @param {string} sourceId 数据源 ID
+ * @returns {string} 存储键
+ */
+function snapshotKey(sourceId) {
+  return `snapshot:${sourceId}`;
+}
+
+/**
+ * 保存数据源的任务快照，保存失败只记录警告，不影响同步
+ * @param {string} sourceId 数据源 ID
+ * @param {Object} result getNotionTasks 的返回值 { tasks, total, truncated }
+ * @param {Date} fetchedAt 获取时间
+ * @returns {Promise<void>}
+ */
+async function saveSnapshot(sourceId, result, fetchedAt = new Date()) {
+  try {
+    await getStore().set(snapshotKey(sourceId), {
+      tasks: result.tasks,
+      total: result.total,
+      truncated: result.truncated,
+      fetchedAt: fetchedAt.toISOString()
+    }, { ttl: SNAPSHOT_TTL_MS });
+  } catch (err) {
+    warn(`[${sourceId}] 保存任务快照失败`, { error: err.message });
+  }
+}
+
+/**
+ * 读取数据源最近一次成功获取的任务快照
+ * @param {string} sourceId 数据源 ID
+ * @returns {Promise<Object|null>} { tasks, total, truncated, fetchedAt }，没有快照时为 null
+ */
+async function loadSnapshot(sourceId) {
+  try {
+    const snapshot = await getStore().get(snapshotKey(sourceId));
+    if (snapshot) {
+      info(`[${sourceId}] 使用 ${snapshot.fetchedAt} 保存的任务快照`);
+    }
+    return snapshot;
+  } catch (err) {
+    warn(`[${sourceId}] 读取任务快照失败`, { error: err.message });
+    return null;
+  }
+}
+
+module.exports = {
+  saveSnapshot,
+  loadSnapshot
+};
@@ -1,83 +1,386 @@
+const { getConfig } = require('../config');
 const { getNotionTasks } = require('./notion');
 const { sendTasksInBatches } = require('./quote');
-const { info, error } = require('../utils/logger');
+const { saveSnapshot, loadSnapshot } = require('./snapshot');
+const { activeProfile, applyProfile } = require('./profiles');
+const { getStore } = require('../storage');
+const { ExternalApiError } = require('../utils/errorHandler');
+const { info, warn, error } = require('../utils/logger');
+const { minutesOfDay, isWithinTimeRange } = require('../utils/time');
 
 /**
  * 同步服务模块
  * 封装所有同步相关的公共逻辑，包括：
  * - 同步操作协调
- * - API 调用频率限制
+ * - 多数据源任务汇总与快照降级
+ * - 多设备并发推送
+ * - 按时段切换显示方案
+ * - API 调用频率限制（计数保存在存储中，Serverless 的多个实例共用）
  * - 批次计算
  */
 
 // API 调用频率限制
-const apiCalls = [];
 const MAX_CALLS_PER_MINUTE = 60; // 每分钟最多 60 次调用
+const RATE_LIMIT_WINDOW_MS = 60000;
+
+/**
+ * 当前分钟的调用计数在存储中的键
+ * @param {number} now 当前时间戳（毫秒）
+ * @returns {string} 存储键
+ */
+function rateLimitKey(now) {
+  return `rateLimit:sync:${Math.floor(now / RATE_LIMIT_WINDOW_MS)}`;
+}
 
 /**
  * 检查是否超过 API 调用频率限制
- * @returns {boolean} 是否超过限制
+ * 存储不可用时不限制，避免存储故障导致同步全部停止
+ * @returns {Promise<boolean>} 是否超过限制
+ */
+async function isOverRateLimit() {
+  try {
+    const count = await getStore().get(rateLimitKey(Date.now()));
+    return (count || 0) >= MAX_CALLS_PER_MINUTE;
+  } catch (err) {
+    warn('读取 API 调用计数失败，本次不做频率限制', { error: err.message });
+    return false;
+  }
+}
+
+/**
+ * 记录 API 调用，计数在下一分钟过后自动过期
+ * @returns {Promise<number>} 当前分钟内包括本次在内的调用次数，存储不可用时为 0
+ */
+async function recordApiCall() {
+  try {
+    return await getStore().incr(rateLimitKey(Date.now()), { ttl: RATE_LIMIT_WINDOW_MS * 2 });
+  } catch (err) {
+    warn('记录 API 调用失败，本次不做频率限制', { error: err.message });
+    return 0;
+  }
+}
+
+/**
+ * 记录一次 API 调用并检查频率限制，先计数再比较，多个实例同时调用时也不会超出；同步和预览共用同一计数
+ * @returns {Promise<boolean>} 是否允许本次调用
+ */
+async function acquireApiCall() {
+  return (await recordApiCall()) <= MAX_CALLS_PER_MINUTE;
+}
+
+/**
+ * 按时间字段降序比较，空值排在最后
+ * @param {string} field 任务时间字段
+ * @returns {Function} 比较函数
+ */
+function byTimeDesc(field) {
+  return (a, b) => {
+    if (!a[field] || !b[field]) {
+      return (a[field] ? 0 : 1) - (b[field] ? 0 : 1);
+    }
+    return new Date(b[field]) - new Date(a[field]);
+  };
+}
+
+/**
+ * 合并排序方式对应的比较函数
+ */
+const MERGE_COMPARATORS = {
+  due: (a, b) => {
+    if (!a.due || !b.due) {
+      return (a.due ? 0 : 1) - (b.due ? 0 : 1);
+    }
+    return new Date(a.due.start) - new Date(b.due.start);
+  },
+  created: byTimeDesc('createdAt'),
+  edited: byTimeDesc('lastEditedAt')
+};
+
+/**
+ * 合并多个数据源的任务：按页面 ID 去重（保留先出现的），再按配置的方式排序
+ * @param {Array<Array<Task>>} taskLists 各数据源的任务列表，按数据源顺序排列
+ * @param {string} mergeOrder 合并排序方式（见 config/sources 中的 MERGE_ORDERS）
+ * @returns {Object} { tasks, duplicates }
+ */
+function mergeTasks(taskLists, mergeOrder = 'source') {
+  const seen = new Set();
+  const tasks = [];
+  let duplicates = 0;
+
+  taskLists.flat().forEach(task => {
+    if (task.id && seen.has(task.id)) {
+      duplicates++;
+      return;
+    }
+    seen.add(task.id);
+    tasks.push(task);
+  });
+
+  // Array.prototype.sort 是稳定排序，相同键时保持数据源顺序
+  if (MERGE_COMPARATORS[mergeOrder]) {
+    tasks.sort(MERGE_COMPARATORS[mergeOrder]);
+  }
+
+  return { tasks, duplicates };
+}
+
+/**
+ * 从单个数据源获取任务，成功时保存快照，失败时退回到最近一次的快照
+ * @param {Object} source 数据源
+ * @param {Date} now 本次同步时间
+ * @returns {Promise<Object>} { result, fetchedAt, stale, error }，没有可用结果时 result 为 null
  */
-function isOverRateLimit() {
-  const now = Date.now();
-  // 过滤出一分钟内的调用
-  const recentCalls = apiCalls.filter(timestamp => now - timestamp < 60000);
-  return recentCalls.length >= MAX_CALLS_PER_MINUTE;
+async function fetchSourceWithFallback(source, now) {
+  try {
+    const result = await getNotionTasks(source);
+    await saveSnapshot(source.id, result, now);
+    return { result, fetchedAt: now, stale: false, error: null };
+  } catch (err) {
+    const snapshot = await loadSnapshot(source.id);
+    return {
+      result: snapshot,
+      fetchedAt: snapshot ? new Date(snapshot.fetchedAt) : null,
+      stale: Boolean(snapshot),
+      error: err
+    };
+  }
 }
 
 /**
- * 记录 API 调用
+ * 从所有数据源获取任务并合并
+ * 单个数据源失败时使用该数据源最近一次的快照，没有快照时跳过该数据源
+ * @param {Array<Object>} sources 数据源列表（见 config/sources）
+ * @param {string} mergeOrder 合并排序方式
+ * @returns {Promise<Object>} { tasks, total, truncated, failures, stale, fetchedAt }
+ *   stale 表示部分任务来自快照，fetchedAt 为所用数据中最早的获取时间
+ * @throws {ExternalApiError} 所有数据源都失败且没有可用快照时抛出
  */
-function recordApiCall() {
-  apiCalls.push(Date.now());
-  // 清理旧的调用记录
-  const now = Date.now();
-  while (apiCalls.length > 0 && now - apiCalls[0] >= 60000) {
-    apiCalls.shift();
+async function collectTasks(sources, mergeOrder = 'source') {
+  const now = new Date();
+  const outcomes = await Promise.all(sources.map(source => fetchSourceWithFallback(source, now)));
+
+  const failures = outcomes
+    .map((outcome, index) => ({ outcome, source: sources[index] }))
+    .filter(({ outcome }) => outcome.error)
+    .map(({ outcome, source }) => ({
+      source: source.id,
+      error: outcome.error.message,
+      snapshot: outcome.stale ? outcome.fetchedAt.toISOString() : null
+    }));
+
+  if (failures.length > 0) {
+    warn(`${failures.length}/${sources.length} 个数据源获取失败`, { failures });
+  }
+
+  const available = outcomes.filter(outcome => outcome.result);
+  if (available.length === 0) {
+    throw new ExternalApiError('所有数据源获取失败，且没有可用的任务快照');
+  }
+
+  const { tasks, duplicates } = mergeTasks(available.map(outcome => outcome.result.tasks), mergeOrder);
+  if (duplicates > 0) {
+    info(`合并时去除了 ${duplicates} 个重复项目`);
+  }
+
+  return {
+    tasks,
+    total: available.reduce((sum, outcome) => sum + outcome.result.total, 0) - duplicates,
+    truncated: available.some(outcome => outcome.result.truncated),
+    failures,
+    stale: available.some(outcome => outcome.stale),
+    fetchedAt: new Date(Math.min(...available.map(outcome => outcome.fetchedAt.getTime())))
+  };
+}
+
+/**
+ * 确定设备使用的数据源
+ * device.sources 限定数据源；device.filter 替换各数据源的过滤条件，
+ * 此时数据源 ID 加上设备 ID（生效的显示方案另加方案 ID）后缀，使快照与未过滤的结果分开保存
+ * @param {Object} device 设备（见 config/devices）
+ * @param {Array<Object>} sources 数据源列表（见 config/sources）
+ * @returns {Array<Object>} 设备使用的数据源
+ */
+function resolveDeviceSources(device, sources) {
+  const selected = device.sources
+    ? sources.filter(source => device.sources.includes(source.id))
+    : sources;
+  if (!device.filter) {
+    return selected;
+  }
+  const suffix = device.profile ? `${device.id}.${device.profile}` : device.id;
+  return selected.map(source => ({ ...source, id: `${source.id}@${suffix}`, filter: device.filter }));
+}
+
+/**
+ * 将任务推送到单台设备，失败时只记录该设备的错误
+ * @param {Object} device 已应用显示方案的设备（见 services/profiles 中的 applyProfile）
+ * @param {Promise<Object>} collecting collectTasks 的结果
+ * @param {Object} options 推送选项 { page, advance, force }，见 executeSync
+ * @returns {Promise<Object>} { device, profile, success, push, page, pages, total, stale, error }
+ *   push 为本次推送的结果（见 services/quote 中的 sendTasksInBatches），profile 为生效的显示方案 ID
+ */
+async function syncDevice(device, collecting, { page, advance, force } = {}) {
+  try {
+    const { tasks, total, truncated, stale, fetchedAt } = await collecting;
+    const sent = await sendTasksInBatches(tasks, device.pageSize, {
+      total,
+      truncated,
+      stale,
+      fetchedAt,
+      device,
+      page,
+      advance,
+      force
+    });
+    return {
+      device: device.id,
+      profile: device.profile,
+      success: sent.success,
+      push: sent.push,
+      page: sent.page,
+      pages: sent.pages,
+      total,
+      stale,
+      error: sent.success ? null : '发送到 Quote 设备失败'
+    };
+  } catch (err) {
+    error(`[${device.id}] 同步失败`, { error: err.message });
+    return {
+      device: device.id,
+      profile: device.profile,
+      success: false,
+      push: 'failed',
+      page: null,
+      pages: null,
+      total: null,
+      stale: false,
+      error: err.message
+    };
   }
 }
 
+/**
+ * 显示方案暂停推送时设备的结果
+ * @param {Object} device 已应用显示方案的设备
+ * @returns {Object} 与 syncDevice 相同格式的结果，push 为 paused
+ */
+function pausedDevice(device) {
+  return { device: device.id, profile: device.profile, success: true, push: 'paused', page: null, pages: null, total: null, stale: false, error: null };
+}
+
 /**
  * 执行同步操作
- * @returns {Promise<boolean>} 是否执行成功
+ * 所有设备并发推送；使用相同数据源的设备共用一次 Notion 查询，单台设备失败不影响其他设备。
+ * 每台设备先按当前时间选出显示方案，方案暂停推送的设备不拉取也不推送
+ * @param {Object} options 可选项
+ * @param {number} options.page 指定各设备显示的页码，之后从该页继续翻页
+ * @param {boolean} options.advance 是否翻到下一页，默认为 true；任务更新后刷新当前页时为 false
+ * @param {boolean} options.force 内容与上次推送相同时也照常推送
+ * @returns {Promise<Object>} { success, skipped, devices }
+ *   success 表示所有设备都推送成功，skipped 为跳过同步的原因（quietHours、profile 或 rateLimit），
+ *   devices 为各设备的结果（见 syncDevice）
  */
-async function executeSync() {
+async function executeSync({ page, advance = true, force = false } = {}) {
   info('开始执行同步操作...');
   
   try {
-    // 检查 API 调用频率限制
-    if (isOverRateLimit()) {
-      error('API 调用频率超过限制');
-      return false;
+    const config = getConfig();
+
+    // 免打扰时段内不拉取也不推送，设备保持原有内容
+    const now = new Date();
+    const { quietHours, timeZone } = config.app;
+    if (quietHours && isWithinTimeRange(minutesOfDay(now, timeZone), quietHours)) {
+      info(`当前处于免打扰时段（${timeZone}），跳过本次同步`);
+      return { success: true, skipped: 'quietHours', devices: [] };
+    }
+
+    // 按当前时间为每台设备选出显示方案
+    const targets = config.quote.devices.map(device => {
+      const profile = activeProfile(config.quote.profiles, device, now, timeZone);
+      if (profile) {
+        info(`[${device.id}] 当前显示方案: ${profile.id}${profile.push ? '' : '（暂停推送）'}`);
+      }
+      return { device: applyProfile(device, profile), push: !profile || profile.push };
+    });
+    const paused = targets.filter(target => !target.push);
+    if (paused.length === targets.length) {
+      info('所有设备当前的显示方案都暂停推送，跳过本次同步');
+      return { success: true, skipped: 'profile', devices: paused.map(target => pausedDevice(target.device)) };
     }
 
-    // 记录 API 调用
-    recordApiCall();
+    // 记录 API 调用并检查频率限制
+    if (!(await acquireApiCall())) {
+      error('API 调用频率超过限制');
+      return { success: false, skipped: 'rateLimit', devices: [] };
+    }
 
-    // 1. 获取 Notion 进行中项目
+    // 1. 从 Notion 获取各设备的任务，数据源相同的设备共用结果
     info('正在从 Notion 获取进行中项目...');
-    const tasks = await getNotionTasks();
-    info(`获取到 ${tasks.length} 个进行中项目`);
+    const collections = new Map();
+    const collect = sources => {
+      const key = sources.map(source => source.id).join(',');
+      if (!collections.has(key)) {
+        collections.set(key, collectTasks(sources, config.notion.mergeOrder).then(result => {
+          info(`[${key}] 获取到 ${result.total}${result.truncated ? '+' : ''} 个进行中项目${result.stale ? '（部分来自快照）' : ''}`);
+          return result;
+        }));
+      }
+      return collections.get(key);
+    };
 
-    // 2. 分批发送到 Quote 设备
-    info('正在分批发送到 Quote 设备...');
-    const success = await sendTasksInBatches(tasks, 3, 2);
+    // 2. 并发推送到所有设备
+    info(`正在推送到 ${targets.length - paused.length} 台 Quote 设备...`);
+    const devices = await Promise.all(targets.map(({ device, push }) => (push
+      ? syncDevice(device, collect(resolveDeviceSources(device, config.notion.sources)), { page, advance, force })
+      : pausedDevice(device))
+    ));
 
-    if (success) {
+    const failed = devices.filter(result => !result.success);
+    if (failed.length === 0) {
       info('同步操作成功完成');
     } else {
-      error('同步操作失败');
+      error(`${failed.length}/${devices.length} 台设备同步失败`, { devices: failed.map(result => result.device) });
     }
 
-    return success;
+    return { success: failed.length === 0, skipped: null, devices };
   } catch (err) {
     error('执行同步操作时出错', { error: err.message, stack: err.stack });
-    return false;
+    return { success: false, skipped: null, devices: [], error: err.message };
+  }
+}
+
+/**
+ * 将同步结果转换为接口响应的状态码和提示信息
+ * 部分设备失败时返回 200 并在 devices 中标明失败的设备，全部失败时返回 500
+ * @param {Object} result executeSync 的返回值
+ * @returns {Object} { statusCode, message }
+ */
+function summarizeSyncResult(result) {
+  if (result.skipped === 'quietHours') {
+    return { statusCode: 200, message: '当前处于免打扰时段，已跳过同步' };
+  }
+  if (result.skipped === 'profile') {
+    return { statusCode: 200, message: '当前时段的显示方案暂停推送，已跳过同步' };
+  }
+  if (result.success && result.devices.length > 0 && result.devices.every(device => ['skipped', 'paused'].includes(device.push))) {
+    return { statusCode: 200, message: '内容与上次推送相同，未推送到 Quote 设备' };
+  }
+  if (result.success) {
+    return { statusCode: 200, message: '成功发送到 Quote 设备！' };
+  }
+  if (result.devices.some(device => device.success)) {
+    return { statusCode: 200, message: '部分 Quote 设备发送失败' };
   }
+  return { statusCode: 500, message: '发送到 Quote 设备失败' };
 }
 
 module.exports = {
   executeSync,
+  summarizeSyncResult,
+  collectTasks,
+  mergeTasks,
+  resolveDeviceSources,
   isOverRateLimit,
-  recordApiCall
+  recordApiCall,
+  acquireApiCall
 };
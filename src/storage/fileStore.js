@@ -0,0 +1,112 @@
+/**
+ * File storage backend
+ * Keeps all keys in a single JSON file on the local disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reserved key holding the expiry time of keys written with a TTL
+ */
+const EXPIRY_KEY = '__expiresAt';
+
+/**
+ * Create a file-backed key-value store
+ * @param {string} filePath Path of the JSON file
+ * @returns {Object} Store with async get(key), set(key, value, { ttl }) and incr(key, { ttl })
+ */
+function createFileStore(filePath) {
+  // Serialize writes so concurrent set() calls do not overwrite each other
+  let queue = Promise.resolve();
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return {};
+      }
+      throw err;
+    }
+  };
+
+  const write = async data => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // Write to a temporary file first so a crash never leaves a truncated file behind
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmpPath, filePath);
+  };
+
+  const isExpired = (data, key) => {
+    const expiresAt = data[EXPIRY_KEY] && data[EXPIRY_KEY][key];
+    return expiresAt !== undefined && expiresAt <= Date.now();
+  };
+
+  // Drop expired keys so the file does not grow forever
+  const prune = data => {
+    Object.keys(data[EXPIRY_KEY] || {}).forEach(key => {
+      if (isExpired(data, key)) {
+        delete data[key];
+        delete data[EXPIRY_KEY][key];
+      }
+    });
+  };
+
+  const setExpiry = (data, key, ttl) => {
+    data[EXPIRY_KEY] = data[EXPIRY_KEY] || {};
+    if (ttl) {
+      data[EXPIRY_KEY][key] = Date.now() + ttl;
+    } else {
+      delete data[EXPIRY_KEY][key];
+    }
+  };
+
+  // Run a read-modify-write step after all earlier writes
+  const update = change => {
+    const result = queue.catch(() => {}).then(async () => {
+      const data = await read();
+      prune(data);
+      const value = change(data);
+      await write(data);
+      return value;
+    });
+    queue = result;
+    return result;
+  };
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      await queue.catch(() => {});
+      const data = await read();
+      return data[key] === undefined || isExpired(data, key) ? null : data[key];
+    },
+
+    async set(key, value, { ttl } = {}) {
+      await update(data => {
+        data[key] = value;
+        setExpiry(data, key, ttl);
+      });
+    },
+
+    incr(key, { ttl } = {}) {
+      return update(data => {
+        // pruning already removed the key if it had expired
+        if (data[key] === undefined) {
+          data[key] = 1;
+          setExpiry(data, key, ttl);
+        } else {
+          data[key] = (Number(data[key]) || 0) + 1;
+        }
+        return data[key];
+      });
+    }
+  };
+}
+
+module.exports = {
+  createFileStore
+};
@@ -0,0 +1,71 @@
+/**
+ * Storage module
+ * Selects the configured key-value backend for state that must survive between runs.
+ * Every backend offers the same async interface:
+ * - get(key): the stored value, or null when missing or expired
+ * - set(key, value, { ttl }): store a JSON-serializable value, optionally expiring after ttl milliseconds
+ * - incr(key, { ttl }): add 1 to a counter and return the new count; ttl applies when the counter is created
+ */
+
+const { getConfig } = require('../config');
+const { ConfigError } = require('../utils/errorHandler');
+const { warn } = require('../utils/logger');
+const { createFileStore } = require('./fileStore');
+const { createKvStore } = require('./kvStore');
+const { createMemoryStore } = require('./memoryStore');
+
+// Store instance shared by the whole process
+let store = null;
+
+/**
+ * Create a store from storage configuration
+ * @param {Object} storageConfig config.storage
+ * @returns {Object} Store with async get, set and incr
+ * @throws {ConfigError} If the backend is unknown or incompletely configured
+ */
+function createStore(storageConfig) {
+  switch (storageConfig.backend) {
+  case 'memory':
+    return createMemoryStore();
+  case 'file':
+    return createFileStore(storageConfig.filePath);
+  case 'kv':
+    if (!storageConfig.kvUrl || !storageConfig.kvToken) {
+      throw new ConfigError('STORAGE_BACKEND=kv requires KV_REST_API_URL and KV_REST_API_TOKEN');
+    }
+    return createKvStore({ url: storageConfig.kvUrl, token: storageConfig.kvToken });
+  default:
+    throw new ConfigError(`Unknown STORAGE_BACKEND: ${storageConfig.backend}`);
+  }
+}
+
+/**
+ * Get the configured store, creating it on first use
+ * @returns {Object} Store with async get, set and incr
+ */
+function getStore() {
+  if (!store) {
+    const storageConfig = getConfig().storage;
+    // Vercel instances neither share nor keep local state, so cursors, snapshots and rate limits would be lost
+    if (process.env.VERCEL && storageConfig.backend !== 'kv') {
+      warn(`STORAGE_BACKEND=${storageConfig.backend} does not persist across Vercel instances, use kv instead`);
+    }
+    store = createStore(storageConfig);
+  }
+  return store;
+}
+
+/**
+ * Replace the shared store, e.g. with createMemoryStore() in tests
+ * @param {Object|null} replacement Store to use, or null to recreate from configuration
+ */
+function setStore(replacement) {
+  store = replacement;
+}
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  getStore,
+  setStore
+};
@@ -0,0 +1,66 @@
+/**
+ * KV storage backend
+ * Talks to a Redis-compatible REST API such as Vercel KV or Upstash
+ */
+
+const { get, post } = require('../utils/httpClient');
+const { ExternalApiError } = require('../utils/errorHandler');
+
+/**
+ * Create a key-value store backed by a Redis REST API
+ * @param {Object} options Store options
+ * @param {string} options.url REST API base URL
+ * @param {string} options.token REST API token
+ * @param {string} options.prefix Prefix added to every key
+ * @param {number} options.timeout Request timeout in milliseconds
+ * @returns {Object} Store with async get(key), set(key, value, { ttl }) and incr(key, { ttl })
+ */
+function createKvStore({ url, token, prefix = 'notion2quote:', timeout = 10000 }) {
+  const baseUrl = url.replace(/\/+$/, '');
+  const requestOptions = {
+    timeout,
+    headers: { Authorization: `Bearer ${token}` }
+  };
+  const keyUrl = (command, key) => `${baseUrl}/${command}/${encodeURIComponent(prefix + key)}`;
+  // Commands with several arguments are sent as a JSON array to the base URL
+  const command = (args, options = {}) => post(baseUrl, args, { ...requestOptions, ...options });
+
+  return {
+    name: 'kv',
+
+    async get(key) {
+      const data = await get(keyUrl('get', key), requestOptions);
+      return data && data.result !== null && data.result !== undefined ? JSON.parse(data.result) : null;
+    },
+
+    async set(key, value, { ttl } = {}) {
+      // PX sets the expiry in milliseconds
+      const args = ['SET', prefix + key, JSON.stringify(value)];
+      await command(ttl ? [...args, 'PX', ttl] : args, { idempotent: true });
+    },
+
+    async incr(key, { ttl } = {}) {
+      // INCR is not idempotent, so it is never retried
+      if (!ttl) {
+        const data = await command(['INCR', prefix + key]);
+        return Number(data.result);
+      }
+
+      // INCR and PEXPIRE run in one transaction so a counter can never be left without an expiry;
+      // NX only sets the expiry when the key has none, keeping the original window
+      const results = await post(`${baseUrl}/multi-exec`, [
+        ['INCR', prefix + key],
+        ['PEXPIRE', prefix + key, ttl, 'NX']
+      ], requestOptions);
+      const failed = results.find(item => item.error);
+      if (failed) {
+        throw new ExternalApiError(`KV transaction failed: ${failed.error}`);
+      }
+      return Number(results[0].result);
+    }
+  };
+}
+
+module.exports = {
+  createKvStore
+};
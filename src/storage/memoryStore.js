@@ -0,0 +1,53 @@
+/**
+ * In-memory storage backend
+ * Keeps keys in the current process only; used for single-process runs that need no persistence
+ * and as the stand-in store in tests
+ */
+
+/**
+ * Create an in-memory key-value store
+ * @param {Object} options Store options
+ * @param {Function} options.now Clock returning milliseconds, replaceable in tests to expire keys without waiting
+ * @returns {Object} Store with async get(key), set(key, value, { ttl }) and incr(key, { ttl })
+ */
+function createMemoryStore({ now = Date.now } = {}) {
+  // key -> { value, expiresAt }
+  const entries = new Map();
+
+  const read = key => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = read(key);
+      // Return a copy so callers cannot change the stored value by mutating the result
+      return entry ? JSON.parse(JSON.stringify(entry.value)) : null;
+    },
+
+    async set(key, value, { ttl } = {}) {
+      entries.set(key, { value: JSON.parse(JSON.stringify(value)), expiresAt: ttl ? now() + ttl : null });
+    },
+
+    async incr(key, { ttl } = {}) {
+      const entry = read(key);
+      if (!entry) {
+        entries.set(key, { value: 1, expiresAt: ttl ? now() + ttl : null });
+        return 1;
+      }
+      entry.value = (Number(entry.value) || 0) + 1;
+      return entry.value;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
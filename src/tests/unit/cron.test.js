@@ -0,0 +1,57 @@
+/**
+ * cron 表达式测试
+ */
+
+const { parseCron, nextRun, maxInterval } = require('../../utils/cron');
+const { ValidationError } = require('../../utils/errorHandler');
+
+describe('cron 表达式测试', () => {
+  const next = (expression, iso, timeZone = 'UTC') => nextRun(parseCron(expression), new Date(iso), timeZone).toISOString();
+
+  test('应该解析各种字段写法', () => {
+    const schedule = parseCron('*/15 9-17 * JAN,jul MON-FRI');
+    expect([...schedule.minute]).toEqual([0, 15, 30, 45]);
+    expect([...schedule.hour]).toHaveLength(9);
+    expect([...schedule.month]).toEqual([1, 7]);
+    expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect([...parseCron('5/20 * * * 7').minute]).toEqual([5, 25, 45]);
+    expect([...parseCron('0 0 * * 7').dayOfWeek]).toEqual([0]);
+    expect(parseCron('@daily').hour).toEqual(new Set([0]));
+  });
+
+  test('格式错误的表达式应该报错', () => {
+    expect(() => parseCron('* * * *')).toThrow(ValidationError);
+    expect(() => parseCron('60 * * * *')).toThrow('out of range');
+    expect(() => parseCron('*/0 * * * *')).toThrow(ValidationError);
+    expect(() => parseCron('5-1 * * * *')).toThrow(ValidationError);
+    expect(() => parseCron('* * * * funday')).toThrow(ValidationError);
+  });
+
+  test('应该找到下一个匹配的时间，不包含当前分钟', () => {
+    expect(next('*/2 * * * *', '2024-05-01T10:00:00Z')).toBe('2024-05-01T10:02:00.000Z');
+    expect(next('*/2 * * * *', '2024-05-01T10:01:59Z')).toBe('2024-05-01T10:02:00.000Z');
+    expect(next('30 8 * * MON', '2024-05-01T10:00:00Z')).toBe('2024-05-06T08:30:00.000Z');
+    expect(next('0 0 29 2 *', '2024-03-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  test('应该按配置的时区计算', () => {
+    // 上海 07:00 为 UTC 前一天 23:00
+    expect(next('0 7 * * *', '2024-05-01T00:00:00Z', 'Asia/Shanghai')).toBe('2024-05-01T23:00:00.000Z');
+  });
+
+  test('日期和星期都有限定时满足任意一个即可', () => {
+    // 2024-05-01 为星期三
+    expect(next('0 0 15 * FRI', '2024-05-01T00:00:00Z')).toBe('2024-05-03T00:00:00.000Z');
+    expect(() => next('0 0 30 2 *', '2024-05-01T00:00:00Z')).toThrow('never matches');
+  });
+
+  test('应该计算相邻两次触发的最长间隔', () => {
+    const from = new Date('2024-05-01T00:00:00Z');
+    expect(maxInterval(parseCron('*/2 * * * *'), from, 'UTC')).toBe(2 * 60000);
+    expect(maxInterval(parseCron('*/25 * * * *'), from, 'UTC')).toBe(25 * 60000);
+    expect(maxInterval(parseCron('0 9 * * MON-FRI'), from, 'UTC')).toBe(3 * 24 * 60 * 60000);
+    // 白天每分钟触发，夜间的间隔在大量触发之后才出现
+    expect(maxInterval(parseCron('* 8-17 * * *'), from, 'UTC')).toBe((14 * 60 + 1) * 60000);
+    expect(maxInterval(parseCron('0 9 * * MON-FRI'), from, 'UTC', 24 * 60 * 60000)).toBe(24 * 60 * 60000);
+  });
+});
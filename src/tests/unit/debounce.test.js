@@ -0,0 +1,61 @@
+/**
+ * 防抖测试
+ */
+
+const { createDebouncer } = require('../../utils/debounce');
+
+describe('防抖测试', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('等待期间的多次触发合并为一次执行', async () => {
+    const fn = jest.fn().mockResolvedValue('done');
+    const debouncer = createDebouncer(fn, 1000);
+
+    const first = debouncer.trigger();
+    await jest.advanceTimersByTimeAsync(800);
+    const second = debouncer.trigger();
+    const third = debouncer.trigger();
+    expect(debouncer.pending()).toBe(true);
+
+    // 每次触发都重新计时
+    await jest.advanceTimersByTimeAsync(800);
+    expect(fn).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(await Promise.all([first, second, third])).toEqual([
+      { result: 'done', coalesced: false },
+      { result: 'done', coalesced: true },
+      { result: 'done', coalesced: true }
+    ]);
+    expect(debouncer.pending()).toBe(false);
+  });
+
+  test('执行后的触发开始新的一轮', async () => {
+    const fn = jest.fn().mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+    const debouncer = createDebouncer(fn, 1000);
+
+    const first = debouncer.trigger();
+    await jest.advanceTimersByTimeAsync(1000);
+    const second = debouncer.trigger();
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(await first).toEqual({ result: 1, coalesced: false });
+    expect(await second).toEqual({ result: 2, coalesced: false });
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('执行失败时同一轮的所有调用都收到错误', async () => {
+    const debouncer = createDebouncer(jest.fn().mockRejectedValue(new Error('sync failed')), 1000);
+
+    const calls = [debouncer.trigger(), debouncer.trigger()].map(promise => expect(promise).rejects.toThrow('sync failed'));
+    await jest.advanceTimersByTimeAsync(1000);
+    await Promise.all(calls);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Quote 设备配置测试
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getQuoteDevices, DEFAULT_DEVICE_ID } = require('../../config/devices');
+const { renderTemplate } = require('../../utils/template');
+const { ConfigError } = require('../../utils/errorHandler');
+
+describe('Quote 设备配置测试', () => {
+  const context = { sourceIds: ['work', 'home'], templateSources: { title: '共 {{total}} 项' } };
+
+  test('未配置 QUOTE_DEVICES 时使用单台设备', () => {
+    const [device] = getQuoteDevices({ QUOTE_DEVICE_ID: 'abc', DOT_API_KEY: 'key' }, context);
+    expect(device).toMatchObject({
+      id: DEFAULT_DEVICE_ID,
+      deviceId: 'abc',
+      apiKey: 'key',
+      apiEndpoint: 'https://dot.mindreset.tech/api/authV2/open/device/abc/text',
+      sources: null,
+      filter: null,
+      pageSize: 3,
+      rotationMinutes: 1440
+    });
+    expect(renderTemplate(device.templates.title, { total: 4 })).toBe('共 4 项');
+  });
+
+  test('每台设备可以覆盖密钥、数据源、模板和分页设置', () => {
+    const devices = getQuoteDevices({
+      DOT_API_KEY: 'key',
+      QUOTE_PAGE_SIZE: '4',
+      QUOTE_DEVICES: JSON.stringify([
+        { id: 'office', deviceId: 'd1', sources: ['work'], rotationMinutes: 5 },
+        {
+          id: 'home',
+          deviceId: 'd2',
+          apiKey: 'home-key',
+          filter: { property: '标签', contains: '家' },
+          templates: { title: '家里 {{total}} 件' },
+          pageSize: 2,
+          columns: 20
+        }
+      ])
+    }, context);
+
+    expect(devices[0]).toMatchObject({ id: 'office', apiKey: 'key', sources: ['work'], pageSize: 4, rotationMinutes: 5 });
+    expect(renderTemplate(devices[0].templates.title, { total: 1 })).toBe('共 1 项');
+    expect(devices[1]).toMatchObject({ apiKey: 'home-key', pageSize: 2, filter: { property: '标签', contains: '家' } });
+    expect(devices[1].layout.columns).toBe(20);
+    expect(renderTemplate(devices[1].templates.title, { total: 1 })).toBe('家里 1 件');
+  });
+
+  test('图片模式使用图片 API 和配置的字体', () => {
+    const fontPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'notion2quote-')), 'a.bdf');
+    fs.writeFileSync(fontPath, 'STARTFONT 2.1\n');
+    const env = { DOT_API_KEY: 'key', QUOTE_DEVICE_ID: 'abc', QUOTE_FONT_PATH: fontPath };
+    const [text] = getQuoteDevices(env, context);
+    expect(text.mode).toBe('text');
+
+    const [image] = getQuoteDevices({ ...env, QUOTE_MODE: 'image' }, context);
+    expect(image).toMatchObject({
+      mode: 'image',
+      fontPath,
+      imageEndpoint: 'https://dot.mindreset.tech/api/authV2/open/device/abc/image'
+    });
+    expect(() => getQuoteDevices({ ...env, QUOTE_MODE: 'video' }, context)).toThrow('QUOTE_MODE');
+    fs.rmSync(path.dirname(fontPath), { recursive: true, force: true });
+  });
+
+  test('未配置字体时使用仓库自带的字体，配置的字体文件必须存在', () => {
+    const env = { DOT_API_KEY: 'key', QUOTE_DEVICE_ID: 'abc', QUOTE_MODE: 'image' };
+    const [device] = getQuoteDevices(env, context);
+    expect(path.basename(device.fontPath)).toBe('unifont.bdf');
+    expect(fs.existsSync(device.fontPath)).toBe(true);
+    expect(() => getQuoteDevices({ ...env, QUOTE_FONT_PATH: '/missing/a.bdf' }, context)).toThrow('字体文件不存在');
+  });
+
+  test('图标配置', () => {
+    const env = { DOT_API_KEY: 'key', QUOTE_DEVICE_ID: 'abc' };
+    expect(getQuoteDevices(env, context)[0].icon).toEqual({ strategy: 'none', map: {}, value: '' });
+    expect(getQuoteDevices({ ...env, QUOTE_ICON: 'status', QUOTE_ICON_MAP: '{"进行中":"🔥"}' }, context)[0].icon)
+      .toEqual({ strategy: 'status', map: { 进行中: '🔥' }, value: '' });
+    expect(() => getQuoteDevices({ ...env, QUOTE_ICON: 'priority' }, context)).toThrow('QUOTE_ICON_MAP');
+    expect(() => getQuoteDevices({ ...env, QUOTE_ICON: 'fixed' }, context)).toThrow('QUOTE_ICON_VALUE');
+    expect(() => getQuoteDevices({ ...env, QUOTE_ICON: 'random' }, context)).toThrow('QUOTE_ICON');
+  });
+
+  test('配置错误时应该抛出 ConfigError', () => {
+    const parse = devices => () => getQuoteDevices({ DOT_API_KEY: 'key', QUOTE_DEVICES: JSON.stringify(devices) }, context);
+    expect(parse([])).toThrow(ConfigError);
+    expect(parse([{ id: 'a' }])).toThrow(ConfigError);
+    expect(parse([{ deviceId: 'd1', sources: ['missing'] }])).toThrow('missing');
+    expect(parse([{ id: 'a', deviceId: 'd1' }, { id: 'a', deviceId: 'd2' }])).toThrow('重复');
+    expect(parse([{ deviceId: 'd1', templates: { line: '{{titel}}' } }])).toThrow('QUOTE_DEVICES[0].templates.line');
+    expect(parse([{ deviceId: 'd1', pageSize: 0 }])).toThrow('pageSize');
+    expect(() => getQuoteDevices({ QUOTE_DEVICES: '[{"deviceId":"d1"}]' }, context)).toThrow('apiKey');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * HTTP 客户端测试
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const { request, createFetch, resetCircuitBreakers } = require('../../utils/httpClient');
+const { ExternalApiError } = require('../../utils/errorHandler');
+
+/**
+ * 构造 axios 的错误响应
+ * @param {number} status 状态码
+ * @param {Object} headers 响应头
+ * @returns {Error} 错误
+ */
+function httpError(status, headers = {}) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, headers, data: { message: 'error' } };
+  return err;
+}
+
+describe('HTTP 客户端测试', () => {
+  const url = 'https://dot.example.com/api/text';
+  const policy = { retries: 2, retryBaseMs: 1, retryMaxMs: 1000, breakerThreshold: 10, breakerCooldownMs: 60000 };
+
+  beforeEach(() => {
+    resetCircuitBreakers();
+    axios.request.mockReset();
+  });
+
+  test('临时故障时重试，成功后返回响应', async () => {
+    axios.request
+      .mockRejectedValueOnce(httpError(502))
+      .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+      .mockResolvedValue({ status: 200, data: 'ok' });
+    const response = await request('get', url, policy);
+    expect(response.data).toBe('ok');
+    expect(axios.request).toHaveBeenCalledTimes(3);
+  });
+
+  test('重试次数用完后抛出最后一次的错误', async () => {
+    axios.request.mockRejectedValue(httpError(503));
+    await expect(request('get', url, policy)).rejects.toMatchObject({ response: { status: 503 } });
+    expect(axios.request).toHaveBeenCalledTimes(3);
+  });
+
+  test('POST 只在声明幂等时重试，客户端错误不重试', async () => {
+    axios.request.mockRejectedValue(httpError(502));
+    await expect(request('post', url, policy)).rejects.toThrow('502');
+    expect(axios.request).toHaveBeenCalledTimes(1);
+
+    axios.request.mockReset();
+    axios.request.mockRejectedValueOnce(httpError(502)).mockResolvedValue({ status: 200 });
+    await request('post', url, { ...policy, idempotent: true });
+    expect(axios.request).toHaveBeenCalledTimes(2);
+
+    axios.request.mockReset();
+    axios.request.mockRejectedValue(httpError(401));
+    await expect(request('get', url, policy)).rejects.toThrow('401');
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  test('遵循 Retry-After，等待时间过长时不再重试', async () => {
+    axios.request.mockRejectedValueOnce(httpError(429, { 'retry-after': '0' })).mockResolvedValue({ status: 200 });
+    await request('get', url, policy);
+    expect(axios.request).toHaveBeenCalledTimes(2);
+
+    axios.request.mockReset();
+    axios.request.mockRejectedValue(httpError(429, { 'retry-after': '120' }));
+    await expect(request('get', url, policy)).rejects.toThrow('429');
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  test('连续失败后按主机熔断，其他主机不受影响', async () => {
+    axios.request.mockRejectedValue(httpError(502));
+    await expect(request('get', url, { ...policy, retries: 0, breakerThreshold: 2 })).rejects.toThrow('502');
+    await expect(request('get', url, { ...policy, retries: 0, breakerThreshold: 2 })).rejects.toThrow('502');
+    await expect(request('get', url, { ...policy, breakerThreshold: 2 })).rejects.toThrow(ExternalApiError);
+    expect(axios.request).toHaveBeenCalledTimes(2);
+
+    axios.request.mockResolvedValue({ status: 200 });
+    await request('get', 'https://api.notion.com/v1/users', policy);
+    expect(axios.request).toHaveBeenCalledTimes(3);
+  });
+
+  test('fetch 适配器返回原始响应文本，错误状态不抛出', async () => {
+    const fetch = createFetch(policy, method => method === 'post');
+    axios.request.mockResolvedValueOnce({ status: 200, headers: {}, data: '{"ok":true}' });
+    const ok = await fetch('https://api.notion.com/v1/databases/db/query', { method: 'POST', body: '{}', headers: { a: 'b' } });
+    expect(ok.ok).toBe(true);
+    expect(await ok.text()).toBe('{"ok":true}');
+    expect(axios.request.mock.calls[0][0]).toMatchObject({ method: 'post', data: '{}', headers: { a: 'b' } });
+
+    axios.request.mockRejectedValueOnce(httpError(404));
+    const missing = await fetch('https://api.notion.com/v1/pages/x');
+    expect(missing).toMatchObject({ ok: false, status: 404 });
+    expect(JSON.parse(await missing.text())).toEqual({ message: 'error' });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * 图标测试
+ */
+
+jest.mock('../../utils/httpClient', () => ({
+  ...jest.requireActual('../../utils/httpClient'),
+  request: jest.fn()
+}));
+
+const zlib = require('zlib');
+const { request } = require('../../utils/httpClient');
+const { setStore, createMemoryStore } = require('../../storage');
+const { createBitmap, fillRect, encodePng } = require('../../utils/bitmap');
+const { decodePng } = require('../../utils/pngDecoder');
+const { pickIcon, emojiFileName, convertIcon, resolveIcon, ICON_SIZE } = require('../../services/icons');
+
+/**
+ * 构建测试用的 PNG，CRC 填 0（解码时不校验）
+ * @param {number} width 宽度
+ * @param {number} height 高度
+ * @param {number} colorType 颜色类型
+ * @param {Buffer} raw 带过滤字节的扫描行
+ * @returns {Buffer} PNG
+ */
+function buildPng(width, height, colorType, raw) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = colorType;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+describe('图标测试', () => {
+  const tasks = [
+    { title: 'A', status: '待开始', priority: '低', icon: null, due: null },
+    { title: 'B', status: '进行中', priority: '高', icon: { type: 'emoji', value: '📝' }, due: { start: '2024-05-20' } },
+    { title: 'C', status: '进行中', priority: '中', icon: { type: 'external', value: 'https://example.com/c.png' }, due: { start: '2024-05-11' } }
+  ];
+
+  test('按图标配置选出图标', () => {
+    expect(pickIcon({ strategy: 'none' }, tasks)).toBeNull();
+    expect(pickIcon({ strategy: 'first' }, tasks)).toEqual({ type: 'emoji', value: '📝' });
+    expect(pickIcon({ strategy: 'urgent' }, tasks)).toEqual({ type: 'external', value: 'https://example.com/c.png' });
+    expect(pickIcon({ strategy: 'status', map: { 进行中: '🔥' } }, tasks)).toEqual({ type: 'emoji', value: '🔥' });
+    expect(pickIcon({ strategy: 'priority', map: { 紧急: '🚨' } }, tasks)).toBeNull();
+    expect(pickIcon({ strategy: 'fixed', value: 'https://example.com/logo.png' }, [])).toEqual({ type: 'external', value: 'https://example.com/logo.png' });
+  });
+
+  test('emoji 转换为 Twemoji 文件名', () => {
+    expect(emojiFileName('🔥')).toBe('1f525.png');
+    expect(emojiFileName('✔️')).toBe('2714.png');
+    expect(emojiFileName('👩‍💻')).toBe('1f469-200d-1f4bb.png');
+  });
+
+  test('解码带过滤和透明度的 PNG', () => {
+    // 2×2 RGBA：第一行 Sub 过滤，第二行 Up 过滤；右下角为透明像素
+    const raw = Buffer.from([
+      1, 0, 0, 0, 255, 255, 255, 255, 0,
+      2, 255, 255, 255, 0, 0, 0, 0, 1
+    ]);
+    const image = decodePng(buildPng(2, 2, 6, raw));
+    expect(image.width).toBe(2);
+    expect(Array.from(image.gray)).toEqual([0, 255, 255, 255]);
+    expect(() => decodePng(Buffer.from('GIF89a'))).toThrow('Not a PNG');
+  });
+
+  test('转换为 40×40 的黑白 PNG', () => {
+    const source = createBitmap(72, 36);
+    fillRect(source, 0, 0, 36, 36);
+    const icon = decodePng(Buffer.from(convertIcon(encodePng(source)), 'base64'));
+
+    expect(icon.width).toBe(ICON_SIZE);
+    expect(icon.height).toBe(ICON_SIZE);
+    // 保持宽高比：宽 40、高 20，垂直居中，左半黑右半白
+    expect(icon.gray[20 * ICON_SIZE + 5]).toBe(0);
+    expect(icon.gray[20 * ICON_SIZE + 35]).toBe(255);
+    expect(icon.gray[2 * ICON_SIZE + 5]).toBe(255);
+    expect(() => convertIcon(Buffer.from('<svg/>'))).toThrow('PNG');
+  });
+
+  test('获取失败的图标在等待一段时间后重试', async () => {
+    const originalEnv = process.env;
+    process.env = { ...originalEnv, NOTION_API_KEY: 'notion-key', NOTION_DATABASE_ID: 'db', DOT_API_KEY: 'dot-key', QUOTE_DEVICE_ID: 'abc' };
+    setStore(createMemoryStore());
+    jest.useFakeTimers({ now: new Date('2024-05-01T08:00:00Z') });
+    const device = { icon: { strategy: 'fixed', value: 'https://example.com/retry.png' } };
+    const png = encodePng(createBitmap(8, 8));
+
+    try {
+      request.mockReset();
+      request.mockRejectedValueOnce(new Error('timeout')).mockResolvedValueOnce({ data: png });
+
+      expect(await resolveIcon(device, [])).toBe('');
+      expect(await resolveIcon(device, [])).toBe('');
+      expect(request).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(10 * 60 * 1000);
+      expect(await resolveIcon(device, [])).toBe(convertIcon(png));
+      expect(request).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+      setStore(null);
+      process.env = originalEnv;
+    }
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * 图片渲染测试
+ */
+
+const zlib = require('zlib');
+const path = require('path');
+const { createBitmap, getPixel, encodePng, BLACK, WHITE } = require('../../utils/bitmap');
+const { parseBdf, loadBdfFont, measureText, fitText, drawText } = require('../../utils/bdfFont');
+const { dueBadge, renderTasksBitmap } = require('../../services/imageRenderer');
+
+// 8 像素高的测试字体：A 为 4x4 的实心方块，句点为 1 像素
+const FONT_SOURCE = [
+  'STARTFONT 2.1',
+  'FONTBOUNDINGBOX 6 8 0 -2',
+  'STARTPROPERTIES 2',
+  'FONT_ASCENT 6',
+  'FONT_DESCENT 2',
+  'ENDPROPERTIES',
+  'CHARS 2',
+  'STARTCHAR A',
+  'ENCODING 65',
+  'DWIDTH 6 0',
+  'BBX 4 4 1 0',
+  'BITMAP',
+  'F0',
+  'F0',
+  'F0',
+  'F0',
+  'ENDCHAR',
+  'STARTCHAR period',
+  'ENCODING 46',
+  'DWIDTH 2 0',
+  'BBX 1 1 0 0',
+  'BITMAP',
+  '80',
+  'ENDCHAR',
+  'ENDFONT'
+].join('\n');
+
+describe('图片渲染测试', () => {
+  const font = parseBdf(FONT_SOURCE);
+
+  test('解析 BDF 字体', () => {
+    expect(font).toMatchObject({ ascent: 6, descent: 2, height: 8 });
+    expect(font.glyphs.get(65)).toMatchObject({ advance: 6, box: { width: 4, height: 4, x: 1, y: 0 } });
+    expect(() => parseBdf('not a font')).toThrow('STARTFONT');
+  });
+
+  test('仓库自带的字体包含中文字形', () => {
+    const font = loadBdfFont(path.join(__dirname, '../../../assets/fonts/unifont.bdf'));
+    expect(font).toMatchObject({ ascent: 14, descent: 2, height: 16 });
+    expect(measureText(font, 'A 写周报。')).toBe(8 * 2 + 16 * 4);
+  });
+
+  test('按字形宽度测量和截断文本，缺少的字形按方框计算', () => {
+    expect(measureText(font, 'AA')).toBe(12);
+    expect(measureText(font, '字')).toBe(5);
+    expect(fitText(font, 'AAAA', 24)).toBe('AAAA');
+    expect(fitText(font, 'AAAA', 20)).toBe('AA...');
+  });
+
+  test('文字顶部对齐到指定位置，基线在 ascent 处', () => {
+    const bitmap = createBitmap(20, 10);
+    const cursor = drawText(bitmap, font, 'A', 0, 0);
+    expect(cursor).toBe(6);
+    expect(getPixel(bitmap, 1, 2)).toBe(BLACK);
+    expect(getPixel(bitmap, 4, 5)).toBe(BLACK);
+    expect(getPixel(bitmap, 0, 2)).toBe(WHITE);
+    expect(getPixel(bitmap, 1, 6)).toBe(WHITE);
+  });
+
+  test('编码为 1 位灰度 PNG', () => {
+    const bitmap = createBitmap(10, 2);
+    drawText(bitmap, font, '.', 0, -5);
+    const png = encodePng(bitmap);
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]));
+    expect(png.toString('ascii', 12, 16)).toBe('IHDR');
+    expect(png.readUInt32BE(16)).toBe(10);
+    expect(png.readUInt32BE(20)).toBe(2);
+    expect(png[24]).toBe(1);
+
+    // 每行一个过滤字节加两字节像素，白色为 1，超出宽度的填充位为 0
+    const idatLength = png.readUInt32BE(33);
+    const raw = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+    expect([...raw]).toEqual([0, 0x7F, 0xC0, 0, 0xFF, 0xC0]);
+  });
+
+  test('截止日期标签按时区计算', () => {
+    const now = new Date('2024-05-10T20:00:00Z'); // 上海 5 月 11 日 04:00
+    const timeZone = 'Asia/Shanghai';
+    expect(dueBadge(null, now, timeZone)).toBeNull();
+    expect(dueBadge({ start: '2024-05-10' }, now, timeZone)).toEqual({ text: '逾期', urgent: true });
+    expect(dueBadge({ start: '2024-05-11' }, now, timeZone)).toEqual({ text: '今天', urgent: true });
+    expect(dueBadge({ start: '2024-05-11T17:00:00Z' }, now, timeZone)).toEqual({ text: '明天', urgent: false });
+    expect(dueBadge({ start: '2024-06-01' }, now, timeZone)).toEqual({ text: '06-01', urgent: false });
+  });
+
+  test('渲染一页任务', () => {
+    const layout = { width: 296, height: 152 };
+    const page = { title: 'AA', signature: 'A', batchNumber: 1, totalBatches: 2, startIndex: 0, totalTasks: 4 };
+    const tasks = [{ title: 'A', due: { start: '2024-05-11' } }, { title: 'AA', due: null }];
+    const bitmap = renderTasksBitmap(tasks, page, { layout, font, timeZone: 'Asia/Shanghai', now: new Date('2024-05-11T00:00:00Z') });
+
+    expect(bitmap.width).toBe(296);
+    expect(bitmap.height).toBe(152);
+    // 标题下方的分隔线
+    expect(getPixel(bitmap, 150, 14)).toBe(BLACK);
+    // 进度条填充到一半
+    const barTop = 152 - 4 - 8 - 7;
+    expect(getPixel(bitmap, 100, barTop + 2)).toBe(BLACK);
+    expect(getPixel(bitmap, 200, barTop + 2)).toBe(WHITE);
+    // 今天到期的任务使用反色标签
+    expect(getPixel(bitmap, 291, 17)).toBe(BLACK);
+  });
+});
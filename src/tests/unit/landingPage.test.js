@@ -0,0 +1,48 @@
+/**
+ * 落地页测试
+ */
+
+const { pageLinkUrl, pageLinkPath, databaseUrl, renderLandingPage } = require('../../services/landingPage');
+const { authenticateLinkRequest } = require('../../middleware/auth');
+
+describe('落地页测试', () => {
+  test('配置了 API_TOKEN 时链接带签名，签名只对同一设备和页码有效', () => {
+    expect(pageLinkUrl('https://example.com', 'office', 2, '')).toBe('https://example.com/api/page/2?device=office');
+
+    const url = new URL(pageLinkUrl('https://example.com', 'office', 2, 'secret'));
+    const sig = url.searchParams.get('sig');
+    expect(sig).toMatch(/^[0-9a-f]{32}$/);
+
+    const request = { headers: {}, query: { sig } };
+    expect(() => authenticateLinkRequest(request, pageLinkPath('office', 2), 'secret')).not.toThrow();
+    expect(() => authenticateLinkRequest(request, pageLinkPath('office', 3), 'secret')).toThrow('API token');
+    expect(() => authenticateLinkRequest({ headers: {}, query: { token: 'secret' } }, pageLinkPath('home', 1), 'secret')).not.toThrow();
+  });
+
+  test('数据库地址去掉 ID 中的连字符', () => {
+    expect(databaseUrl('2a8935d9-5ce5-8010-9f12-e9ce4edf114a')).toBe('https://www.notion.so/2a8935d95ce580109f12e9ce4edf114a');
+  });
+
+  test('列出任务并转义 HTML', () => {
+    const html = renderLandingPage({
+      title: '5 个待办事项',
+      tasks: [
+        { title: '<b>写周报</b>', url: 'https://notion.so/a?x=1&y=2', status: '进行中', due: { start: '2024-05-11' }, source: { prefix: '[工作] ' } },
+        { title: '买菜', url: '', due: null }
+      ],
+      startIndex: 3,
+      page: 2,
+      pages: 2,
+      databaseUrl: 'https://notion.so/db',
+      fetchedAt: new Date('2024-05-10T01:02:03Z'),
+      stale: false,
+      timeZone: 'Asia/Shanghai'
+    });
+
+    expect(html).toContain('<ol start="4">');
+    expect(html).toContain('<a href="https://notion.so/a?x=1&amp;y=2">[工作] &lt;b&gt;写周报&lt;/b&gt;</a>');
+    expect(html).toContain('进行中 · 截止 05-11');
+    expect(html).toContain('<li>买菜</li>');
+    expect(html).toContain('更新于 2024-05-10 09:02:03');
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Notion 服务测试
+ */
+
+jest.mock('@notionhq/client');
+
+const { Client } = require('@notionhq/client');
+const { getNotionTasks, queryDatabaseAll, resolveTargetStatus, updateTaskStatus } = require('../../services/notion');
+const { DEFAULT_PROPERTY_MAPPING } = require('../../config/propertyMapping');
+const { NotFoundError, ValidationError } = require('../../utils/errorHandler');
+
+const ENV = {
+  NOTION_API_KEY: 'notion-key',
+  DOT_API_KEY: 'dot-key',
+  QUOTE_DEVICE_ID: 'abc',
+  NOTION_SOURCES: JSON.stringify([
+    { id: 'personal', databaseId: 'db1' },
+    { id: 'team', databaseId: 'db2', apiKey: 'team-key' }
+  ])
+};
+
+describe('Notion 服务测试', () => {
+  const originalEnv = process.env;
+  const database = {
+    properties: {
+      办理状态: { type: 'status', status: { options: [{ name: '待开始' }, { name: '进行中' }, { name: '已完成' }] } },
+      待办事项: { type: 'title' },
+      创建日期: { type: 'created_time' }
+    }
+  };
+  const page = {
+    id: 'p1',
+    parent: { database_id: 'db2' },
+    properties: { 办理状态: { type: 'status', status: { name: '进行中' } } }
+  };
+  let clients;
+
+  /**
+   * 创建按 API 密钥区分的模拟客户端
+   * @param {boolean} canRead 该密钥能否读取页面
+   * @returns {Object} 模拟客户端
+   */
+  const mockClient = canRead => ({
+    pages: {
+      retrieve: jest.fn(() => (canRead
+        ? Promise.resolve(page)
+        : Promise.reject(Object.assign(new Error('Could not find page'), { code: 'object_not_found' })))),
+      update: jest.fn().mockResolvedValue({})
+    },
+    databases: {
+      retrieve: jest.fn().mockResolvedValue(database)
+    }
+  });
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, ...ENV };
+    clients = { 'notion-key': mockClient(false), 'team-key': mockClient(true) };
+    Client.mockReset();
+    Client.mockImplementation(({ auth }) => clients[auth]);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  /**
+   * 构造查询结果中的页面
+   * @param {string} title 标题
+   * @returns {Object} Notion 页面
+   */
+  const taskPage = title => ({
+    id: `id-${title}`,
+    properties: {
+      待办事项: { type: 'title', title: [{ plain_text: title }] },
+      办理状态: { type: 'status', status: { name: '进行中' } }
+    }
+  });
+
+  /**
+   * 模拟按游标分页的 databases.query，每页返回一个结果
+   * @param {Array<string>} titles 各页结果的标题
+   * @returns {Function} 模拟的 query 方法
+   */
+  const pagedQuery = titles => jest.fn(({ start_cursor: cursor }) => {
+    const index = cursor ? Number(cursor) : 0;
+    return Promise.resolve({
+      results: [taskPage(titles[index])],
+      has_more: index < titles.length - 1,
+      next_cursor: index < titles.length - 1 ? String(index + 1) : null
+    });
+  });
+
+  describe('queryDatabaseAll', () => {
+    test('按游标依次查询直到没有更多结果', async () => {
+      const notion = { databases: { query: pagedQuery(['a', 'b', 'c']) } };
+      const { results, hasMore } = await queryDatabaseAll(notion, { database_id: 'db1' }, 10);
+
+      expect(results.map(page => page.id)).toEqual(['id-a', 'id-b', 'id-c']);
+      expect(hasMore).toBe(false);
+      expect(notion.databases.query.mock.calls.map(([params]) => params.start_cursor)).toEqual([undefined, '1', '2']);
+      expect(notion.databases.query).toHaveBeenCalledWith({ database_id: 'db1', page_size: 100, start_cursor: '1' });
+    });
+
+    test('达到页数上限时停止并标记还有更多结果', async () => {
+      const notion = { databases: { query: pagedQuery(['a', 'b', 'c']) } };
+      const { results, hasMore } = await queryDatabaseAll(notion, { database_id: 'db1' }, 2);
+
+      expect(results).toHaveLength(2);
+      expect(hasMore).toBe(true);
+    });
+
+    test('达到行数上限时停止分页，最后一页只请求剩余行数', async () => {
+      const notion = { databases: { query: pagedQuery(['a', 'b', 'c']) } };
+      const { results, hasMore } = await queryDatabaseAll(notion, { database_id: 'db1' }, 10, 2);
+
+      expect(results.map(page => page.id)).toEqual(['id-a', 'id-b']);
+      expect(hasMore).toBe(true);
+      expect(notion.databases.query).toHaveBeenCalledTimes(2);
+      expect(notion.databases.query.mock.calls.map(([params]) => params.page_size)).toEqual([2, 1]);
+    });
+
+    test('响应格式错误时抛出错误', async () => {
+      const notion = { databases: { query: jest.fn().mockResolvedValue({}) } };
+      await expect(queryDatabaseAll(notion, { database_id: 'db1' }, 2)).rejects.toThrow('Notion API 响应格式错误');
+    });
+  });
+
+  describe('getNotionTasks', () => {
+    test('超过 NOTION_MAX_PAGES 时总数标记为不完整', async () => {
+      process.env.NOTION_MAX_PAGES = '2';
+      clients['notion-key'].databases.query = pagedQuery(['写周报', '买菜', '修自行车']);
+
+      const result = await getNotionTasks();
+      expect(result.tasks.map(task => task.title)).toEqual(['写周报', '买菜']);
+      expect(result).toMatchObject({ total: 2, truncated: true });
+    });
+
+    test('达到 NOTION_MAX_ROWS 时停止获取，总数为已获取的数量并标记为不完整', async () => {
+      process.env.NOTION_MAX_ROWS = '2';
+      clients['notion-key'].databases.query = pagedQuery(['写周报', '买菜', '修自行车']);
+
+      const result = await getNotionTasks();
+      expect(result.tasks.map(task => task.title)).toEqual(['写周报', '买菜']);
+      expect(result).toMatchObject({ total: 2, truncated: true });
+      expect(clients['notion-key'].databases.query).toHaveBeenCalledTimes(2);
+      expect(result.tasks[0]).toMatchObject({ id: 'id-写周报', status: '进行中', source: { id: 'personal' } });
+    });
+  });
+
+  describe('resolveTargetStatus', () => {
+    const mapping = { ...DEFAULT_PROPERTY_MAPPING, statusFlow: ['待开始', '进行中', '已完成'] };
+
+    test('完成时使用完成状态，指定状态时原样返回', () => {
+      expect(resolveTargetStatus(mapping, '待开始', { complete: true })).toBe('已完成');
+      expect(resolveTargetStatus(mapping, '待开始', { status: '搁置' })).toBe('搁置');
+    });
+
+    test('推进时返回状态流程中的下一个状态', () => {
+      expect(resolveTargetStatus(mapping, '待开始', { advance: true })).toBe('进行中');
+      expect(resolveTargetStatus(mapping, '进行中', { advance: true })).toBe('已完成');
+    });
+
+    test('无法推进时抛出 ValidationError', () => {
+      expect(() => resolveTargetStatus(DEFAULT_PROPERTY_MAPPING, '待开始', { advance: true })).toThrow('NOTION_STATUS_FLOW');
+      expect(() => resolveTargetStatus(mapping, '搁置', { advance: true })).toThrow('不在状态流程中');
+      expect(() => resolveTargetStatus(mapping, '已完成', { advance: true })).toThrow(ValidationError);
+    });
+  });
+
+  describe('updateTaskStatus', () => {
+    test('使用页面所属数据源的 API 密钥读取和写入', async () => {
+      expect(await updateTaskStatus('p1', { complete: true })).toEqual({
+        pageId: 'p1',
+        source: 'team',
+        from: '进行中',
+        to: '已完成'
+      });
+      expect(clients['team-key'].pages.update).toHaveBeenCalledWith({
+        page_id: 'p1',
+        properties: { 办理状态: { status: { name: '已完成' } } }
+      });
+      expect(clients['notion-key'].pages.update).not.toHaveBeenCalled();
+    });
+
+    test('目标状态不是可选值时不写入', async () => {
+      await expect(updateTaskStatus('p1', { status: '搁置' })).rejects.toThrow('"搁置" 不是 办理状态 的可选值');
+      expect(clients['team-key'].pages.update).not.toHaveBeenCalled();
+    });
+
+    test('所有密钥都无法读取或页面不属于已配置的数据库时抛出 NotFoundError', async () => {
+      clients['team-key'] = mockClient(false);
+      await expect(updateTaskStatus('p1', { complete: true })).rejects.toThrow(NotFoundError);
+
+      clients['notion-key'] = { ...mockClient(true), pages: { retrieve: jest.fn().mockResolvedValue({ ...page, parent: { database_id: 'db3' } }) } };
+      await expect(updateTaskStatus('p1', { complete: true })).rejects.toThrow('不属于已配置的 Notion 数据库');
+    });
+
+    test('其他错误直接抛出', async () => {
+      clients['notion-key'].pages.retrieve.mockRejectedValue(Object.assign(new Error('rate limited'), { code: 'rate_limited' }));
+      await expect(updateTaskStatus('p1', { complete: true })).rejects.toThrow('rate limited');
+      expect(clients['team-key'].pages.retrieve).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * 声明式过滤条件测试
+ */
+
+const { compileFilter, compileSorts } = require('../../services/notionFilter');
+const { validateFilterSpec } = require('../../middleware/validation');
+const { ValidationError, ConfigError } = require('../../utils/errorHandler');
+
+describe('声明式过滤条件测试', () => {
+  const properties = {
+    办理状态: { type: 'status' },
+    标签: { type: 'multi_select' },
+    负责人: { type: 'people' },
+    截止日期: { type: 'date' },
+    已归档: { type: 'checkbox' }
+  };
+  const context = {
+    meUserId: 'user-1',
+    timeZone: 'Asia/Shanghai',
+    now: new Date('2024-05-01T20:00:00Z') // 北京时间 5 月 2 日
+  };
+
+  test('应该编译"今天的紧急工作"视图', () => {
+    const spec = {
+      and: [
+        { property: '办理状态', in: ['进行中', '待开始'] },
+        { property: '标签', contains: '紧急' },
+        { property: '负责人', isMe: true },
+        { property: '截止日期', withinDays: 0 },
+        { property: '已归档', unchecked: true }
+      ]
+    };
+    expect(validateFilterSpec(spec)).toBe(spec);
+    expect(compileFilter(spec, properties, context)).toEqual({
+      and: [
+        {
+          or: [
+            { property: '办理状态', status: { equals: '进行中' } },
+            { property: '办理状态', status: { equals: '待开始' } }
+          ]
+        },
+        { property: '标签', multi_select: { contains: '紧急' } },
+        { property: '负责人', people: { contains: 'user-1' } },
+        { property: '截止日期', date: { on_or_before: '2024-05-02' } },
+        { property: '已归档', checkbox: { equals: false } }
+      ]
+    });
+  });
+
+  test('同类复合条件应该被展开', () => {
+    const spec = { or: [{ property: '办理状态', in: ['A', 'B'] }, { property: '截止日期', before: 'today' }] };
+    expect(compileFilter(spec, properties, context).or).toHaveLength(3);
+  });
+
+  test('格式错误的条件应该被拒绝', () => {
+    expect(() => validateFilterSpec({ property: '标签' })).toThrow(ValidationError);
+    expect(() => validateFilterSpec({ and: [] })).toThrow(ValidationError);
+    expect(() => validateFilterSpec({ property: '截止日期', withinDays: -1 })).toThrow(ValidationError);
+    expect(() => validateFilterSpec({ property: '标签', like: 'x' })).toThrow(ValidationError);
+  });
+
+  test('属性不存在或类型不匹配时应该抛出 ConfigError', () => {
+    expect(() => compileFilter({ property: '优先级', in: ['高'] }, properties, context)).toThrow(ConfigError);
+    expect(() => compileFilter({ property: '标签', unchecked: true }, properties, context)).toThrow(ConfigError);
+  });
+
+  test('展开后嵌套超过两层时抛出 ConfigError 并指出条件路径', () => {
+    // 第 3 层是 in 展开的 or
+    const tooDeep = {
+      and: [
+        { property: '已归档', unchecked: true },
+        { or: [{ property: '负责人', isMe: true }, { and: [{ property: '截止日期', before: 'today' }, { property: '办理状态', in: ['A', 'B'] }] }] }
+      ]
+    };
+    expect(validateFilterSpec(tooDeep)).toBe(tooDeep);
+    expect(() => compileFilter(tooDeep, properties, context)).toThrow(ConfigError);
+    expect(() => compileFilter(tooDeep, properties, context)).toThrow('过滤条件 filter.and[1] 展开后嵌套了 3 层');
+
+    // 同类条件合并后只有两层
+    const merged = { and: [{ or: [{ property: '负责人', isMe: true }, { or: [{ property: '办理状态', in: ['A', 'B'] }] }] }] };
+    expect(compileFilter(merged, properties, context)).toEqual({
+      or: [
+        { property: '负责人', people: { contains: 'user-1' } },
+        { property: '办理状态', status: { equals: 'A' } },
+        { property: '办理状态', status: { equals: 'B' } }
+      ]
+    });
+  });
+
+  test('应该支持多个排序键', () => {
+    expect(compileSorts([
+      { property: '截止日期', direction: 'ascending' },
+      { timestamp: 'created_time', direction: 'descending' }
+    ], properties)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Notion 属性转换工具测试
+ */
+
+const { propertyToText, formatNumber, formatDate } = require('../../utils/notionProperty');
+
+describe('Notion 属性转换工具测试', () => {
+  test('应该渲染标题和富文本', () => {
+    expect(propertyToText({
+      type: 'title',
+      title: [{ plain_text: '写' }, { plain_text: '周报' }]
+    })).toBe('写周报');
+  });
+
+  test('应该渲染多选、人员和关联', () => {
+    expect(propertyToText({
+      type: 'multi_select',
+      multi_select: [{ name: '工作' }, { name: '紧急' }]
+    })).toBe('工作, 紧急');
+    expect(propertyToText({
+      type: 'people',
+      people: [{ id: 'u1', name: '张三' }, { id: 'u2' }]
+    })).toBe('张三, u2');
+    expect(propertyToText({ type: 'relation', relation: [{ id: 'a' }, { id: 'b' }] })).toBe('2 项');
+  });
+
+  test('应该渲染公式和汇总', () => {
+    expect(propertyToText({
+      type: 'formula',
+      formula: { type: 'boolean', boolean: true }
+    })).toBe('✓');
+    expect(propertyToText({
+      type: 'rollup',
+      rollup: {
+        type: 'array',
+        array: [
+          { type: 'title', title: [{ plain_text: 'A' }] },
+          { type: 'title', title: [{ plain_text: 'B' }] }
+        ]
+      }
+    })).toBe('A, B');
+  });
+
+  test('应该渲染唯一 ID', () => {
+    expect(propertyToText({ type: 'unique_id', unique_id: { prefix: 'TASK', number: 42 } })).toBe('TASK-42');
+  });
+
+  test('formatNumber 应该按 Notion 数字格式渲染', () => {
+    expect(formatNumber(0.1 + 0.2)).toBe('0.3');
+    expect(formatNumber(0.256, 'percent')).toBe('25.6%');
+    expect(formatNumber(1234567, 'number_with_commas')).toBe('1,234,567');
+  });
+
+  test('formatDate 应该保留纯日期并转换日期时间的时区', () => {
+    expect(formatDate('2024-05-01')).toBe('2024-05-01');
+    expect(formatDate('2024-05-01T01:30:00.000Z')).toBe('2024-05-01 09:30');
+    expect(formatDate('2024-05-01T01:30:00.000Z', { timeZone: 'UTC' })).toBe('2024-05-01 01:30');
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Notion Webhook 工具测试
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { readRawBody, verifyNotionSignature, isRelevantPageEvent } = require('../../middleware/notionWebhook');
+const { UnauthorizedError, ConfigError } = require('../../utils/errorHandler');
+
+describe('Notion Webhook 工具测试', () => {
+  const secret = 'secret_token';
+  const rawBody = '{"type":"page.properties_updated", "entity":{"id":"p1"}}';
+  const sign = body => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+  test('按原始请求体校验签名', () => {
+    expect(() => verifyNotionSignature(rawBody, sign(rawBody), secret)).not.toThrow();
+    // 重新序列化后的请求体与原文不同，签名不再匹配
+    const reserialized = JSON.stringify(JSON.parse(rawBody));
+    expect(() => verifyNotionSignature(reserialized, sign(rawBody), secret)).toThrow('Invalid webhook signature');
+  });
+
+  test('签名错误或缺失时抛出 UnauthorizedError', () => {
+    expect(() => verifyNotionSignature(rawBody, sign('other'), secret)).toThrow(UnauthorizedError);
+    expect(() => verifyNotionSignature(rawBody, 'sha256=abc', secret)).toThrow('Invalid webhook signature');
+    expect(() => verifyNotionSignature(rawBody, undefined, secret)).toThrow('Missing X-Notion-Signature header');
+  });
+
+  test('优先读取原始请求体，否则从请求流中读取', async () => {
+    expect((await readRawBody({ rawBody: Buffer.from(rawBody), body: { parsed: true } })).toString()).toBe(rawBody);
+
+    const stream = Readable.from([Buffer.from(rawBody.slice(0, 10)), Buffer.from(rawBody.slice(10))]);
+    expect((await readRawBody(stream)).toString()).toBe(rawBody);
+  });
+
+  test('按请求流的原始字节校验含非 ASCII 字符和空白的请求体', async () => {
+    const body = Buffer.from('{ "type": "page.properties_updated",\n  "entity": { "id": "p1", "name": "写周报 \\u2014 ✓" } }');
+    // 按多字节字符中间切分，确保拼接的是字节而不是字符串
+    const stream = Readable.from([body.subarray(0, 73), body.subarray(73)]);
+    const received = await readRawBody(stream);
+
+    expect(received.equals(body)).toBe(true);
+    expect(() => verifyNotionSignature(received, sign(body), secret)).not.toThrow();
+    expect(JSON.stringify(JSON.parse(received.toString()))).not.toBe(body.toString());
+  });
+
+  test('请求体已被解析时拒绝读取，不重新序列化', async () => {
+    await expect(readRawBody({ body: { type: 'page.created' } })).rejects.toThrow(ConfigError);
+    await expect(readRawBody({ body: rawBody })).rejects.toThrow('disable body parsing');
+  });
+
+  test('只接受已配置数据库中的页面事件', () => {
+    const databaseIds = ['1234abcd-0000-0000-0000-000000000000'];
+    const event = (type, parentId) => ({ type, data: { parent: { id: parentId, type: 'database' } } });
+
+    expect(isRelevantPageEvent(event('page.created', '1234ABCD000000000000000000000000'), databaseIds)).toBe(true);
+    expect(isRelevantPageEvent(event('page.created', 'ffff0000000000000000000000000000'), databaseIds)).toBe(false);
+    expect(isRelevantPageEvent(event('database.schema_updated', databaseIds[0]), databaseIds)).toBe(false);
+    expect(isRelevantPageEvent({ type: 'page.deleted', data: {} }, databaseIds)).toBe(false);
+  });
+});
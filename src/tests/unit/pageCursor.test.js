@@ -0,0 +1,76 @@
+/**
+ * 翻页游标测试
+ */
+
+const { setStore, createMemoryStore } = require('../../storage');
+const { nextPage, resolvePage, saveCursor, listSignature } = require('../../services/pageCursor');
+
+const makeTasks = ids => ids.map(id => ({ id, title: `任务 ${id}` }));
+
+describe('翻页游标测试', () => {
+  const tasks = makeTasks(['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+
+  test('没有游标时从第 1 页开始，之后每次前进一页并循环', () => {
+    expect(nextPage(tasks, 3, null)).toMatchObject({ page: 1, totalBatches: 3, reset: false });
+
+    const signature = listSignature(tasks, 3);
+    expect(nextPage(tasks, 3, { page: 1, signature, firstTask: 'a' }).page).toBe(2);
+    expect(nextPage(tasks, 3, { page: 3, signature, firstTask: 'g' }).page).toBe(1);
+    expect(nextPage(tasks, 3, { page: 2, signature, firstTask: 'd' }, { advance: false }).page).toBe(2);
+    expect(nextPage([], 3, null)).toEqual({ page: 0, totalBatches: 0, reset: false });
+  });
+
+  test('列表变化时从上次显示的任务所在页继续', () => {
+    const previous = { page: 2, signature: listSignature(tasks, 3), firstTask: 'd' };
+
+    // 第 1 页完成了一个任务，d 移到第 1 页
+    const shifted = makeTasks(['a', 'c', 'd', 'e', 'f', 'g']);
+    expect(nextPage(shifted, 3, previous).page).toBe(2);
+    expect(nextPage(shifted, 3, previous, { advance: false }).page).toBe(1);
+
+    // 上次显示的任务已不在列表中
+    expect(nextPage(makeTasks(['a', 'b', 'c', 'e']), 3, previous)).toMatchObject({ page: 1, totalBatches: 2, reset: true });
+  });
+
+  test('每页任务数变化时签名也变化', () => {
+    expect(listSignature(tasks, 3)).not.toBe(listSignature(tasks, 4));
+    expect(listSignature(tasks, 3)).toBe(listSignature(makeTasks(['a', 'b', 'c', 'd', 'e', 'f', 'g']), 3));
+  });
+
+  describe('保存游标', () => {
+    let store;
+    const push = async (deviceId, options = {}) => {
+      const result = await resolvePage(deviceId, tasks, 3, options);
+      await saveCursor(deviceId, tasks, 3, result);
+      return result.page;
+    };
+
+    beforeEach(() => {
+      store = createMemoryStore();
+      setStore(store);
+    });
+
+    afterAll(() => setStore(null));
+
+    test('连续两次推送显示不同的页，各设备互不影响', async () => {
+      expect(await push('office')).toBe(1);
+      expect(await push('office')).toBe(2);
+      expect(await push('home')).toBe(1);
+      expect(await store.get('cursor:office')).toMatchObject({ page: 2, firstTask: 'd' });
+    });
+
+    test('指定页码后从该页继续翻页，超出范围时使用最后一页', async () => {
+      expect(await push('office', { page: 9 })).toBe(3);
+      expect(await push('office')).toBe(1);
+      expect(await push('office', { page: 2 })).toBe(2);
+      expect(await push('office')).toBe(3);
+    });
+
+    test('刷新当前页时不前进，不保存时游标不变', async () => {
+      await push('office');
+      expect(await push('office', { advance: false })).toBe(1);
+      expect((await resolvePage('office', tasks, 3)).page).toBe(2);
+      expect((await resolvePage('office', tasks, 3)).page).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * 预览测试
+ */
+
+jest.mock('axios');
+jest.mock('../../services/notion');
+
+const axios = require('axios');
+const { getNotionTasks } = require('../../services/notion');
+const { setStore, createMemoryStore } = require('../../storage');
+const { checkWidths, mockScreen, buildPreview, renderPreviewText } = require('../../services/preview');
+const { recordApiCall } = require('../../services/syncService');
+const { NotFoundError, RateLimitError } = require('../../utils/errorHandler');
+
+const ENV = {
+  NOTION_API_KEY: 'notion-key',
+  NOTION_DATABASE_ID: 'db',
+  DOT_API_KEY: 'dot-key',
+  QUOTE_DEVICE_ID: 'abc',
+  QUOTE_PAGE_SIZE: '2',
+  QUOTE_PROFILES: JSON.stringify([
+    { id: 'evening', push: false, templates: { title: '晚间 {{total}} 件' }, pageSize: 3 }
+  ])
+};
+
+describe('预览测试', () => {
+  const originalEnv = process.env;
+  const layout = { columns: 10 };
+  const tasks = ['写周报', '买菜', '修自行车'].map((title, index) => ({ id: `t${index}`, title }));
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, ...ENV };
+    setStore(createMemoryStore());
+    axios.request.mockReset();
+    getNotionTasks.mockReset();
+    getNotionTasks.mockResolvedValue({ tasks, total: tasks.length, truncated: false });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    setStore(null);
+  });
+
+  test('屏幕示意按列数补齐，超出的行标出超出的列数', () => {
+    const screen = mockScreen({ title: '标题', message: '1. 写周报\n2. 这是一个很长的任务', signature: '' }, layout);
+    expect(screen.split('\n')).toEqual([
+      '+----------+',
+      '|标题      |',
+      '+----------+',
+      '|1. 写周报 |',
+      '|2. 这是一个很长的任务  <- 超出 11 列',
+      '+----------+',
+      '|          |',
+      '+----------+'
+    ]);
+  });
+
+  test('宽度警告包含标题、消息各行和签名', () => {
+    const warnings = checkWidths({ title: '一二三四五六', message: 'ok\n一二三四五六', signature: 'abc' }, layout, 5);
+    expect(warnings).toEqual([
+      '标题宽 12 列，超出每行 10 列',
+      '消息第 2 行宽 12 列，超出每行 10 列',
+      '消息超过 5 个字符，末尾已截断'
+    ]);
+  });
+
+  test('预览每一页的请求数据，不发送也不翻页', async () => {
+    const preview = await buildPreview({ profile: 'none' });
+    const [device] = preview.devices;
+
+    expect(device).toMatchObject({ device: 'default', profile: null, mode: 'text', total: 3, pages: 2, next: 1 });
+    expect(device.results.map(result => result.page)).toEqual([1, 2]);
+    expect(device.results[1].payload).toMatchObject({ refreshNow: true, taskKey: expect.any(String) });
+    expect(device.results[1].payload.message).toContain('修自行车');
+    expect(device.results[1].endpoint).toContain('/text');
+    expect(axios.request).not.toHaveBeenCalled();
+    expect(getNotionTasks).toHaveBeenCalledTimes(1);
+
+    // 翻页游标没有移动
+    expect((await buildPreview({ profile: 'none' })).devices[0].next).toBe(1);
+  });
+
+  test('按查询参数覆盖页码和显示方案', async () => {
+    const preview = await buildPreview({ page: 5, profile: 'none' });
+    expect(preview.devices[0].results.map(result => result.page)).toEqual([2]);
+
+    // 默认按当前时间选择方案，暂停推送的方案也可以预览
+    const evening = (await buildPreview({})).devices[0];
+    expect(evening).toMatchObject({ profile: 'evening', pages: 1 });
+    expect(evening.results[0].payload.title).toBe('晚间 3 件');
+    expect(renderPreviewText({ devices: [evening] })).toContain('default（方案 evening）');
+  });
+
+  test('与同步共用 API 调用频率限制', async () => {
+    // 固定在同一分钟内计数
+    jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2024, 4, 1, 10, 0, 30));
+    for (let i = 0; i < 59; i++) {
+      await recordApiCall();
+    }
+    await buildPreview({ profile: 'none' });
+    await expect(buildPreview({ profile: 'none' })).rejects.toThrow(RateLimitError);
+    expect(getNotionTasks).toHaveBeenCalledTimes(1);
+    jest.restoreAllMocks();
+  });
+
+  test('设备或方案不存在时报错', async () => {
+    await expect(buildPreview({ device: 'office' })).rejects.toThrow(NotFoundError);
+    await expect(buildPreview({ profile: 'night' })).rejects.toThrow('Unknown profile: night');
+  });
+});
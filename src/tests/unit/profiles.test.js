@@ -0,0 +1,72 @@
+/**
+ * 显示方案测试
+ */
+
+const { getProfiles } = require('../../config/profiles');
+const { activeProfile, applyProfile } = require('../../services/profiles');
+const { renderTemplate } = require('../../utils/template');
+const { ConfigError } = require('../../utils/errorHandler');
+
+describe('显示方案测试', () => {
+  const env = {
+    QUOTE_PROFILES: JSON.stringify([
+      { id: 'sleep', time: '23:00-07:00', days: ['Fri', 'Sat'], push: false },
+      {
+        id: 'evening',
+        time: '20:00-23:00',
+        filter: { property: '截止日期', withinDays: 1 },
+        templates: { title: '明天 {{total}} 件事' },
+        pageSize: 3
+      },
+      { id: 'office', days: ['Mon'], devices: ['office'] }
+    ])
+  };
+  const profiles = getProfiles(env, { deviceIds: ['default', 'office'] });
+  const device = { id: 'default', filter: null, pageSize: 5, templates: { title: 'title', line: 'line' } };
+  const at = iso => activeProfile(profiles, device, new Date(iso), 'UTC');
+
+  test('未配置时没有方案', () => {
+    expect(getProfiles({})).toEqual([]);
+  });
+
+  test('应该解析方案配置', () => {
+    expect(profiles[0]).toMatchObject({ id: 'sleep', time: { start: 1380, end: 420 }, days: [5, 6], push: false });
+    expect(profiles[1].days).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(Object.keys(profiles[1].templates)).toEqual(['title']);
+    expect(renderTemplate(profiles[1].templates.title, { total: 2 })).toBe('明天 2 件事');
+  });
+
+  test('按时段和星期选出方案，跨午夜的时段按开始那天判断星期', () => {
+    // 2024-05-03 为星期五
+    expect(at('2024-05-03T23:30:00Z').id).toBe('sleep');
+    expect(at('2024-05-04T06:59:00Z').id).toBe('sleep');
+    // 星期四晚上开始的时段不在 days 中，星期五凌晨不生效
+    expect(at('2024-05-03T03:00:00Z')).toBeNull();
+    expect(at('2024-05-02T21:00:00Z').id).toBe('evening');
+    expect(at('2024-05-02T23:00:00Z')).toBeNull();
+    // 限定设备的方案不影响其他设备
+    expect(at('2024-05-06T12:00:00Z')).toBeNull();
+    expect(activeProfile(profiles, { id: 'office' }, new Date('2024-05-06T12:00:00Z'), 'UTC').id).toBe('office');
+  });
+
+  test('应用方案只覆盖方案中配置的部分', () => {
+    const applied = applyProfile(device, profiles[1]);
+    expect(applied).toMatchObject({ id: 'default', profile: 'evening', pageSize: 3, filter: profiles[1].filter });
+    expect(applied.templates.line).toBe('line');
+    expect(applyProfile(device, null)).toEqual({ ...device, profile: null });
+    expect(applyProfile(device, profiles[2]).pageSize).toBe(5);
+  });
+
+  test('配置错误时应该抛出 ConfigError', () => {
+    const parse = items => () => getProfiles({ QUOTE_PROFILES: JSON.stringify(items) }, { deviceIds: ['default'] });
+    expect(parse({})).toThrow(ConfigError);
+    expect(parse([{ time: '25:00-07:00' }])).toThrow('QUOTE_PROFILES[0].time');
+    expect(parse([{ days: ['Someday'] }])).toThrow('Someday');
+    expect(parse([{ devices: ['kitchen'] }])).toThrow('kitchen');
+    expect(parse([{ push: 'no' }])).toThrow('push');
+    expect(parse([{ templates: { subtitle: 'x' } }])).toThrow('subtitle');
+    expect(parse([{ pageSize: 0 }])).toThrow('pageSize');
+    expect(parse([{ id: 'a' }, { id: 'a' }])).toThrow('重复');
+    expect(parse([{ filter: { property: '状态' } }])).toThrow(ConfigError);
+  });
+});
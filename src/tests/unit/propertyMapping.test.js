@@ -0,0 +1,57 @@
+/**
+ * 属性映射配置测试
+ */
+
+const { getPropertyMapping, validatePropertyMapping, DEFAULT_PROPERTY_MAPPING } = require('../../config/propertyMapping');
+const { ConfigError } = require('../../utils/errorHandler');
+
+describe('属性映射配置测试', () => {
+  const database = {
+    properties: {
+      办理状态: { type: 'status' },
+      待办事项: { type: 'title' },
+      创建日期: { type: 'created_time' },
+      负责人: { type: 'people' }
+    }
+  };
+
+  test('未配置时使用默认映射', () => {
+    expect(getPropertyMapping({})).toEqual(DEFAULT_PROPERTY_MAPPING);
+  });
+
+  test('应该解析多个状态值和排序方向', () => {
+    const mapping = getPropertyMapping({
+      NOTION_STATUS_VALUES: '进行中, 待开始',
+      NOTION_SORT_DIRECTION: 'ASCENDING'
+    });
+    expect(mapping.statusValues).toEqual(['进行中', '待开始']);
+    expect(mapping.sortDirection).toBe('ascending');
+  });
+
+  test('排序方向不合法时应该抛出 ConfigError', () => {
+    expect(() => getPropertyMapping({ NOTION_SORT_DIRECTION: 'up' })).toThrow(ConfigError);
+  });
+
+  test('映射与数据库结构一致时返回属性类型', () => {
+    expect(validatePropertyMapping(DEFAULT_PROPERTY_MAPPING, database)).toEqual({
+      statusProperty: 'status',
+      titleProperty: 'title',
+      sortProperty: 'created_time'
+    });
+  });
+
+  test('属性缺失或类型不受支持时应该列出所有问题', () => {
+    const mapping = {
+      ...DEFAULT_PROPERTY_MAPPING,
+      statusProperty: '负责人',
+      titleProperty: 'Name'
+    };
+    try {
+      validatePropertyMapping(mapping, database);
+      throw new Error('应该抛出错误');
+    } catch (err) {
+      expect(err).toBeInstanceOf(ConfigError);
+      expect(err.details).toHaveLength(2);
+    }
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Quote 推送测试
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const { getStore, setStore, createMemoryStore } = require('../../storage');
+const { sendTasksInBatches } = require('../../services/quote');
+const { getConfig } = require('../../config');
+
+const ENV = {
+  NOTION_API_KEY: 'notion-key',
+  NOTION_DATABASE_ID: 'db',
+  DOT_API_KEY: 'dot-key',
+  QUOTE_DEVICE_ID: 'abc'
+};
+
+describe('Quote 推送测试', () => {
+  const originalEnv = process.env;
+  const tasks = [{ id: 'a', title: '写周报' }, { id: 'b', title: '买菜' }];
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, ...ENV };
+    setStore(createMemoryStore());
+    axios.request.mockReset();
+    axios.request.mockResolvedValue({ status: 200, data: { code: 200 } });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    setStore(null);
+  });
+
+  const send = (options = {}) => sendTasksInBatches(tasks, 3, {
+    device: getConfig().quote.devices[0],
+    fetchedAt: new Date(),
+    ...options
+  });
+
+  test('内容未变化时跳过推送，拉取时间不计入比较', async () => {
+    expect(await send()).toEqual({ success: true, push: 'sent', page: 1, pages: 1 });
+    expect(await send({ fetchedAt: new Date(Date.now() + 60000) })).toMatchObject({ success: true, push: 'skipped' });
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  test('内容变化或强制推送时照常推送', async () => {
+    await send();
+    expect((await send({ total: 5 })).push).toBe('sent');
+    expect((await send({ total: 5, force: true })).push).toBe('sent');
+    expect(axios.request).toHaveBeenCalledTimes(3);
+    expect(axios.request.mock.calls[2][0].data.refreshNow).toBe(true);
+  });
+
+  test('QUOTE_ON_UNCHANGED=quiet 时推送但不立即刷新屏幕', async () => {
+    process.env.QUOTE_ON_UNCHANGED = 'quiet';
+    await send();
+    expect((await send()).push).toBe('quiet');
+    expect(axios.request.mock.calls[1][0].data.refreshNow).toBe(false);
+  });
+
+  test('连续两次推送显示不同的页', async () => {
+    expect(await sendTasksInBatches(tasks, 1, { device: getConfig().quote.devices[0] })).toMatchObject({ push: 'sent', page: 1, pages: 2 });
+    expect(await sendTasksInBatches(tasks, 1, { device: getConfig().quote.devices[0] })).toMatchObject({ push: 'sent', page: 2, pages: 2 });
+  });
+
+  test('推送失败时不保存记录和翻页游标，下次重新推送', async () => {
+    axios.request.mockRejectedValueOnce(new Error('timeout'));
+    expect(await send()).toMatchObject({ success: false, push: 'failed' });
+    expect(await getStore().get('cursor:default')).toBeNull();
+    expect((await send()).push).toBe('sent');
+    expect(await getStore().get('cursor:default')).toMatchObject({ page: 1, firstTask: 'a' });
+  });
+
+  test('按链接模式生成链接，taskKey 固定为设备的值', async () => {
+    const tasks = [{ id: 'a', title: '写周报', url: 'https://www.notion.so/a' }];
+    const payload = () => axios.request.mock.calls[axios.request.mock.calls.length - 1][0].data;
+
+    await sendTasksInBatches(tasks, 3, { device: getConfig().quote.devices[0], force: true });
+    expect(payload()).toMatchObject({ link: 'https://www.notion.so/db', taskKey: 'notion2quote-default' });
+
+    process.env.QUOTE_LINK_MODE = 'task';
+    await sendTasksInBatches(tasks, 3, { device: getConfig().quote.devices[0], force: true });
+    expect(payload().link).toBe('https://www.notion.so/a');
+
+    process.env.QUOTE_LINK_MODE = 'page';
+    expect(() => getConfig()).toThrow('PUBLIC_URL');
+    process.env.PUBLIC_URL = 'https://quote.example.com/';
+    await sendTasksInBatches(tasks, 3, { device: getConfig().quote.devices[0], force: true });
+    expect(payload().link).toBe('https://quote.example.com/api/page/1?device=default');
+  });
+
+  test('没有任务时不推送', async () => {
+    expect(await sendTasksInBatches([], 3)).toEqual({ success: true, push: 'empty', page: 0, pages: 0 });
+    expect(axios.request).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * 定时调度测试
+ */
+
+const { createScheduler, checkCronFrequency, STATE_KEY } = require('../../services/scheduler');
+const { parseCron } = require('../../utils/cron');
+const { getConfig } = require('../../config');
+const vercelConfig = require('../../../vercel.json');
+
+describe('定时调度测试', () => {
+  let data;
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-05-01T10:00:30Z') });
+    data = {};
+    store = {
+      get: async key => (key in data ? data[key] : null),
+      set: async (key, value) => {
+        data[key] = value;
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const create = run => createScheduler({ schedule: parseCron('* * * * *'), timeZone: 'UTC', run, store });
+
+  test('按计划执行并保存调度状态', async () => {
+    const run = jest.fn().mockResolvedValue({ success: true, message: 'ok' });
+    const scheduler = create(run);
+    await scheduler.start();
+    expect(run).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(30000);
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(data[STATE_KEY]).toMatchObject({
+      expression: '* * * * *',
+      lastRunAt: '2024-05-01T10:01:00.000Z',
+      lastSuccess: true,
+      nextRunAt: '2024-05-01T10:02:00.000Z'
+    });
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(run).toHaveBeenCalledTimes(2);
+    await scheduler.stop();
+  });
+
+  test('上一次执行未结束时跳过，停止时等待其结束', async () => {
+    let finish;
+    const run = jest.fn(() => new Promise(resolve => {
+      finish = () => resolve({ success: true, message: 'ok' });
+    }));
+    const scheduler = create(run);
+    await scheduler.start();
+
+    await jest.advanceTimersByTimeAsync(30000 + 60000 * 2);
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(scheduler.isRunning()).toBe(true);
+
+    let stopped = false;
+    const stopping = scheduler.stop().then(() => {
+      stopped = true;
+    });
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(stopped).toBe(false);
+
+    finish();
+    await stopping;
+    expect(scheduler.isRunning()).toBe(false);
+    await jest.advanceTimersByTimeAsync(5 * 60000);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  test('重启后补上停机期间错过的执行，计划变化时不补', async () => {
+    const run = jest.fn().mockResolvedValue({ success: false, message: 'failed' });
+    data[STATE_KEY] = { expression: '* * * * *', nextRunAt: '2024-05-01T09:00:00.000Z' };
+    const scheduler = create(run);
+    await scheduler.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(data[STATE_KEY].lastSuccess).toBe(false);
+    await scheduler.stop();
+
+    data[STATE_KEY] = { expression: '*/5 * * * *', nextRunAt: '2024-05-01T09:00:00.000Z' };
+    const other = create(run);
+    await other.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(run).toHaveBeenCalledTimes(1);
+    await other.stop();
+  });
+
+  test('执行出错时记录失败并继续调度', async () => {
+    const run = jest.fn().mockRejectedValueOnce(new Error('boom')).mockResolvedValue({ success: true, message: 'ok' });
+    const scheduler = create(run);
+    await scheduler.start();
+    await jest.advanceTimersByTimeAsync(30000);
+    expect(data[STATE_KEY]).toMatchObject({ lastSuccess: false, lastMessage: 'boom' });
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(data[STATE_KEY].lastSuccess).toBe(true);
+    await scheduler.stop();
+  });
+
+  test('定时计划跟不上翻页间隔时给出警告', () => {
+    const devices = [{ id: 'office', rotationMinutes: 2 }, { id: 'home', rotationMinutes: 60 }];
+    expect(checkCronFrequency(parseCron('*/2 * * * *'), 'UTC', devices)).toEqual([]);
+    const warnings = checkCronFrequency(parseCron('0 * * * *'), 'UTC', devices);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toContain('office');
+    expect(checkCronFrequency(parseCron('@daily'), 'UTC', devices)).toHaveLength(2);
+  });
+
+  describe('默认配置', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, NOTION_API_KEY: 'notion-key', NOTION_DATABASE_ID: 'db1', DOT_API_KEY: 'dot-key', QUOTE_DEVICE_ID: 'abc' };
+      delete process.env.QUOTE_ROTATION_MINUTES;
+      delete process.env.QUOTE_DEVICES;
+      delete process.env.SCHEDULE_CRON;
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    test('vercel.json 中的定时计划跟得上默认的翻页间隔', () => {
+      const { schedule } = vercelConfig.crons.find(item => item.path === '/api/cron');
+      expect(checkCronFrequency(parseCron(schedule), 'UTC', getConfig().quote.devices)).toEqual([]);
+    });
+
+    test('守护模式默认按最短的翻页间隔生成计划', () => {
+      expect(getConfig().schedule.cron.expression).toBe('0 0 * * *');
+      process.env.QUOTE_ROTATION_MINUTES = '5';
+      expect(getConfig().schedule.cron.expression).toBe('*/5 * * * *');
+      process.env.QUOTE_ROTATION_MINUTES = '180';
+      expect(getConfig().schedule.cron.expression).toBe('0 */3 * * *');
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * 数据库结构检查测试
+ */
+
+const {
+  describeProperties,
+  proposeMapping,
+  proposeFilter,
+  mappingToEnvLines,
+  findMissingReferences
+} = require('../../services/schemaInspector');
+const { DEFAULT_PROPERTY_MAPPING } = require('../../config/propertyMapping');
+
+describe('数据库结构检查测试', () => {
+  // 使用 status 类型并带分组的数据库
+  const statusDatabase = {
+    properties: {
+      任务: { type: 'title', title: {} },
+      状态: {
+        type: 'status',
+        status: {
+          options: [
+            { id: 's1', name: '未开始' },
+            { id: 's2', name: '进行中' },
+            { id: 's3', name: '等待反馈' },
+            { id: 's4', name: '已完成' }
+          ],
+          groups: [
+            { name: 'To-do', option_ids: ['s1'] },
+            { name: 'In progress', option_ids: ['s2', 's3'] },
+            { name: 'Complete', option_ids: ['s4'] }
+          ]
+        }
+      },
+      创建时间: { type: 'created_time', created_time: {} },
+      截止日期: { type: 'date', date: {} },
+      优先级: { type: 'select', select: { options: [{ id: 'p1', name: '高' }, { id: 'p2', name: '低' }] } },
+      标签: { type: 'multi_select', multi_select: { options: [{ id: 't1', name: '工作' }] } },
+      负责人: { type: 'people', people: {} }
+    }
+  };
+
+  // 只有 select 类型状态、没有日期属性的数据库
+  const selectDatabase = {
+    properties: {
+      Name: { type: 'title', title: {} },
+      Stage: { type: 'select', select: { options: [{ id: 'a', name: 'Todo' }, { id: 'b', name: 'Doing' }, { id: 'c', name: 'Done' }] } },
+      Notes: { type: 'rich_text', rich_text: {} }
+    }
+  };
+
+  describe('describeProperties', () => {
+    test('列出属性的类型、选项和 status 分组', () => {
+      const status = describeProperties(statusDatabase).find(property => property.name === '状态');
+      expect(status).toEqual({
+        name: '状态',
+        type: 'status',
+        options: ['未开始', '进行中', '等待反馈', '已完成'],
+        groups: [
+          { name: 'To-do', options: ['未开始'] },
+          { name: 'In progress', options: ['进行中', '等待反馈'] },
+          { name: 'Complete', options: ['已完成'] }
+        ]
+      });
+      expect(describeProperties({})).toEqual([]);
+    });
+  });
+
+  describe('proposeMapping', () => {
+    test('status 属性按分组推荐进行中和完成状态', () => {
+      expect(proposeMapping(describeProperties(statusDatabase))).toEqual({
+        statusProperty: '状态',
+        statusValues: ['进行中', '等待反馈'],
+        titleProperty: '任务',
+        sortProperty: '创建时间',
+        sortDirection: 'descending',
+        dueProperty: '截止日期',
+        priorityProperty: '优先级',
+        tagsProperty: '标签',
+        peopleProperty: '负责人',
+        doneValue: '已完成',
+        statusFlow: ['未开始', '进行中', '等待反馈', '已完成']
+      });
+    });
+
+    test('select 属性按选项名称推荐状态，缺少的属性留空', () => {
+      expect(proposeMapping(describeProperties(selectDatabase))).toMatchObject({
+        statusProperty: 'Stage',
+        statusValues: ['Doing'],
+        titleProperty: 'Name',
+        sortProperty: '',
+        dueProperty: '',
+        priorityProperty: '',
+        doneValue: 'Done',
+        statusFlow: ['Todo', 'Doing', 'Done']
+      });
+    });
+
+    test('优先级不会复用状态属性', () => {
+      const database = {
+        properties: {
+          Name: { type: 'title', title: {} },
+          Priority: { type: 'status', status: { options: [{ id: 'a', name: 'High' }], groups: [] } }
+        }
+      };
+      expect(proposeMapping(describeProperties(database))).toMatchObject({ statusProperty: 'Priority', priorityProperty: '' });
+    });
+
+    test('转换为 .env 配置行，空值注释掉', () => {
+      const lines = mappingToEnvLines(proposeMapping(describeProperties(selectDatabase)));
+      expect(lines).toContain('NOTION_STATUS_PROPERTY=Stage');
+      expect(lines).toContain('NOTION_STATUS_FLOW=Todo,Doing,Done');
+      expect(lines).toContain('# NOTION_DUE_PROPERTY=');
+    });
+  });
+
+  describe('proposeFilter', () => {
+    test('有截止日期时组合状态和日期条件', () => {
+      expect(proposeFilter(proposeMapping(describeProperties(statusDatabase)))).toEqual({
+        and: [
+          { property: '状态', in: ['进行中', '等待反馈'] },
+          { property: '截止日期', withinDays: 7 }
+        ]
+      });
+    });
+
+    test('只有状态属性时返回单个条件，没有状态属性时返回 null', () => {
+      expect(proposeFilter(proposeMapping(describeProperties(selectDatabase)))).toEqual({ property: 'Stage', in: ['Doing'] });
+      expect(proposeFilter({ ...DEFAULT_PROPERTY_MAPPING, statusProperty: '' })).toBeNull();
+    });
+  });
+
+  describe('findMissingReferences', () => {
+    const properties = describeProperties(statusDatabase);
+
+    test('属性都存在时没有问题', () => {
+      const mapping = proposeMapping(properties);
+      expect(findMissingReferences({ mapping, filter: proposeFilter(mapping) }, properties)).toEqual([]);
+    });
+
+    test('列出映射、额外属性、排序和嵌套过滤条件中不存在的属性', () => {
+      const source = {
+        mapping: {
+          ...proposeMapping(properties),
+          dueProperty: 'Due',
+          extraProperties: ['标签', '备注'],
+          sorts: [{ property: '优先级' }, { timestamp: 'created_time' }, { property: '排序' }]
+        },
+        filter: {
+          or: [
+            { property: '状态', in: ['进行中'] },
+            { and: [{ property: '负责人', me: true }, { property: '项目', isEmpty: false }] }
+          ]
+        }
+      };
+
+      expect(findMissingReferences(source, properties)).toEqual([
+        'mapping.dueProperty 引用的属性 "Due" 不存在',
+        'mapping.extraProperties 引用的属性 "备注" 不存在',
+        'mapping.sorts 引用的属性 "排序" 不存在',
+        'filter 引用的属性 "项目" 不存在'
+      ]);
+    });
+  });
+});
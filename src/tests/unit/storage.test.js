@@ -0,0 +1,178 @@
+/**
+ * 状态存储测试
+ */
+
+jest.mock('axios');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { createMemoryStore, getStore, setStore } = require('../../storage');
+const { getConfig } = require('../../config');
+const { createFileStore } = require('../../storage/fileStore');
+const { createKvStore } = require('../../storage/kvStore');
+const { resetCircuitBreakers } = require('../../utils/httpClient');
+
+describe('状态存储测试', () => {
+  describe('选择存储方式', () => {
+    const originalEnv = process.env;
+    const ENV = { NOTION_API_KEY: 'notion-key', NOTION_DATABASE_ID: 'db', DOT_API_KEY: 'dot-key', QUOTE_DEVICE_ID: 'abc' };
+
+    beforeEach(() => {
+      process.env = { ...ENV };
+      setStore(null);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+      setStore(null);
+      jest.restoreAllMocks();
+    });
+
+    test('未配置 STORAGE_BACKEND 时有 KV 接口则使用 kv', () => {
+      expect(getConfig().storage.backend).toBe('file');
+      process.env.KV_REST_API_URL = 'https://kv.example.com';
+      process.env.KV_REST_API_TOKEN = 'kv-token';
+      expect(getConfig().storage.backend).toBe('kv');
+      process.env.STORAGE_BACKEND = 'Memory';
+      expect(getConfig().storage.backend).toBe('memory');
+    });
+
+    test('在 Vercel 上不使用 kv 时给出警告', () => {
+      process.env.VERCEL = '1';
+      process.env.STORAGE_BACKEND = 'memory';
+      getStore();
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('does not persist across Vercel instances'));
+
+      setStore(null);
+      console.warn.mockClear();
+      Object.assign(process.env, { STORAGE_BACKEND: 'kv', KV_REST_API_URL: 'https://kv.example.com', KV_REST_API_TOKEN: 'kv-token' });
+      getStore();
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('内存存储', () => {
+    test('按 TTL 过期，计数从 1 开始', async () => {
+      let now = 1000;
+      const store = createMemoryStore({ now: () => now });
+
+      await store.set('a', { page: 2 }, { ttl: 500 });
+      await store.set('b', 'forever');
+      expect(await store.get('a')).toEqual({ page: 2 });
+      expect(await store.incr('count', { ttl: 500 })).toBe(1);
+      expect(await store.incr('count', { ttl: 500 })).toBe(2);
+
+      now = 1500;
+      expect(await store.get('a')).toBeNull();
+      expect(await store.get('b')).toBe('forever');
+      expect(await store.incr('count')).toBe(1);
+      expect(await store.get('missing')).toBeNull();
+    });
+
+    test('返回值是副本，修改不影响已保存的值', async () => {
+      const store = createMemoryStore();
+      await store.set('a', { tasks: [1] });
+      (await store.get('a')).tasks.push(2);
+      expect(await store.get('a')).toEqual({ tasks: [1] });
+    });
+  });
+
+  describe('文件存储', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notion2quote-'));
+      store = createFileStore(path.join(dir, 'state.json'));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('并发计数不丢失，过期的键被清理', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const counts = await Promise.all([1, 2, 3].map(() => store.incr('count', { ttl: 500 })));
+      expect(counts.sort()).toEqual([1, 2, 3]);
+      await store.set('cursor', { page: 3 });
+
+      Date.now.mockReturnValue(1500);
+      expect(await store.get('count')).toBeNull();
+      expect(await store.get('cursor')).toEqual({ page: 3 });
+      expect(await store.incr('count', { ttl: 500 })).toBe(1);
+
+      const saved = JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf8'));
+      expect(saved.__expiresAt).toEqual({ count: 2000 });
+    });
+
+    test('不带 TTL 重新保存时取消过期时间', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000);
+      await store.set('a', 1, { ttl: 100 });
+      await store.set('a', 2);
+
+      Date.now.mockReturnValue(5000);
+      expect(await store.get('a')).toBe(2);
+    });
+  });
+
+  describe('KV 存储', () => {
+    const store = createKvStore({ url: 'https://kv.example.com/', token: 'kv-token', prefix: 'test:' });
+
+    beforeEach(() => {
+      resetCircuitBreakers();
+      axios.request.mockReset();
+    });
+
+    test('读取时解析 JSON，写入时带上过期时间', async () => {
+      axios.request
+        .mockResolvedValueOnce({ status: 200, data: { result: '{"page":2}' } })
+        .mockResolvedValueOnce({ status: 200, data: { result: 'OK' } });
+
+      expect(await store.get('cursor:office')).toEqual({ page: 2 });
+      await store.set('cursor:office', { page: 3 }, { ttl: 60000 });
+
+      expect(axios.request.mock.calls[0][0]).toMatchObject({
+        method: 'get',
+        url: 'https://kv.example.com/get/test%3Acursor%3Aoffice',
+        headers: { Authorization: 'Bearer kv-token' }
+      });
+      expect(axios.request.mock.calls[1][0]).toMatchObject({
+        method: 'post',
+        url: 'https://kv.example.com',
+        data: ['SET', 'test:cursor:office', '{"page":3}', 'PX', 60000]
+      });
+    });
+
+    test('带过期时间的计数在同一事务中递增并设置过期时间', async () => {
+      axios.request
+        .mockResolvedValueOnce({ status: 200, data: [{ result: 1 }, { result: 1 }] })
+        .mockResolvedValueOnce({ status: 200, data: [{ result: 2 }, { result: 0 }] });
+
+      expect(await store.incr('rate', { ttl: 120000 })).toBe(1);
+      expect(await store.incr('rate', { ttl: 120000 })).toBe(2);
+
+      expect(axios.request).toHaveBeenCalledTimes(2);
+      axios.request.mock.calls.forEach(([options]) => {
+        expect(options).toMatchObject({
+          method: 'post',
+          url: 'https://kv.example.com/multi-exec',
+          data: [['INCR', 'test:rate'], ['PEXPIRE', 'test:rate', 120000, 'NX']]
+        });
+      });
+    });
+
+    test('不带过期时间时只递增，事务中的命令出错时抛出错误', async () => {
+      axios.request
+        .mockResolvedValueOnce({ status: 200, data: { result: 3 } })
+        .mockResolvedValueOnce({ status: 200, data: [{ result: 4 }, { error: 'ERR syntax error' }] });
+
+      expect(await store.incr('rate')).toBe(3);
+      expect(axios.request.mock.calls[0][0]).toMatchObject({ url: 'https://kv.example.com', data: ['INCR', 'test:rate'] });
+      await expect(store.incr('rate', { ttl: 1000 })).rejects.toThrow('KV transaction failed: ERR syntax error');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * 同步服务测试
+ */
+
+jest.mock('../../services/notion');
+
+const { getNotionTasks } = require('../../services/notion');
+const { setStore, createMemoryStore } = require('../../storage');
+const { mergeTasks, collectTasks } = require('../../services/syncService');
+const { ExternalApiError } = require('../../utils/errorHandler');
+
+describe('同步服务测试', () => {
+  const sources = [{ id: 'personal' }, { id: 'team' }];
+
+  /**
+   * 按数据源 ID 模拟获取结果，值为 Error 时获取失败
+   * @param {Object} results 数据源 ID 到结果的映射
+   */
+  const mockSources = results => {
+    getNotionTasks.mockImplementation(source => (results[source.id] instanceof Error
+      ? Promise.reject(results[source.id])
+      : Promise.resolve(results[source.id])));
+  };
+
+  beforeEach(() => {
+    setStore(createMemoryStore());
+    getNotionTasks.mockReset();
+  });
+
+  afterAll(() => {
+    setStore(null);
+  });
+
+  describe('mergeTasks', () => {
+    test('按数据源顺序拼接，按页面 ID 去重并保留先出现的', () => {
+      const { tasks, duplicates } = mergeTasks([
+        [{ id: 'a', title: '写周报' }, { id: 'b', title: '买菜' }],
+        [{ id: 'b', title: '买菜（团队）' }, { id: 'c', title: '评审' }]
+      ]);
+      expect(tasks.map(task => task.title)).toEqual(['写周报', '买菜', '评审']);
+      expect(duplicates).toBe(1);
+    });
+
+    test('按截止日期或创建时间排序，缺少该字段的排在最后', () => {
+      const lists = [
+        [{ id: 'a', due: null, createdAt: '2024-05-03T00:00:00Z' }, { id: 'b', due: { start: '2024-05-10' }, createdAt: null }],
+        [{ id: 'c', due: { start: '2024-05-01' }, createdAt: '2024-05-01T00:00:00Z' }]
+      ];
+      expect(mergeTasks(lists, 'due').tasks.map(task => task.id)).toEqual(['c', 'b', 'a']);
+      expect(mergeTasks(lists, 'created').tasks.map(task => task.id)).toEqual(['a', 'c', 'b']);
+    });
+  });
+
+  describe('collectTasks', () => {
+    test('合并所有数据源，总数扣除重复项，任一数据源截断即为截断', async () => {
+      mockSources({
+        personal: { tasks: [{ id: 'a' }, { id: 'b' }], total: 2, truncated: false },
+        team: { tasks: [{ id: 'b' }, { id: 'c' }], total: 30, truncated: true }
+      });
+
+      const result = await collectTasks(sources);
+      expect(result.tasks.map(task => task.id)).toEqual(['a', 'b', 'c']);
+      expect(result).toMatchObject({ total: 31, truncated: true, failures: [], stale: false });
+    });
+
+    test('部分数据源失败时跳过该数据源并记录失败', async () => {
+      mockSources({
+        personal: new Error('timeout'),
+        team: { tasks: [{ id: 'c' }], total: 1, truncated: false }
+      });
+
+      const result = await collectTasks(sources);
+      expect(result.tasks).toEqual([{ id: 'c' }]);
+      expect(result).toMatchObject({ total: 1, stale: false });
+      expect(result.failures).toEqual([{ source: 'personal', error: 'timeout', snapshot: null }]);
+    });
+
+    test('所有数据源都失败且没有快照时抛出 ExternalApiError', async () => {
+      mockSources({ personal: new Error('timeout'), team: new Error('unauthorized') });
+      await expect(collectTasks(sources)).rejects.toThrow(ExternalApiError);
+    });
+  });
+
+  describe('快照降级', () => {
+    const fetchedAt = new Date('2024-05-01T08:00:00Z');
+
+    beforeEach(async () => {
+      // 先成功同步一次，保存两个数据源的快照
+      jest.useFakeTimers({ now: fetchedAt });
+      mockSources({
+        personal: { tasks: [{ id: 'a' }], total: 1, truncated: false },
+        team: { tasks: [{ id: 'c' }], total: 1, truncated: true }
+      });
+      await collectTasks(sources);
+      jest.setSystemTime(new Date('2024-05-01T09:00:00Z'));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('获取失败时使用最近一次的快照，标记为过期并保留原获取时间', async () => {
+      mockSources({ personal: new Error('timeout'), team: new Error('timeout') });
+
+      const result = await collectTasks(sources);
+      expect(result.tasks.map(task => task.id)).toEqual(['a', 'c']);
+      expect(result).toMatchObject({ total: 2, truncated: true, stale: true, fetchedAt });
+      expect(result.failures).toEqual([
+        { source: 'personal', error: 'timeout', snapshot: fetchedAt.toISOString() },
+        { source: 'team', error: 'timeout', snapshot: fetchedAt.toISOString() }
+      ]);
+    });
+
+    test('部分数据源使用快照时获取时间取最早的', async () => {
+      mockSources({ personal: { tasks: [{ id: 'b' }], total: 1, truncated: false }, team: new Error('timeout') });
+
+      const result = await collectTasks(sources);
+      expect(result.tasks.map(task => task.id)).toEqual(['b', 'c']);
+      expect(result).toMatchObject({ stale: true, fetchedAt });
+    });
+  });
+});
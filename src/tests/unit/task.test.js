@@ -0,0 +1,58 @@
+/**
+ * 任务模型测试
+ */
+
+const { createTask, taskFromPage } = require('../../models/task');
+const { DEFAULT_PROPERTY_MAPPING } = require('../../config/propertyMapping');
+
+describe('任务模型测试', () => {
+  const mapping = {
+    ...DEFAULT_PROPERTY_MAPPING,
+    dueProperty: '截止日期',
+    priorityProperty: '优先级',
+    tagsProperty: '标签',
+    peopleProperty: '负责人',
+    extraProperties: ['预算', '备注']
+  };
+
+  test('将页面属性转换为任务字段', () => {
+    const page = {
+      id: 'p1',
+      url: 'https://www.notion.so/p1',
+      icon: { type: 'emoji', emoji: '📝' },
+      created_time: '2024-05-01T08:00:00.000Z',
+      last_edited_time: '2024-05-02T08:00:00.000Z',
+      properties: {
+        待办事项: { type: 'title', title: [{ plain_text: '写' }, { plain_text: '周报' }] },
+        办理状态: { type: 'status', status: { name: '进行中' } },
+        截止日期: { type: 'date', date: { start: '2024-05-10', end: null } },
+        优先级: { type: 'select', select: { name: '高' } },
+        标签: { type: 'multi_select', multi_select: [{ name: '工作' }, { name: '周报' }] },
+        负责人: { type: 'people', people: [{ id: 'u1', name: '小王' }, { id: 'u2' }] },
+        预算: { type: 'number', number: 1200 }
+      }
+    };
+    const schema = { 预算: { type: 'number', number: { format: 'number_with_commas' } } };
+
+    expect(taskFromPage(page, mapping, schema)).toEqual({
+      id: 'p1',
+      url: 'https://www.notion.so/p1',
+      title: '写周报',
+      status: '进行中',
+      due: { start: '2024-05-10', end: null },
+      priority: '高',
+      tags: ['工作', '周报'],
+      people: ['小王', 'u2'],
+      icon: { type: 'emoji', value: '📝' },
+      createdAt: '2024-05-01T08:00:00.000Z',
+      lastEditedAt: '2024-05-02T08:00:00.000Z',
+      fields: { 预算: '1,200', 备注: '' },
+      source: null
+    });
+  });
+
+  test('缺少的属性和未映射的字段使用空值', () => {
+    const task = taskFromPage({ id: 'p2', properties: {} }, DEFAULT_PROPERTY_MAPPING);
+    expect(task).toEqual(createTask({ id: 'p2' }));
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * 模板引擎测试
+ */
+
+const { compileTemplate, renderTemplate } = require('../../utils/template');
+const { compileTemplates, getTemplates, PAGE_VARIABLES } = require('../../config/templates');
+const { ValidationError, ConfigError } = require('../../utils/errorHandler');
+
+describe('模板引擎测试', () => {
+  const render = (source, context, options) => renderTemplate(compileTemplate(source), context, options);
+
+  test('应该替换变量并支持对象路径', () => {
+    expect(render('{{index}}. {{title}} / {{fields.项目}}', { index: 3, title: '写周报', fields: { 项目: 'A' } }))
+      .toBe('3. 写周报 / A');
+    expect(render('[{{missing.deep}}]', {})).toBe('[]');
+  });
+
+  test('应该支持条件和 else 分支', () => {
+    const source = '{{#if stale}}缓存{{else}}实时{{/if}}{{#unless tags}}，无标签{{/unless}}';
+    expect(render(source, { stale: true, tags: [] })).toBe('缓存，无标签');
+    expect(render(source, { stale: false, tags: ['工作'] })).toBe('实时');
+  });
+
+  test('应该支持格式化函数链', () => {
+    expect(render('{{title | truncate:5}}', { title: '一二三四五六七' })).toBe('一二三四五...');
+    expect(render('{{title | truncate:5:…}}', { title: '一二三四五六七' })).toBe('一二三四五…');
+    expect(render('{{title | truncate:2}}', { title: '🍅🍅🍅' })).toBe('🍅🍅...');
+    expect(render('{{title | width:9}}', { title: '一二三四五六七' })).toBe('一二三...');
+    expect(render('{{tags | join:" / "}}', { tags: ['a', 'b'] })).toBe('a / b');
+    expect(render('{{priority | default:无 | upper}}', { priority: '' })).toBe('无');
+  });
+
+  test('日期格式化应该使用时区，纯日期不做时区换算', () => {
+    const fetchedAt = new Date('2024-05-01T17:05:09Z');
+    expect(render('{{fetchedAt | date:MM-DD HH:mm:ss}}', { fetchedAt })).toBe('05-02 01:05:09');
+    expect(render('{{fetchedAt | date:HH:mm}}', { fetchedAt }, { timeZone: 'UTC' })).toBe('17:05');
+    expect(render('{{due | date:MM/DD}}', { due: '2024-05-01' }, { timeZone: 'America/New_York' })).toBe('05/01');
+  });
+
+  test('格式错误的模板应该在编译时报错', () => {
+    expect(() => compileTemplate('{{#if stale}}缓存')).toThrow(ValidationError);
+    expect(() => compileTemplate('{{/if}}')).toThrow(ValidationError);
+    expect(() => compileTemplate('{{title | shorten:3}}')).toThrow('Unknown formatter');
+    expect(() => compileTemplate('{{title | truncate:abc}}')).toThrow('truncate');
+    expect(() => compileTemplate('{{title')).toThrow('Unclosed');
+    expect(() => compileTemplate('{{titel}}', { variables: ['title'] })).toThrow('Unknown variable "titel"');
+  });
+
+  test('任务变量只能在 line 模板中使用', () => {
+    expect(() => compileTemplates({ line: '{{index}}. {{title}} 第{{page}}页' })).not.toThrow();
+    expect(() => compileTemplates({ title: '{{title}}' })).toThrow(ConfigError);
+    expect(PAGE_VARIABLES).not.toContain('title');
+  });
+
+  test('应该从环境变量读取模板并列出所有错误', () => {
+    const templates = getTemplates({ QUOTE_HEADER_TEMPLATE: '共 {{total}} 项\\n---' });
+    expect(renderTemplate(templates.header, { total: 2 })).toBe('共 2 项\n---');
+
+    try {
+      getTemplates({ QUOTE_TITLE_TEMPLATE: '{{totl}}', QUOTE_SIGNATURE_TEMPLATE: '{{#if stale}}' });
+      throw new Error('should have thrown');
+    } catch (err) {
+      expect(err).toBeInstanceOf(ConfigError);
+      expect(err.details).toHaveLength(2);
+      expect(err.details[0]).toMatch(/^QUOTE_TITLE_TEMPLATE/);
+    }
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * 文本排版测试
+ */
+
+const {
+  textWidth,
+  splitGraphemes,
+  truncateToWidth,
+  truncateGraphemes,
+  truncateLength,
+  wrapText,
+  fitLines
+} = require('../../utils/textLayout');
+const { getLayout } = require('../../config/layout');
+const { ConfigError } = require('../../utils/errorHandler');
+
+describe('文本排版测试', () => {
+  test('应该按字素簇和东亚宽度计算显示宽度', () => {
+    expect(textWidth('abc')).toBe(3);
+    expect(textWidth('中文，')).toBe(6);
+    expect(textWidth('ＡＢ')).toBe(4);
+    expect(textWidth('👍🏽')).toBe(2);
+    expect(textWidth('👨‍👩‍👧')).toBe(2);
+    expect(textWidth('❤️')).toBe(2);
+    expect(textWidth('é')).toBe(1);
+    expect(splitGraphemes('👨‍👩‍👧a')).toEqual(['👨‍👩‍👧', 'a']);
+  });
+
+  test('截断不应该拆开 emoji', () => {
+    expect(truncateGraphemes('🍅🍅🍅', 2)).toBe('🍅🍅...');
+    expect(truncateLength('ab👨‍👩‍👧cd', 5)).toBe('ab...');
+    expect(truncateLength('短文本', 5)).toBe('短文本');
+  });
+
+  test('按列截断时省略号计入宽度', () => {
+    expect(truncateToWidth('一二三四五六', 9)).toBe('一二三...');
+    expect(textWidth(truncateToWidth('abcdefghijkl', 8))).toBe(8);
+    expect(truncateToWidth('写周报 · 项目', 11)).toBe('写周报...');
+    expect(truncateToWidth('一二', 4)).toBe('一二');
+  });
+
+  test('换行优先在空格和汉字之间断开', () => {
+    expect(wrapText('Write the report 并提交给财务部', 10)).toEqual(['Write the', 'report 并', '提交给财务', '部']);
+    expect(wrapText('abcdefghijkl', 5)).toEqual(['abcde', 'fghij', 'kl']);
+    expect(wrapText('第一行\n第二行', 4)).toEqual(['第一', '行', '第二', '行']);
+  });
+
+  test('应该按溢出方式处理每一行', () => {
+    const text = '1. 一二三四五六\n2. ok';
+    expect(fitLines(text, 9)).toBe('1. 一...\n2. ok');
+    expect(fitLines(text, 9, 'wrap')).toBe('1. 一二三\n四五六\n2. ok');
+    expect(fitLines(text, 9, 'none')).toBe(text);
+    expect(fitLines(text, 0)).toBe(text);
+  });
+
+  test('应该读取设备型号和列数配置', () => {
+    expect(getLayout({})).toEqual({ model: 'quote0', columns: 30, overflow: 'ellipsis', width: 296, height: 152 });
+    expect(getLayout({ QUOTE_LINE_COLUMNS: '24', QUOTE_LINE_OVERFLOW: 'WRAP' })).toMatchObject({ columns: 24, overflow: 'wrap' });
+    expect(() => getLayout({ QUOTE_DEVICE_MODEL: 'kindle' })).toThrow(ConfigError);
+    expect(() => getLayout({ QUOTE_LINE_COLUMNS: '0' })).toThrow(ConfigError);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * 时区工具测试
+ */
+
+const {
+  isValidTimeZone,
+  getZonedParts,
+  minutesOfDay,
+  parseTimeRange,
+  isWithinTimeRange
+} = require('../../utils/time');
+const { ValidationError } = require('../../utils/errorHandler');
+
+describe('时区工具测试', () => {
+  const moment = new Date('2024-05-01T23:30:15Z');
+
+  test('应该校验 IANA 时区名称', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Asia/Beijing')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+
+  test('应该按时区读取日期和时间，而不是服务器时区', () => {
+    expect(getZonedParts(moment, 'Asia/Shanghai')).toEqual({
+      year: 2024, month: 5, day: 2, hour: 7, minute: 30, second: 15, weekday: 4
+    });
+    expect(minutesOfDay(moment, 'UTC')).toBe(23 * 60 + 30);
+    expect(minutesOfDay(moment, 'America/Los_Angeles')).toBe(16 * 60 + 30);
+  });
+
+  test('应该解析跨越午夜的时段', () => {
+    const quiet = parseTimeRange('23:00-07:00');
+    expect(quiet).toEqual({ start: 23 * 60, end: 7 * 60 });
+    expect(isWithinTimeRange(23 * 60 + 30, quiet)).toBe(true);
+    expect(isWithinTimeRange(6 * 60 + 59, quiet)).toBe(true);
+    expect(isWithinTimeRange(7 * 60, quiet)).toBe(false);
+    expect(isWithinTimeRange(12 * 60, parseTimeRange('09:00-18:00'))).toBe(true);
+  });
+
+  test('格式错误的时段应该报错', () => {
+    expect(() => parseTimeRange('23:00')).toThrow(ValidationError);
+    expect(() => parseTimeRange('25:00-07:00')).toThrow(ValidationError);
+    expect(() => parseTimeRange('9-18')).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Notion Webhook 接口测试
+ */
+
+jest.mock('../../services/syncService', () => ({
+  ...jest.requireActual('../../services/syncService'),
+  executeSync: jest.fn()
+}));
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { executeSync } = require('../../services/syncService');
+const handler = require('../../api/webhook');
+
+const ENV = {
+  NOTION_API_KEY: 'notion-key',
+  NOTION_DATABASE_ID: '1234abcd000000000000000000000000',
+  DOT_API_KEY: 'dot-key',
+  QUOTE_DEVICE_ID: 'abc',
+  NOTION_WEBHOOK_SECRET: 'secret_token',
+  NOTION_WEBHOOK_DEBOUNCE_MS: '1000'
+};
+
+describe('Notion Webhook 接口测试', () => {
+  const originalEnv = process.env;
+
+  /**
+   * 构造带签名的请求
+   * @param {Object} body 请求体
+   * @param {string} signature 签名，默认按请求体计算
+   * @returns {Object} 模拟的请求对象
+   */
+  const request = (body, signature) => {
+    const rawBody = JSON.stringify(body);
+    return {
+      method: 'POST',
+      url: '/api/webhook',
+      rawBody: Buffer.from(rawBody),
+      headers: {
+        'x-notion-signature': signature === undefined
+          ? `sha256=${crypto.createHmac('sha256', ENV.NOTION_WEBHOOK_SECRET).update(rawBody).digest('hex')}`
+          : signature
+      }
+    };
+  };
+  const response = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+  });
+  const event = parentId => ({
+    type: 'page.properties_updated',
+    workspace_id: 'w1',
+    entity: { id: 'p1', type: 'page' },
+    data: { parent: { id: parentId, type: 'database' } }
+  });
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, ...ENV };
+    executeSync.mockReset();
+    executeSync.mockResolvedValue({ success: true, devices: [{ device: 'default', success: true, push: 'sent' }] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('验证请求无需签名，返回已收到验证令牌', async () => {
+    const res = response();
+    await handler(request({ verification_token: 'secret_token' }, ''), res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: '已收到验证令牌' });
+  });
+
+  test('签名错误或缺失时返回 401，不触发同步', async () => {
+    for (const signature of ['sha256=abc', '']) {
+      const res = response();
+      await handler(request(event(ENV.NOTION_DATABASE_ID), signature), res);
+      expect(res.status).toHaveBeenCalledWith(401);
+    }
+    expect(executeSync).not.toHaveBeenCalled();
+  });
+
+  test('从请求流读取原始字节并据此校验签名', async () => {
+    const rawBody = '{ "type": "page.created", "workspace_id": "w1",\n'
+      + '  "entity": { "id": "p1", "type": "page", "name": "买菜" },\n'
+      + '  "data": { "parent": { "id": "ffff0000000000000000000000000000", "type": "database" } } }';
+    const req = Object.assign(Readable.from([Buffer.from(rawBody)]), {
+      method: 'POST',
+      url: '/api/webhook',
+      headers: { 'x-notion-signature': `sha256=${crypto.createHmac('sha256', ENV.NOTION_WEBHOOK_SECRET).update(rawBody).digest('hex')}` }
+    });
+    const res = response();
+
+    await handler(req, res);
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: '事件已忽略' });
+    expect(handler.config).toEqual({ api: { bodyParser: false } });
+  });
+
+  test('忽略其他数据库的页面事件', async () => {
+    const res = response();
+    await handler(request(event('ffff0000000000000000000000000000')), res);
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: '事件已忽略' });
+    expect(executeSync).not.toHaveBeenCalled();
+  });
+
+  test('连续的页面事件合并为一次同步，且不翻页', async () => {
+    jest.useFakeTimers();
+    const responses = [response(), response()];
+    const calls = responses.map(res => handler(request(event('1234ABCD-0000-0000-0000-000000000000')), res));
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await Promise.all(calls);
+
+    expect(executeSync).toHaveBeenCalledTimes(1);
+    expect(executeSync).toHaveBeenCalledWith({ advance: false });
+    expect(responses[0].json).toHaveBeenCalledWith(expect.objectContaining({ success: true, message: '成功发送到 Quote 设备！' }));
+    expect(responses[1].json).toHaveBeenCalledWith(expect.objectContaining({ success: true, message: '已合并到本次同步' }));
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * BDF font utilities
+ * Loads bitmap fonts in the Glyph Bitmap Distribution Format and draws text onto a 1-bit bitmap.
+ * Pixel fonts with CJK coverage (e.g. WenQuanYi Bitmap Song, Fusion Pixel, GNU Unifont)
+ * are distributed as BDF and stay crisp on e-ink screens.
+ */
+
+const fs = require('fs');
+const { BLACK, setPixel, strokeRect } = require('./bitmap');
+const { splitGraphemes } = require('./textLayout');
+
+// parsed fonts by file path, loading a CJK font takes a noticeable moment
+const fontCache = new Map();
+
+/**
+ * Parse BDF source text
+ * @param {string} source BDF file content
+ * @returns {Object} Font { ascent, descent, height, glyphs } with glyphs keyed by code point
+ * @throws {Error} When the file is not a BDF font
+ */
+function parseBdf(source) {
+  const lines = source.split(/\r?\n/);
+  if (!lines[0] || !lines[0].startsWith('STARTFONT')) {
+    throw new Error('Not a BDF font: missing STARTFONT');
+  }
+
+  const font = { ascent: 0, descent: 0, height: 0, defaultWidth: 0, glyphs: new Map() };
+  let glyph = null;
+  let bitmapRows = null;
+
+  for (const line of lines) {
+    const [keyword, ...values] = line.trim().split(/\s+/);
+
+    if (bitmapRows) {
+      if (keyword === 'ENDCHAR') {
+        glyph.rows = bitmapRows;
+        if (glyph.code >= 0) {
+          font.glyphs.set(glyph.code, glyph);
+        }
+        glyph = null;
+        bitmapRows = null;
+      } else {
+        bitmapRows.push(Buffer.from(keyword, 'hex'));
+      }
+      continue;
+    }
+
+    switch (keyword) {
+    case 'FONTBOUNDINGBOX':
+      font.defaultWidth = Number(values[0]);
+      font.height = Number(values[1]);
+      break;
+    case 'FONT_ASCENT':
+      font.ascent = Number(values[0]);
+      break;
+    case 'FONT_DESCENT':
+      font.descent = Number(values[0]);
+      break;
+    case 'STARTCHAR':
+      glyph = { code: -1, advance: font.defaultWidth, box: { width: 0, height: 0, x: 0, y: 0 }, rows: [] };
+      break;
+    case 'ENCODING':
+      glyph.code = Number(values[0]);
+      break;
+    case 'DWIDTH':
+      glyph.advance = Number(values[0]);
+      break;
+    case 'BBX':
+      glyph.box = { width: Number(values[0]), height: Number(values[1]), x: Number(values[2]), y: Number(values[3]) };
+      break;
+    case 'BITMAP':
+      bitmapRows = [];
+      break;
+    default:
+      break;
+    }
+  }
+
+  if (!font.ascent && !font.descent) {
+    font.ascent = font.height;
+  }
+  font.height = font.ascent + font.descent;
+  return font;
+}
+
+/**
+ * Load and cache a BDF font file
+ * @param {string} filePath Path to the .bdf file
+ * @returns {Object} Font, see parseBdf
+ * @throws {Error} When the file cannot be read or parsed
+ */
+function loadBdfFont(filePath) {
+  if (!fontCache.has(filePath)) {
+    fontCache.set(filePath, parseBdf(fs.readFileSync(filePath, 'utf8')));
+  }
+  return fontCache.get(filePath);
+}
+
+/**
+ * Look up the glyph for a grapheme cluster; only the first code point is drawn
+ * @param {Object} font Font
+ * @param {string} grapheme Grapheme cluster
+ * @returns {Object|null} Glyph, null when the font has none
+ */
+function findGlyph(font, grapheme) {
+  return font.glyphs.get(grapheme.codePointAt(0)) || null;
+}
+
+/**
+ * Width in pixels of a grapheme cluster; missing glyphs are drawn as a box of half the line height
+ * @param {Object} font Font
+ * @param {string} grapheme Grapheme cluster
+ * @returns {number} Advance width
+ */
+function graphemeAdvance(font, grapheme) {
+  const glyph = findGlyph(font, grapheme);
+  return glyph ? glyph.advance : Math.ceil(font.height / 2) + 1;
+}
+
+/**
+ * Measure text in pixels
+ * @param {Object} font Font
+ * @param {string} text Text
+ * @returns {number} Width
+ */
+function measureText(font, text) {
+  return splitGraphemes(text).reduce((sum, grapheme) => sum + graphemeAdvance(font, grapheme), 0);
+}
+
+/**
+ * Cut text to fit a pixel width, appending an ellipsis when cut
+ * @param {Object} font Font
+ * @param {string} text Text
+ * @param {number} maxWidth Maximum width in pixels
+ * @param {string} ellipsis Ellipsis
+ * @returns {string} Text that fits
+ */
+function fitText(font, text, maxWidth, ellipsis = '...') {
+  if (measureText(font, text) <= maxWidth) {
+    return text;
+  }
+  const budget = maxWidth - measureText(font, ellipsis);
+  let width = 0;
+  let result = '';
+  for (const grapheme of splitGraphemes(text)) {
+    width += graphemeAdvance(font, grapheme);
+    if (width > budget) {
+      break;
+    }
+    result += grapheme;
+  }
+  return result.trimEnd() + ellipsis;
+}
+
+/**
+ * Draw text with its top edge at y
+ * @param {Object} bitmap Bitmap (see utils/bitmap)
+ * @param {Object} font Font
+ * @param {string} text Text
+ * @param {number} x Left
+ * @param {number} y Top of the line box
+ * @param {number} color BLACK or WHITE
+ * @returns {number} X position after the text
+ */
+function drawText(bitmap, font, text, x, y, color = BLACK) {
+  const baseline = y + font.ascent;
+  let cursor = x;
+
+  splitGraphemes(text).forEach(grapheme => {
+    const glyph = findGlyph(font, grapheme);
+    if (!glyph) {
+      // tofu box for characters the font does not cover
+      const size = Math.ceil(font.height / 2);
+      strokeRect(bitmap, cursor, baseline - size, size, size, color);
+      cursor += size + 1;
+      return;
+    }
+
+    const { box } = glyph;
+    const top = baseline - box.y - box.height;
+    glyph.rows.forEach((row, rowIndex) => {
+      for (let col = 0; col < box.width; col++) {
+        if (row[col >> 3] & (0x80 >> (col & 7))) {
+          setPixel(bitmap, cursor + box.x + col, top + rowIndex, color);
+        }
+      }
+    });
+    cursor += glyph.advance;
+  });
+
+  return cursor;
+}
+
+module.exports = {
+  parseBdf,
+  loadBdfFont,
+  measureText,
+  fitText,
+  drawText
+};
@@ -0,0 +1,269 @@
+/**
+ * Bitmap utilities
+ * A minimal 1-bit canvas for e-ink screens and a PNG encoder built on zlib,
+ * so images can be rendered without native dependencies
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Pixel colors
+ */
+const WHITE = 0;
+const BLACK = 1;
+
+/**
+ * Create a white 1-bit bitmap
+ * @param {number} width Width in pixels
+ * @param {number} height Height in pixels
+ * @returns {Object} { width, height, pixels } where pixels holds one byte per pixel
+ */
+function createBitmap(width, height) {
+  return { width, height, pixels: new Uint8Array(width * height) };
+}
+
+/**
+ * Set a pixel, ignoring coordinates outside the bitmap
+ * @param {Object} bitmap Bitmap
+ * @param {number} x X coordinate
+ * @param {number} y Y coordinate
+ * @param {number} color BLACK or WHITE
+ */
+function setPixel(bitmap, x, y, color = BLACK) {
+  if (x < 0 || y < 0 || x >= bitmap.width || y >= bitmap.height) {
+    return;
+  }
+  bitmap.pixels[y * bitmap.width + x] = color;
+}
+
+/**
+ * Read a pixel
+ * @param {Object} bitmap Bitmap
+ * @param {number} x X coordinate
+ * @param {number} y Y coordinate
+ * @returns {number} BLACK or WHITE, WHITE outside the bitmap
+ */
+function getPixel(bitmap, x, y) {
+  if (x < 0 || y < 0 || x >= bitmap.width || y >= bitmap.height) {
+    return WHITE;
+  }
+  return bitmap.pixels[y * bitmap.width + x];
+}
+
+/**
+ * Fill a rectangle
+ * @param {Object} bitmap Bitmap
+ * @param {number} x Left
+ * @param {number} y Top
+ * @param {number} width Width
+ * @param {number} height Height
+ * @param {number} color BLACK or WHITE
+ */
+function fillRect(bitmap, x, y, width, height, color = BLACK) {
+  for (let row = y; row < y + height; row++) {
+    for (let col = x; col < x + width; col++) {
+      setPixel(bitmap, col, row, color);
+    }
+  }
+}
+
+/**
+ * Draw a one-pixel rectangle outline
+ * @param {Object} bitmap Bitmap
+ * @param {number} x Left
+ * @param {number} y Top
+ * @param {number} width Width
+ * @param {number} height Height
+ * @param {number} color BLACK or WHITE
+ */
+function strokeRect(bitmap, x, y, width, height, color = BLACK) {
+  fillRect(bitmap, x, y, width, 1, color);
+  fillRect(bitmap, x, y + height - 1, width, 1, color);
+  fillRect(bitmap, x, y, 1, height, color);
+  fillRect(bitmap, x + width - 1, y, 1, height, color);
+}
+
+/**
+ * Draw a line with Bresenham's algorithm
+ * @param {Object} bitmap Bitmap
+ * @param {number} x0 Start X
+ * @param {number} y0 Start Y
+ * @param {number} x1 End X
+ * @param {number} y1 End Y
+ * @param {number} color BLACK or WHITE
+ */
+function drawLine(bitmap, x0, y0, x1, y1, color = BLACK) {
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let err = dx + dy;
+  let x = x0;
+  let y = y0;
+
+  for (;;) {
+    setPixel(bitmap, x, y, color);
+    if (x === x1 && y === y1) {
+      break;
+    }
+    const e2 = 2 * err;
+    if (e2 >= dy) {
+      err += dy;
+      x += sx;
+    }
+    if (e2 <= dx) {
+      err += dx;
+      y += sy;
+    }
+  }
+}
+
+/**
+ * Scale a grayscale image into a width x height bitmap, keeping its aspect ratio
+ * Pixels are averaged over the covered source area and dithered with Floyd-Steinberg
+ * so colored icons keep their shapes and shading on a 1-bit screen
+ * @param {Object} image { width, height, gray } with 0 black to 255 white (see utils/pngDecoder)
+ * @param {number} width Target width
+ * @param {number} height Target height
+ * @returns {Object} Bitmap with the image centered on white
+ */
+function bitmapFromGrayscale(image, width, height) {
+  const scale = Math.min(width / image.width, height / image.height);
+  const drawWidth = Math.max(1, Math.round(image.width * scale));
+  const drawHeight = Math.max(1, Math.round(image.height * scale));
+  const left = Math.floor((width - drawWidth) / 2);
+  const top = Math.floor((height - drawHeight) / 2);
+
+  // box-filter downscale (or nearest neighbour when enlarging)
+  const levels = new Float32Array(drawWidth * drawHeight);
+  for (let y = 0; y < drawHeight; y++) {
+    const y0 = Math.floor((y * image.height) / drawHeight);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * image.height) / drawHeight));
+    for (let x = 0; x < drawWidth; x++) {
+      const x0 = Math.floor((x * image.width) / drawWidth);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * image.width) / drawWidth));
+      let sum = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          sum += image.gray[sy * image.width + sx];
+        }
+      }
+      levels[y * drawWidth + x] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+
+  const bitmap = createBitmap(width, height);
+  for (let y = 0; y < drawHeight; y++) {
+    for (let x = 0; x < drawWidth; x++) {
+      const index = y * drawWidth + x;
+      const black = levels[index] < 128;
+      const error = levels[index] - (black ? 0 : 255);
+      if (black) {
+        setPixel(bitmap, left + x, top + y, BLACK);
+      }
+      if (x + 1 < drawWidth) {
+        levels[index + 1] += (error * 7) / 16;
+      }
+      if (y + 1 < drawHeight) {
+        if (x > 0) {
+          levels[index + drawWidth - 1] += (error * 3) / 16;
+        }
+        levels[index + drawWidth] += (error * 5) / 16;
+        if (x + 1 < drawWidth) {
+          levels[index + drawWidth + 1] += error / 16;
+        }
+      }
+    }
+  }
+  return bitmap;
+}
+
+/**
+ * CRC-32 lookup table used by PNG chunks
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer Data
+ * @returns {number} Unsigned CRC
+ */
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type Chunk type
+ * @param {Buffer} data Chunk data
+ * @returns {Buffer} Chunk
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode a bitmap as a 1-bit grayscale PNG
+ * @param {Object} bitmap Bitmap
+ * @returns {Buffer} PNG file
+ */
+function encodePng(bitmap) {
+  const { width, height, pixels } = bitmap;
+  const rowBytes = Math.ceil(width / 8);
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    const offset = y * (rowBytes + 1);
+    raw[offset] = 0; // filter type: none
+    for (let x = 0; x < width; x++) {
+      // in 1-bit grayscale 1 is white
+      if (pixels[y * width + x] === WHITE) {
+        raw[offset + 1 + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 1; // bit depth
+  header[9] = 0; // color type: grayscale
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  WHITE,
+  BLACK,
+  createBitmap,
+  setPixel,
+  getPixel,
+  fillRect,
+  strokeRect,
+  drawLine,
+  bitmapFromGrayscale,
+  encodePng
+};
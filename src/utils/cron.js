@@ -0,0 +1,196 @@
+/**
+ * Cron expression utilities
+ * Parses standard five-field cron expressions and finds the next matching minute
+ * in an IANA time zone, independent of the server's local time zone
+ */
+
+const { ValidationError } = require('./errorHandler');
+const { getZonedParts } = require('./time');
+
+/**
+ * Shorthand expressions
+ */
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+/**
+ * Field definitions in expression order; names are accepted case-insensitively
+ */
+const FIELDS = [
+  { key: 'minute', min: 0, max: 59 },
+  { key: 'hour', min: 0, max: 23 },
+  { key: 'dayOfMonth', min: 1, max: 31 },
+  { key: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 7 is accepted as an alias for Sunday
+  { key: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+/**
+ * How far ahead nextRun searches before giving up, enough for a February 29 schedule
+ */
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Parse a single value of a field, either a number or a name
+ * @param {string} text Value
+ * @param {Object} field Field definition
+ * @param {string} expression Whole expression, for error messages
+ * @returns {number} Value
+ * @throws {ValidationError} When the value is unknown or out of range
+ */
+function parseValue(text, field, expression) {
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = index >= 0 ? index + (field.key === 'month' ? 1 : 0) : Number(text);
+  if (!/^\d+$/.test(text) && index < 0) {
+    throw new ValidationError(`Invalid ${field.key} "${text}" in cron expression "${expression}"`);
+  }
+  if (value < field.min || value > field.max) {
+    throw new ValidationError(`${field.key} ${text} is out of range ${field.min}-${field.max} in cron expression "${expression}"`);
+  }
+  return value;
+}
+
+/**
+ * Parse one field into the set of values it matches
+ * @param {string} text Field text, e.g. *, 5, 1-5, MON-FRI, *\/15, 0,30
+ * @param {Object} field Field definition
+ * @param {string} expression Whole expression, for error messages
+ * @returns {Set<number>} Matching values
+ * @throws {ValidationError} When the field is malformed
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const [range, stepText, ...rest] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (rest.length > 0 || !Number.isInteger(step) || step <= 0 || range === '') {
+      throw new ValidationError(`Invalid ${field.key} "${part}" in cron expression "${expression}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.key === 'dayOfWeek' ? 6 : field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field, expression);
+      end = parseValue(to, field, expression);
+      if (start > end) {
+        throw new ValidationError(`Invalid ${field.key} range "${range}" in cron expression "${expression}"`);
+      }
+    } else {
+      start = parseValue(range, field, expression);
+      // a/n means every n starting at a
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.key === 'dayOfWeek' ? value % 7 : value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week) or a macro such as @hourly
+ * @param {string} expression Cron expression
+ * @returns {Object} Schedule for nextRun
+ * @throws {ValidationError} When the expression is malformed
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new ValidationError(`Cron expression "${expression}" must have 5 fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const schedule = { expression: text };
+  FIELDS.forEach((field, index) => {
+    schedule[field.key] = parseField(parts[index], field, text);
+  });
+  // As in standard cron, when both day fields are restricted a day matching either one is enough
+  schedule.dayOfMonthAny = parts[2] === '*';
+  schedule.dayOfWeekAny = parts[4] === '*';
+  return schedule;
+}
+
+/**
+ * Check whether a calendar day matches the day fields of a schedule
+ * @param {Object} schedule Schedule from parseCron
+ * @param {Object} parts Zoned parts from getZonedParts
+ * @returns {boolean} Whether the day matches
+ */
+function matchesDay(schedule, { day, weekday }) {
+  const byDate = schedule.dayOfMonth.has(day);
+  const byWeekday = schedule.dayOfWeek.has(weekday);
+  if (schedule.dayOfMonthAny || schedule.dayOfWeekAny) {
+    return byDate && byWeekday;
+  }
+  return byDate || byWeekday;
+}
+
+/**
+ * Find the first minute strictly after a moment that matches a schedule
+ * Whole days and hours that cannot match are skipped, so sparse schedules stay cheap
+ * @param {Object} schedule Schedule from parseCron
+ * @param {Date} after Moment to search from
+ * @param {string} timeZone IANA time zone the expression is written in
+ * @returns {Date} Start of the next matching minute
+ * @throws {ValidationError} When no matching minute exists, e.g. February 30
+ */
+function nextRun(schedule, after, timeZone) {
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = time + MAX_SEARCH_MS;
+
+  while (time < limit) {
+    const parts = getZonedParts(new Date(time), timeZone);
+    if (!schedule.month.has(parts.month) || !matchesDay(schedule, parts)) {
+      time += ((23 - parts.hour) * 60 + (60 - parts.minute)) * MINUTE_MS;
+    } else if (!schedule.hour.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE_MS;
+    } else if (!schedule.minute.has(parts.minute)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+
+  throw new ValidationError(`Cron expression "${schedule.expression}" never matches`);
+}
+
+/**
+ * Longest gap between consecutive runs of a schedule, sampled over a time horizon
+ * Every run in the horizon is visited, so gaps after long stretches of frequent runs (e.g. overnight) are found
+ * @param {Object} schedule Schedule from parseCron
+ * @param {Date} from Moment to start sampling from
+ * @param {string} timeZone IANA time zone the expression is written in
+ * @param {number} horizonMs How far ahead to sample, one week by default
+ * @returns {number} Gap in milliseconds
+ */
+function maxInterval(schedule, from, timeZone, horizonMs = 7 * 24 * 60 * MINUTE_MS) {
+  const end = from.getTime() + horizonMs;
+  let previous = nextRun(schedule, from, timeZone);
+  let longest = 0;
+  while (previous.getTime() <= end) {
+    const next = nextRun(schedule, previous, timeZone);
+    longest = Math.max(longest, next - previous);
+    previous = next;
+  }
+  return longest;
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  maxInterval
+};
@@ -0,0 +1,49 @@
+/**
+ * Debounce utilities
+ * Coalesces bursts of calls into a single run of an async function
+ */
+
+/**
+ * Create a trailing debouncer for an async function
+ * Every call to trigger() restarts the wait; once no call has arrived for waitMs,
+ * fn runs once and all callers of that burst receive the same result.
+ * Calls arriving while fn is running start a new burst.
+ * @param {Function} fn Async function to run
+ * @param {number} waitMs Quiet period in milliseconds
+ * @returns {Object} { trigger, pending } where trigger() returns
+ *   a promise of { result, coalesced } and pending() tells whether a run is scheduled
+ */
+function createDebouncer(fn, waitMs) {
+  let timer = null;
+  let waiters = [];
+
+  const run = async () => {
+    timer = null;
+    const batch = waiters;
+    waiters = [];
+
+    try {
+      const result = await fn();
+      batch.forEach(({ resolve }, index) => resolve({ result, coalesced: index > 0 }));
+    } catch (err) {
+      batch.forEach(({ reject }) => reject(err));
+    }
+  };
+
+  const trigger = () => new Promise((resolve, reject) => {
+    waiters.push({ resolve, reject });
+    if (timer) {
+      clearTimeout(timer);
+    }
+    timer = setTimeout(run, waitMs);
+  });
+
+  return {
+    trigger,
+    pending: () => timer !== null
+  };
+}
+
+module.exports = {
+  createDebouncer
+};
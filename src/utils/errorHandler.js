@@ -102,6 +102,21 @@ class ExternalApiError extends AppError {
   }
 }
 
+/**
+ * Error for invalid or inconsistent configuration
+ */
+class ConfigError extends AppError {
+  /**
+   * Create a new configuration error
+   * @param {string} message Error message
+   * @param {Array<string>} details Individual problems found in the configuration
+   */
+  constructor(message = 'Invalid configuration', details = []) {
+    super(message, 500);
+    this.details = details;
+  }
+}
+
 /**
  * Handle errors in Express middleware
  * @param {Error} err Error object
@@ -158,6 +173,7 @@ module.exports = {
   NotFoundError,
   RateLimitError,
   ExternalApiError,
+  ConfigError,
   errorHandler,
   catchAsync
 };
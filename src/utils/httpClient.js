@@ -1,12 +1,43 @@
 /**
  * HTTP client utilities
- * Provides standardized HTTP client functionality
+ * Provides standardized HTTP client functionality: retries with exponential backoff
+ * for transient failures and a circuit breaker per host, shared by all outbound calls
  */
 
 const axios = require('axios');
-const { info, error } = require('./logger');
+const { info, warn, error } = require('./logger');
 const { ExternalApiError } = require('./errorHandler');
 
+/**
+ * Defaults for the retry and circuit breaker options accepted by request()
+ */
+const DEFAULT_POLICY = {
+  retries: 2,
+  retryBaseMs: 500,
+  retryMaxMs: 10000,
+  breakerThreshold: 5,
+  breakerCooldownMs: 30000
+};
+
+/**
+ * Methods that can be repeated without changing the result;
+ * other methods are only retried when the caller passes idempotent: true
+ */
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+/**
+ * Status codes worth retrying: timeouts, rate limiting and temporary server errors
+ */
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Network error codes worth retrying
+ */
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+// Circuit breaker state per host: { failures, openUntil }
+const breakers = new Map();
+
 /**
  * Create a standardized axios instance
  * @param {Object} config Configuration options
@@ -24,17 +55,221 @@ function createHttpClient(config = {}) {
 }
 
 /**
- * Make a GET request
+ * Check whether a failed attempt is worth retrying
+ * @param {Error} err Axios error
+ * @returns {boolean} Whether the failure looks transient
+ */
+function isRetryable(err) {
+  if (err.response) {
+    return RETRYABLE_STATUSES.includes(err.response.status);
+  }
+  return RETRYABLE_CODES.includes(err.code);
+}
+
+/**
+ * Read a Retry-After header, given either in seconds or as an HTTP date
+ * @param {Object} headers Response headers
+ * @returns {number|null} Delay in milliseconds, or null when absent or malformed
+ */
+function parseRetryAfter(headers) {
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with full jitter
+ * @param {number} attempt Number of the attempt that just failed, starting at 1
+ * @param {Object} policy Retry options
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, { retryBaseMs, retryMaxMs }) {
+  return Math.floor(Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** (attempt - 1)));
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the circuit breaker of a host
+ * @param {string} host Host name
+ * @returns {Object} { failures, openUntil }
+ */
+function getBreaker(host) {
+  if (!breakers.has(host)) {
+    breakers.set(host, { failures: 0, openUntil: 0 });
+  }
+  return breakers.get(host);
+}
+
+/**
+ * Forget all circuit breaker state, e.g. between tests
+ */
+function resetCircuitBreakers() {
+  breakers.clear();
+}
+
+/**
+ * Send a request with retries and a circuit breaker per host
+ * Transient failures (network errors, 408, 425, 429, 5xx) are retried for idempotent requests,
+ * honouring Retry-After when the server sends one. After breakerThreshold consecutive transient
+ * failures the host is skipped for breakerCooldownMs, then a single trial request decides whether
+ * to close the breaker again.
+ * @param {string} method HTTP method
  * @param {string} url Request URL
+ * @param {Object} options Axios request options plus the policy options
+ * @param {*} options.data Request body
+ * @param {boolean} options.idempotent Allow retrying methods such as POST that are not idempotent by definition
+ * @param {number} options.retries Retries after the first attempt
+ * @param {number} options.retryBaseMs Backoff before the first retry, doubled for each further retry
+ * @param {number} options.retryMaxMs Upper bound for a single backoff and for honouring Retry-After
+ * @param {number} options.breakerThreshold Consecutive transient failures that open the breaker
+ * @param {number} options.breakerCooldownMs How long an open breaker rejects requests
+ * @returns {Promise<Object>} Axios response
+ * @throws {ExternalApiError} When the host's circuit breaker is open
+ * @throws {Error} The axios error of the last attempt when all attempts fail
+ */
+async function request(method, url, options = {}) {
+  const {
+    idempotent,
+    retries,
+    retryBaseMs,
+    retryMaxMs,
+    breakerThreshold,
+    breakerCooldownMs,
+    ...axiosOptions
+  } = options;
+  const policy = {
+    ...DEFAULT_POLICY,
+    ...Object.fromEntries(
+      Object.entries({ retries, retryBaseMs, retryMaxMs, breakerThreshold, breakerCooldownMs })
+        .filter(([, value]) => value !== undefined)
+    )
+  };
+  const verb = method.toLowerCase();
+  const host = new URL(url).host;
+  const breaker = getBreaker(host);
+  const maxAttempts = (idempotent || IDEMPOTENT_METHODS.includes(verb)) ? policy.retries + 1 : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    if (breaker.openUntil > Date.now()) {
+      throw new ExternalApiError(`Circuit breaker open for ${host}, retrying after ${new Date(breaker.openUntil).toISOString()}`);
+    }
+
+    try {
+      const response = await axios.request({ ...axiosOptions, method: verb, url });
+      breaker.failures = 0;
+      breaker.openUntil = 0;
+      return response;
+    } catch (err) {
+      if (!isRetryable(err)) {
+        throw err;
+      }
+
+      breaker.failures++;
+      if (breaker.failures >= policy.breakerThreshold) {
+        breaker.openUntil = Date.now() + policy.breakerCooldownMs;
+        // Let exactly one trial request through once the cooldown has passed
+        breaker.failures = policy.breakerThreshold - 1;
+        warn(`Circuit breaker opened for ${host}`, { cooldownMs: policy.breakerCooldownMs, error: err.message });
+        throw err;
+      }
+
+      const retryAfter = err.response ? parseRetryAfter(err.response.headers) : null;
+      if (attempt >= maxAttempts || (retryAfter !== null && retryAfter > policy.retryMaxMs)) {
+        throw err;
+      }
+
+      const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, policy);
+      warn(`${verb.toUpperCase()} ${host} failed, retrying in ${delay}ms`, {
+        attempt,
+        maxAttempts,
+        status: err.response ? err.response.status : err.code
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Create a fetch function for libraries that accept one, such as the Notion client,
+ * so their requests share the retries and circuit breakers of request()
+ * @param {Object} defaults Options passed to request() for every call, see request()
+ * @param {Function} isIdempotent Decides per call whether a non-idempotent method may be retried,
+ *   receives (method, url)
+ * @returns {Function} fetch(url, init) resolving to { ok, status, headers, text }
+ */
+function createFetch(defaults = {}, isIdempotent = () => false) {
+  const toResponse = response => {
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '');
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status: response.status,
+      headers: response.headers,
+      text: async () => body
+    };
+  };
+
+  return async (url, init = {}) => {
+    const method = (init.method || 'GET').toLowerCase();
+    try {
+      const response = await request(method, url, {
+        ...defaults,
+        idempotent: isIdempotent(method, url),
+        headers: init.headers,
+        data: init.body,
+        // Hand the raw body to the caller, which parses it itself
+        responseType: 'text',
+        transformResponse: [data => data]
+      });
+      return toResponse(response);
+    } catch (err) {
+      if (err.response) {
+        return toResponse(err.response);
+      }
+      throw err;
+    }
+  };
+}
+
+/**
+ * Apply the defaults of the convenience methods: a 30 second timeout and a JSON content type
  * @param {Object} options Request options
+ * @returns {Object} Options with defaults
+ */
+function withDefaults(options) {
+  return {
+    timeout: 30000,
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers
+    }
+  };
+}
+
+/**
+ * Make a GET request
+ * @param {string} url Request URL
+ * @param {Object} options Request options, see request()
  * @returns {Promise<Object>} Response data
  */
 async function get(url, options = {}) {
-  const client = createHttpClient(options);
-  
   try {
     info(`Making GET request to ${url}`);
-    const response = await client.get(url, options);
+    const response = await request('get', url, withDefaults(options));
     info(`GET request to ${url} successful`, { status: response.status });
     return response.data;
   } catch (err) {
@@ -47,15 +282,13 @@ async function get(url, options = {}) {
  * Make a POST request
  * @param {string} url Request URL
  * @param {Object} data Request data
- * @param {Object} options Request options
+ * @param {Object} options Request options, see request(); pass idempotent: true to allow retries
  * @returns {Promise<Object>} Response data
  */
 async function post(url, data, options = {}) {
-  const client = createHttpClient(options);
-  
   try {
     info(`Making POST request to ${url}`);
-    const response = await client.post(url, data, options);
+    const response = await request('post', url, { ...withDefaults(options), data });
     info(`POST request to ${url} successful`, { status: response.status });
     return response.data;
   } catch (err) {
@@ -68,15 +301,13 @@ async function post(url, data, options = {}) {
  * Make a PUT request
  * @param {string} url Request URL
  * @param {Object} data Request data
- * @param {Object} options Request options
+ * @param {Object} options Request options, see request()
  * @returns {Promise<Object>} Response data
  */
 async function put(url, data, options = {}) {
-  const client = createHttpClient(options);
-  
   try {
     info(`Making PUT request to ${url}`);
-    const response = await client.put(url, data, options);
+    const response = await request('put', url, { ...withDefaults(options), data });
     info(`PUT request to ${url} successful`, { status: response.status });
     return response.data;
   } catch (err) {
@@ -88,15 +319,13 @@ async function put(url, data, options = {}) {
 /**
  * Make a DELETE request
  * @param {string} url Request URL
- * @param {Object} options Request options
+ * @param {Object} options Request options, see request()
  * @returns {Promise<Object>} Response data
  */
 async function del(url, options = {}) {
-  const client = createHttpClient(options);
-  
   try {
     info(`Making DELETE request to ${url}`);
-    const response = await client.delete(url, options);
+    const response = await request('delete', url, withDefaults(options));
     info(`DELETE request to ${url} successful`, { status: response.status });
     return response.data;
   } catch (err) {
@@ -107,6 +336,9 @@ async function del(url, options = {}) {
 
 module.exports = {
   createHttpClient,
+  request,
+  createFetch,
+  resetCircuitBreakers,
   get,
   post,
   put,
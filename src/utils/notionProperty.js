@@ -0,0 +1,296 @@
+/**
+ * Notion property utilities
+ * Renders any Notion property value to display text
+ */
+
+const { DEFAULT_TIME_ZONE } = require('./time');
+
+/**
+ * Property types that propertyToText can render
+ */
+const SUPPORTED_TYPES = [
+  'title',
+  'rich_text',
+  'number',
+  'select',
+  'multi_select',
+  'status',
+  'date',
+  'people',
+  'files',
+  'checkbox',
+  'url',
+  'email',
+  'phone_number',
+  'formula',
+  'relation',
+  'rollup',
+  'created_time',
+  'created_by',
+  'last_edited_time',
+  'last_edited_by',
+  'unique_id',
+  'verification'
+];
+
+/**
+ * Currency codes for Notion number formats
+ */
+const CURRENCY_FORMATS = {
+  dollar: 'USD',
+  canadian_dollar: 'CAD',
+  euro: 'EUR',
+  pound: 'GBP',
+  yen: 'JPY',
+  ruble: 'RUB',
+  rupee: 'INR',
+  won: 'KRW',
+  yuan: 'CNY',
+  real: 'BRL',
+  lira: 'TRY',
+  franc: 'CHF',
+  hong_kong_dollar: 'HKD',
+  new_taiwan_dollar: 'TWD',
+  singapore_dollar: 'SGD',
+  australian_dollar: 'AUD'
+};
+
+/**
+ * Default rendering options
+ */
+const DEFAULT_OPTIONS = {
+  timeZone: DEFAULT_TIME_ZONE,
+  locale: 'zh-CN',
+  separator: ', ',
+  checked: '✓',
+  unchecked: '✗'
+};
+
+/**
+ * Join the plain text of a rich text array
+ * @param {Array} richText Notion rich text array
+ * @returns {string} Plain text
+ */
+function richTextToText(richText) {
+  return (richText || []).map(t => t.plain_text).join('');
+}
+
+/**
+ * Format a number according to a Notion number format
+ * @param {number|null} value Number to format
+ * @param {string} format Notion number format, e.g. percent or yuan
+ * @param {Object} options Rendering options
+ * @returns {string} Formatted number
+ */
+function formatNumber(value, format, options = {}) {
+  if (value === null || value === undefined || isNaN(value)) {
+    return '';
+  }
+
+  const { locale } = { ...DEFAULT_OPTIONS, ...options };
+
+  if (format === 'percent') {
+    return `${Math.round(value * 10000) / 100}%`;
+  }
+
+  if (format === 'number_with_commas') {
+    return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+
+  if (CURRENCY_FORMATS[format]) {
+    return value.toLocaleString(locale, {
+      style: 'currency',
+      currency: CURRENCY_FORMATS[format]
+    });
+  }
+
+  // Drop floating point noise such as 0.30000000000000004
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Format a Notion date string
+ * Date-only values are kept as written, date-times are converted to the configured time zone
+ * @param {string} value ISO date or date-time string
+ * @param {Object} options Rendering options
+ * @returns {string} Formatted date, e.g. 2024-05-01 or 2024-05-01 09:30
+ */
+function formatDate(value, options = {}) {
+  if (!value) {
+    return '';
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return value;
+  }
+
+  const { timeZone } = { ...DEFAULT_OPTIONS, ...options };
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Format a Notion date range object
+ * @param {Object|null} date Notion date object with start and end
+ * @param {Object} options Rendering options
+ * @returns {string} Formatted date or range
+ */
+function formatDateRange(date, options = {}) {
+  if (!date || !date.start) {
+    return '';
+  }
+  const start = formatDate(date.start, options);
+  return date.end ? `${start} → ${formatDate(date.end, options)}` : start;
+}
+
+/**
+ * Render a user object
+ * @param {Object} user Notion user object
+ * @returns {string} User name, falling back to the user ID
+ */
+function userToText(user) {
+  return user ? user.name || user.id || '' : '';
+}
+
+/**
+ * Render a formula result
+ * @param {Object} formula Notion formula value
+ * @param {Object} options Rendering options
+ * @returns {string} Rendered result
+ */
+function formulaToText(formula, options) {
+  if (!formula) {
+    return '';
+  }
+  switch (formula.type) {
+  case 'string':
+    return formula.string || '';
+  case 'number':
+    return formatNumber(formula.number, options.numberFormat, options);
+  case 'boolean':
+    return formula.boolean ? options.checked : options.unchecked;
+  case 'date':
+    return formatDateRange(formula.date, options);
+  default:
+    return '';
+  }
+}
+
+/**
+ * Render a rollup result
+ * @param {Object} rollup Notion rollup value
+ * @param {Object} options Rendering options
+ * @returns {string} Rendered result
+ */
+function rollupToText(rollup, options) {
+  if (!rollup) {
+    return '';
+  }
+  switch (rollup.type) {
+  case 'number':
+    return formatNumber(rollup.number, options.numberFormat, options);
+  case 'date':
+    return formatDateRange(rollup.date, options);
+  case 'array':
+    return rollup.array
+      .map(item => propertyToText(item, options))
+      .filter(text => text !== '')
+      .join(options.separator);
+  default:
+    return '';
+  }
+}
+
+/**
+ * Render any Notion property value to display text
+ * @param {Object} property Notion property value (an entry of page.properties)
+ * @param {Object} options Rendering options
+ * @param {string} options.numberFormat Notion number format from the database schema
+ * @param {string} options.timeZone IANA time zone for date-times
+ * @param {string} options.locale Locale for currency formatting
+ * @param {string} options.separator Separator for multi-value properties
+ * @param {string} options.checked Text for a checked checkbox
+ * @param {string} options.unchecked Text for an unchecked checkbox
+ * @returns {string} Display text, empty string when the property has no value
+ */
+function propertyToText(property, options = {}) {
+  if (!property || !property.type) {
+    return '';
+  }
+
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const value = property[property.type];
+
+  switch (property.type) {
+  case 'title':
+  case 'rich_text':
+    return richTextToText(value);
+  case 'number':
+    return formatNumber(value, opts.numberFormat, opts);
+  case 'select':
+  case 'status':
+    return value ? value.name : '';
+  case 'multi_select':
+    return (value || []).map(option => option.name).join(opts.separator);
+  case 'date':
+    return formatDateRange(value, opts);
+  case 'people':
+    return (value || []).map(userToText).join(opts.separator);
+  case 'files':
+    return (value || []).map(file => file.name).join(opts.separator);
+  case 'checkbox':
+    return value ? opts.checked : opts.unchecked;
+  case 'url':
+  case 'email':
+  case 'phone_number':
+    return value || '';
+  case 'formula':
+    return formulaToText(value, opts);
+  case 'relation':
+    // Related page titles need extra requests, so only the count is rendered
+    return value && value.length > 0 ? `${value.length} 项` : '';
+  case 'rollup':
+    return rollupToText(value, opts);
+  case 'created_time':
+  case 'last_edited_time':
+    return formatDate(value, opts);
+  case 'created_by':
+  case 'last_edited_by':
+    return userToText(value);
+  case 'unique_id':
+    if (!value || value.number === null) {
+      return '';
+    }
+    return value.prefix ? `${value.prefix}-${value.number}` : String(value.number);
+  case 'verification':
+    return value ? value.state : '';
+  default:
+    return '';
+  }
+}
+
+module.exports = {
+  SUPPORTED_TYPES,
+  propertyToText,
+  richTextToText,
+  formatNumber,
+  formatDate,
+  formatDateRange
+};
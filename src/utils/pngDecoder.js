@@ -0,0 +1,189 @@
+/**
+ * PNG decoder
+ * Decodes non-interlaced PNG files into grayscale pixels so remote icons can be
+ * scaled and dithered for the e-ink screen without native image libraries
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+/**
+ * Channels per pixel for each PNG color type
+ */
+const CHANNELS = {
+  0: 1, // grayscale
+  2: 3, // RGB
+  3: 1, // palette index
+  4: 2, // grayscale + alpha
+  6: 4 // RGBA
+};
+
+/**
+ * Check whether a buffer starts with the PNG signature
+ * @param {Buffer} buffer Data
+ * @returns {boolean} Whether it is a PNG file
+ */
+function isPng(buffer) {
+  return buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Paeth predictor from the PNG specification
+ * @param {number} a Left
+ * @param {number} b Above
+ * @param {number} c Upper left
+ * @returns {number} Predicted value
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) {
+    return a;
+  }
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Undo the per-scanline filters
+ * @param {Buffer} data Inflated image data
+ * @param {number} height Image height
+ * @param {number} rowBytes Bytes per scanline without the filter byte
+ * @param {number} bytesPerPixel Bytes per complete pixel, at least 1
+ * @returns {Buffer} Unfiltered scanlines
+ * @throws {Error} On an unknown filter type
+ */
+function unfilter(data, height, rowBytes, bytesPerPixel) {
+  const out = Buffer.alloc(rowBytes * height);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (rowBytes + 1)];
+    const row = y * rowBytes;
+    const src = y * (rowBytes + 1) + 1;
+    for (let x = 0; x < rowBytes; x++) {
+      const raw = data[src + x];
+      const left = x >= bytesPerPixel ? out[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? out[row - rowBytes + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? out[row - rowBytes + x - bytesPerPixel] : 0;
+      let value;
+      switch (filter) {
+      case 0: value = raw; break;
+      case 1: value = raw + left; break;
+      case 2: value = raw + up; break;
+      case 3: value = raw + ((left + up) >> 1); break;
+      case 4: value = raw + paeth(left, up, upLeft); break;
+      default:
+        throw new Error(`Unknown PNG filter type ${filter}`);
+      }
+      out[row + x] = value & 0xFF;
+    }
+  }
+  return out;
+}
+
+/**
+ * Decode a PNG file into luminance values composited on a white background
+ * @param {Buffer} buffer PNG file
+ * @returns {Object} { width, height, gray } where gray holds one value per pixel, 0 black to 255 white
+ * @throws {Error} When the file is not a PNG or uses interlacing
+ */
+function decodePng(buffer) {
+  if (!isPng(buffer)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header || !(header.colorType in CHANNELS)) {
+    throw new Error('Unsupported PNG header');
+  }
+  if (header.interlace) {
+    throw new Error('Interlaced PNG files are not supported');
+  }
+
+  const { width, height, bitDepth, colorType } = header;
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+  const rows = unfilter(zlib.inflateSync(Buffer.concat(idat)), height, rowBytes, Math.max(1, bitsPerPixel >> 3));
+
+  // read a channel value scaled to 0-255
+  const maxValue = (1 << bitDepth) - 1;
+  const sample = (y, index) => {
+    if (bitDepth === 8) {
+      return rows[y * rowBytes + index];
+    }
+    if (bitDepth === 16) {
+      return rows[y * rowBytes + index * 2];
+    }
+    const bit = index * bitDepth;
+    const byte = rows[y * rowBytes + (bit >> 3)];
+    const value = (byte >> (8 - bitDepth - (bit & 7))) & maxValue;
+    return colorType === 3 ? value : Math.round((value * 255) / maxValue);
+  };
+
+  const gray = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const base = x * channels;
+      let r;
+      let g;
+      let b;
+      let alpha = 255;
+      if (colorType === 3) {
+        const index = sample(y, base);
+        r = palette ? palette[index * 3] : 0;
+        g = palette ? palette[index * 3 + 1] : 0;
+        b = palette ? palette[index * 3 + 2] : 0;
+        alpha = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        r = g = b = sample(y, base);
+        alpha = colorType === 4 ? sample(y, base + 1) : 255;
+      } else {
+        r = sample(y, base);
+        g = sample(y, base + 1);
+        b = sample(y, base + 2);
+        alpha = colorType === 6 ? sample(y, base + 3) : 255;
+      }
+      const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+      gray[y * width + x] = Math.round((luminance * alpha + 255 * (255 - alpha)) / 255);
+    }
+  }
+
+  return { width, height, gray };
+}
+
+module.exports = {
+  isPng,
+  decodePng
+};
@@ -0,0 +1,345 @@
+/**
+ * Template utilities
+ * A small template language for the text pushed to Quote devices:
+ *
+ *   {{name}}                      variable, dotted paths reach into objects ({{fields.项目}})
+ *   {{name | truncate:11}}        formatters, chained with |
+ *   {{#if name}}...{{else}}...{{/if}}
+ *   {{#unless name}}...{{/unless}}
+ *
+ * Templates are compiled once; compiling checks the syntax, the variable names
+ * and the formatter arguments so a typo fails at startup instead of on the screen.
+ */
+
+const { ValidationError } = require('./errorHandler');
+const { truncateGraphemes, truncateToWidth } = require('./textLayout');
+const { DEFAULT_TIME_ZONE, getZonedParts } = require('./time');
+
+/**
+ * Default rendering options
+ */
+const DEFAULT_OPTIONS = {
+  timeZone: DEFAULT_TIME_ZONE
+};
+
+/**
+ * Date pattern tokens, longest first
+ */
+const DATE_TOKENS = ['YYYY', 'MM', 'DD', 'HH', 'mm', 'ss'];
+
+/**
+ * Format a date with a pattern such as YYYY-MM-DD or HH:mm:ss
+ * Date-only strings are kept as calendar dates and never shifted by the time zone.
+ * @param {Date|string} value Date object or ISO string
+ * @param {string} pattern Date pattern
+ * @param {Object} options Rendering options
+ * @returns {string} Formatted date, or the original value when it is not a date
+ */
+function formatDatePattern(value, pattern, options = {}) {
+  if (!value) {
+    return '';
+  }
+
+  const parts = {};
+  const dateOnly = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (dateOnly) {
+    Object.assign(parts, { YYYY: dateOnly[1], MM: dateOnly[2], DD: dateOnly[3], HH: '00', mm: '00', ss: '00' });
+  } else {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      return String(value);
+    }
+    const { timeZone } = { ...DEFAULT_OPTIONS, ...options };
+    const zoned = getZonedParts(date, timeZone);
+    const pad = number => String(number).padStart(2, '0');
+    Object.assign(parts, {
+      YYYY: String(zoned.year),
+      MM: pad(zoned.month),
+      DD: pad(zoned.day),
+      HH: pad(zoned.hour),
+      mm: pad(zoned.minute),
+      ss: pad(zoned.second)
+    });
+  }
+
+  return pattern.replace(new RegExp(DATE_TOKENS.join('|'), 'g'), token => parts[token]);
+}
+
+/**
+ * Convert a value to display text; arrays are joined with ", "
+ * @param {*} value Value
+ * @returns {string} Text
+ */
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(toText).filter(text => text !== '').join(', ');
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return String(value);
+}
+
+/**
+ * Parse a "length[:suffix]" formatter argument
+ * @param {string} name Formatter name, used in the error message
+ * @param {string} arg Argument
+ * @returns {Object} { limit, suffix }
+ * @throws {ValidationError} When the length is not a positive integer
+ */
+function parseLimit(name, arg) {
+  const [length, ...suffix] = (arg || '').split(':');
+  const limit = Number(length);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new ValidationError(`${name} needs a positive length, e.g. ${name}:11`);
+  }
+  return { limit, suffix: suffix.length > 0 ? suffix.join(':') : '...' };
+}
+
+/**
+ * Built-in formatters
+ * Each entry has parse(arg) that validates the argument at compile time
+ * and apply(value, parsedArg, options) that runs at render time.
+ */
+const FORMATTERS = {
+  // truncate:11 or truncate:11:… — keep N characters (grapheme clusters) and append the suffix (default ...)
+  truncate: {
+    parse: arg => parseLimit('truncate', arg),
+    apply(value, { limit, suffix }) {
+      return truncateGraphemes(toText(value), limit, suffix);
+    }
+  },
+  // width:22 or width:22:… — fit into N display columns, full-width characters count as two
+  width: {
+    parse: arg => parseLimit('width', arg),
+    apply(value, { limit, suffix }) {
+      return truncateToWidth(toText(value), limit, suffix);
+    }
+  },
+  // date:HH:mm:ss — format a date in the configured time zone
+  date: {
+    parse(arg) {
+      const pattern = arg || 'YYYY-MM-DD';
+      if (!new RegExp(DATE_TOKENS.join('|')).test(pattern)) {
+        throw new ValidationError(`date pattern "${pattern}" has no ${DATE_TOKENS.join('/')} token`);
+      }
+      return pattern;
+    },
+    apply(value, pattern, options) {
+      return formatDatePattern(value, pattern, options);
+    }
+  },
+  // default:text — fallback text for empty values
+  default: {
+    parse(arg) {
+      return arg || '';
+    },
+    apply(value, fallback) {
+      const text = toText(value);
+      return text === '' ? fallback : text;
+    }
+  },
+  // join:" · " — join a list with a custom separator
+  join: {
+    parse(arg) {
+      return arg === undefined ? ', ' : arg;
+    },
+    apply(value, separator) {
+      return Array.isArray(value) ? value.map(toText).filter(text => text !== '').join(separator) : toText(value);
+    }
+  },
+  upper: {
+    parse: () => null,
+    apply: value => toText(value).toUpperCase()
+  },
+  lower: {
+    parse: () => null,
+    apply: value => toText(value).toLowerCase()
+  }
+};
+
+/**
+ * Parse a variable reference such as "title | truncate:11"
+ * @param {string} expression Expression inside {{ }}
+ * @param {Array<string>|null} variables Allowed root variable names, null to allow any
+ * @returns {Object} { segments, filters }
+ * @throws {ValidationError} When the variable or a formatter is unknown
+ */
+function parseExpression(expression, variables) {
+  const [reference, ...pipes] = expression.split('|');
+  const path = reference.trim();
+  if (!path) {
+    throw new ValidationError(`Empty variable in "{{${expression}}}"`);
+  }
+  const segments = path.split('.').map(segment => segment.trim());
+  if (variables && !variables.includes(segments[0])) {
+    throw new ValidationError(`Unknown variable "${segments[0]}", available: ${variables.join(', ')}`);
+  }
+
+  const filters = pipes.map(pipe => {
+    const text = pipe.trim();
+    const separator = text.indexOf(':');
+    const name = separator === -1 ? text : text.slice(0, separator);
+    // arguments are trimmed; wrap them in double quotes to keep surrounding spaces, e.g. join:" / "
+    const raw = separator === -1 ? undefined : text.slice(separator + 1).trim();
+    const arg = raw && /^".*"$/.test(raw) ? raw.slice(1, -1) : raw;
+    const formatter = FORMATTERS[name];
+    if (!formatter) {
+      throw new ValidationError(`Unknown formatter "${name}", available: ${Object.keys(FORMATTERS).join(', ')}`);
+    }
+    return { formatter, arg: formatter.parse(arg) };
+  });
+
+  return { segments, filters };
+}
+
+/**
+ * Compile a template string
+ * @param {string} source Template string
+ * @param {Object} options Compile options
+ * @param {Array<string>} options.variables Allowed root variable names, omit to allow any
+ * @returns {Object} Compiled template, pass it to renderTemplate
+ * @throws {ValidationError} When the template is malformed
+ */
+function compileTemplate(source, { variables = null } = {}) {
+  if (typeof source !== 'string') {
+    throw new ValidationError('Template must be a string');
+  }
+
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  // nodes are appended to the else branch once {{else}} has been seen
+  const target = () => (current().inElse ? current().alternate : current().children);
+  const pattern = /\{\{([\s\S]*?)\}\}/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      target().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = pattern.lastIndex;
+
+    const tag = match[1].trim();
+    const block = /^#(if|unless)\s+(.+)$/.exec(tag);
+    if (block) {
+      const node = {
+        type: 'if',
+        negate: block[1] === 'unless',
+        keyword: block[1],
+        condition: parseExpression(block[2], variables),
+        children: [],
+        alternate: null,
+        inElse: false
+      };
+      target().push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      const node = current();
+      if (node.type !== 'if' || node.inElse) {
+        throw new ValidationError('Unexpected {{else}}');
+      }
+      node.alternate = [];
+      node.inElse = true;
+    } else if (/^\/(if|unless)$/.test(tag)) {
+      const node = current();
+      if (node.type !== 'if' || tag.slice(1) !== node.keyword) {
+        throw new ValidationError(`Unexpected {{${tag}}}`);
+      }
+      stack.pop();
+    } else if (tag.startsWith('#') || tag.startsWith('/')) {
+      throw new ValidationError(`Unknown block {{${tag}}}, only #if and #unless are supported`);
+    } else {
+      target().push({ type: 'variable', expression: parseExpression(tag, variables) });
+    }
+  }
+
+  const rest = source.slice(lastIndex);
+  if (rest.includes('{{')) {
+    throw new ValidationError('Unclosed {{ in template');
+  }
+  if (rest) {
+    root.children.push({ type: 'text', value: rest });
+  }
+  if (stack.length > 1) {
+    throw new ValidationError(`Missing {{/${current().keyword}}}`);
+  }
+
+  return root;
+}
+
+/**
+ * Resolve a dotted path in the render context
+ * @param {Object} context Render context
+ * @param {Array<string>} segments Path segments
+ * @returns {*} Value, undefined when the path does not exist
+ */
+function resolvePath(context, segments) {
+  return segments.reduce((value, segment) => (value === null || value === undefined ? undefined : value[segment]), context);
+}
+
+/**
+ * Evaluate a variable expression
+ * @param {Object} expression Parsed expression
+ * @param {Object} context Render context
+ * @param {Object} options Rendering options
+ * @returns {*} Value after all formatters
+ */
+function evaluate(expression, context, options) {
+  return expression.filters.reduce(
+    (value, { formatter, arg }) => formatter.apply(value, arg, options),
+    resolvePath(context, expression.segments)
+  );
+}
+
+/**
+ * Check whether a value counts as true in {{#if}}; empty strings and lists are false
+ * @param {*} value Value
+ * @returns {boolean} Truthiness
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render a list of nodes
+ * @param {Array<Object>} nodes Nodes
+ * @param {Object} context Render context
+ * @param {Object} options Rendering options
+ * @returns {string} Text
+ */
+function renderNodes(nodes, context, options) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+    if (node.type === 'variable') {
+      return toText(evaluate(node.expression, context, options));
+    }
+    const matched = isTruthy(evaluate(node.condition, context, options)) !== node.negate;
+    return renderNodes(matched ? node.children : node.alternate || [], context, options);
+  }).join('');
+}
+
+/**
+ * Render a compiled template
+ * @param {Object} template Result of compileTemplate
+ * @param {Object} context Values for the variables
+ * @param {Object} options Rendering options
+ * @param {string} options.timeZone IANA time zone used by the date formatter, defaults to Asia/Shanghai
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, context = {}, options = {}) {
+  return renderNodes(template.children, context, { ...DEFAULT_OPTIONS, ...options });
+}
+
+module.exports = {
+  FORMATTERS,
+  compileTemplate,
+  renderTemplate,
+  formatDatePattern
+};
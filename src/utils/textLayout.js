@@ -0,0 +1,243 @@
+/**
+ * Text layout utilities
+ * Measures text by grapheme clusters and display columns (full-width CJK characters
+ * and emoji take two columns) and fits it to a column budget by ellipsizing or wrapping
+ */
+
+/**
+ * Default ellipsis, three half-width dots as used on the device so far
+ */
+const DEFAULT_ELLIPSIS = '...';
+
+/**
+ * East Asian Wide and Fullwidth code point ranges (emoji are detected separately)
+ */
+const WIDE_RANGES = [
+  [0x1100, 0x115F], // Hangul Jamo
+  [0x2E80, 0x303E], // CJK radicals, Kangxi, CJK symbols and punctuation
+  [0x3041, 0x33FF], // Hiragana, Katakana, Bopomofo, CJK compatibility
+  [0x3400, 0x4DBF], // CJK extension A
+  [0x4E00, 0x9FFF], // CJK unified ideographs
+  [0xA000, 0xA4CF], // Yi
+  [0xA960, 0xA97F], // Hangul Jamo extended A
+  [0xAC00, 0xD7A3], // Hangul syllables
+  [0xF900, 0xFAFF], // CJK compatibility ideographs
+  [0xFE10, 0xFE19], // Vertical forms
+  [0xFE30, 0xFE6F], // CJK compatibility forms, small form variants
+  [0xFF00, 0xFF60], // Fullwidth forms
+  [0xFFE0, 0xFFE6], // Fullwidth signs
+  [0x1F200, 0x1F2FF], // Enclosed ideographic supplement
+  [0x20000, 0x2FFFD], // CJK extensions B-F
+  [0x30000, 0x3FFFD] // CJK extension G and later
+];
+
+const ZERO_WIDTH = /^[\p{Mn}\p{Me}\p{Cf}\p{Cc}]+$/u;
+const EMOJI = /\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F|\p{Regional_Indicator}/u;
+const WHITESPACE = /^\s+$/u;
+// separators and dots left dangling before an ellipsis
+const TRAILING_SEPARATORS = /[\s.…·,，、:：;；|-]+$/u;
+
+const segmenter = typeof Intl.Segmenter === 'function'
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * Split text into grapheme clusters
+ * Falls back to code points when Intl.Segmenter is unavailable
+ * @param {string} text Text
+ * @returns {Array<string>} Grapheme clusters
+ */
+function splitGraphemes(text) {
+  const value = String(text ?? '');
+  if (!segmenter) {
+    return Array.from(value);
+  }
+  return Array.from(segmenter.segment(value), item => item.segment);
+}
+
+/**
+ * Check whether a code point is East Asian Wide or Fullwidth
+ * @param {number} codePoint Code point
+ * @returns {boolean} Whether it takes two columns
+ */
+function isWideCodePoint(codePoint) {
+  return WIDE_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end);
+}
+
+/**
+ * Display width of a single grapheme cluster: 0, 1 or 2 columns
+ * @param {string} grapheme Grapheme cluster
+ * @returns {number} Columns
+ */
+function graphemeWidth(grapheme) {
+  if (!grapheme || ZERO_WIDTH.test(grapheme)) {
+    return 0;
+  }
+  if (EMOJI.test(grapheme) || isWideCodePoint(grapheme.codePointAt(0))) {
+    return 2;
+  }
+  return 1;
+}
+
+/**
+ * Display width of a string
+ * @param {string} text Text
+ * @returns {number} Columns
+ */
+function textWidth(text) {
+  return splitGraphemes(text).reduce((sum, grapheme) => sum + graphemeWidth(grapheme), 0);
+}
+
+/**
+ * Keep the longest prefix of whole grapheme clusters that satisfies a budget
+ * @param {Array<string>} graphemes Grapheme clusters
+ * @param {number} budget Budget
+ * @param {Function} measure Cost of one grapheme cluster
+ * @returns {string} Prefix
+ */
+function takeWithin(graphemes, budget, measure) {
+  let used = 0;
+  let result = '';
+  for (const grapheme of graphemes) {
+    const cost = measure(grapheme);
+    if (used + cost > budget) {
+      break;
+    }
+    used += cost;
+    result += grapheme;
+  }
+  return result;
+}
+
+/**
+ * Cut text to at most maxWidth columns, ellipsis included
+ * @param {string} text Text
+ * @param {number} maxWidth Column budget
+ * @param {string} ellipsis Appended when the text is cut
+ * @returns {string} Text that fits the budget
+ */
+function truncateToWidth(text, maxWidth, ellipsis = DEFAULT_ELLIPSIS) {
+  const value = String(text ?? '');
+  if (textWidth(value) <= maxWidth) {
+    return value;
+  }
+  const budget = Math.max(0, maxWidth - textWidth(ellipsis));
+  return takeWithin(splitGraphemes(value), budget, graphemeWidth).replace(TRAILING_SEPARATORS, '') + ellipsis;
+}
+
+/**
+ * Cut text to at most maxCount grapheme clusters and append the suffix when cut
+ * @param {string} text Text
+ * @param {number} maxCount Maximum number of grapheme clusters
+ * @param {string} suffix Appended when the text is cut
+ * @returns {string} Text
+ */
+function truncateGraphemes(text, maxCount, suffix = DEFAULT_ELLIPSIS) {
+  const graphemes = splitGraphemes(text);
+  return graphemes.length > maxCount ? graphemes.slice(0, maxCount).join('') + suffix : graphemes.join('');
+}
+
+/**
+ * Cut text to at most maxLength UTF-16 code units without splitting a grapheme cluster
+ * @param {string} text Text
+ * @param {number} maxLength Maximum length in code units, as counted by the device API
+ * @param {string} suffix Appended when the text is cut
+ * @returns {string} Text
+ */
+function truncateLength(text, maxLength, suffix = DEFAULT_ELLIPSIS) {
+  const value = String(text ?? '');
+  if (value.length <= maxLength) {
+    return value;
+  }
+  return takeWithin(splitGraphemes(value), maxLength, grapheme => grapheme.length) + suffix;
+}
+
+/**
+ * Find the last position in a line where it may be broken
+ * Breaks are allowed after whitespace and on either side of a wide character
+ * @param {Array<Object>} cells [{ grapheme, width }]
+ * @returns {number} Index to break before, 0 when there is none
+ */
+function lastBreak(cells) {
+  for (let index = cells.length - 1; index > 0; index--) {
+    const previous = cells[index - 1];
+    if (WHITESPACE.test(previous.grapheme) || previous.width === 2 || cells[index].width === 2) {
+      return index;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Wrap a single paragraph
+ * @param {string} paragraph Text without line breaks
+ * @param {number} maxWidth Column budget
+ * @returns {Array<string>} Lines
+ */
+function wrapParagraph(paragraph, maxWidth) {
+  const lines = [];
+  let cells = [];
+  let width = 0;
+  const join = items => items.map(cell => cell.grapheme).join('');
+
+  splitGraphemes(paragraph).forEach(grapheme => {
+    const cell = { grapheme, width: graphemeWidth(grapheme) };
+    while (cells.length > 0 && width + cell.width > maxWidth) {
+      // break at the last opportunity, or hard-break a long word
+      const at = lastBreak([...cells, cell]);
+      const cut = at > 0 ? at : cells.length;
+      lines.push(join(cells.slice(0, cut)).trimEnd());
+      cells = cells.slice(cut);
+      while (cells.length > 0 && WHITESPACE.test(cells[0].grapheme)) {
+        cells.shift();
+      }
+      width = cells.reduce((sum, item) => sum + item.width, 0);
+    }
+    if (cells.length === 0 && WHITESPACE.test(grapheme)) {
+      return;
+    }
+    cells.push(cell);
+    width += cell.width;
+  });
+
+  lines.push(join(cells).trimEnd());
+  return lines;
+}
+
+/**
+ * Wrap text to a column budget; existing line breaks are kept
+ * @param {string} text Text
+ * @param {number} maxWidth Column budget
+ * @returns {Array<string>} Lines
+ */
+function wrapText(text, maxWidth) {
+  return String(text ?? '').split('\n').flatMap(paragraph => wrapParagraph(paragraph, maxWidth));
+}
+
+/**
+ * Fit every line of a text block to a column budget
+ * @param {string} text Text, possibly with several lines
+ * @param {number} maxWidth Column budget, 0 to leave the text unchanged
+ * @param {string} overflow 'ellipsis' to cut long lines, 'wrap' to continue them on the next line, 'none' to keep them
+ * @returns {string} Text
+ */
+function fitLines(text, maxWidth, overflow = 'ellipsis') {
+  if (!maxWidth || overflow === 'none') {
+    return text;
+  }
+  if (overflow === 'wrap') {
+    return wrapText(text, maxWidth).join('\n');
+  }
+  return String(text ?? '').split('\n').map(line => truncateToWidth(line, maxWidth)).join('\n');
+}
+
+module.exports = {
+  splitGraphemes,
+  graphemeWidth,
+  textWidth,
+  truncateToWidth,
+  truncateGraphemes,
+  truncateLength,
+  wrapText,
+  fitLines
+};
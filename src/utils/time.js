@@ -0,0 +1,127 @@
+/**
+ * Time zone utilities
+ * Reads wall-clock time in an IANA time zone, independent of the server's local time zone
+ */
+
+const { ValidationError } = require('./errorHandler');
+
+/**
+ * Time zone used when none is configured
+ */
+const DEFAULT_TIME_ZONE = 'Asia/Shanghai';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Check whether a string is a time zone known to Intl
+ * @param {string} timeZone IANA time zone, e.g. Europe/Berlin
+ * @returns {boolean} Whether it is valid
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Read the calendar date and wall-clock time of a moment in a time zone
+ * @param {Date} date Moment
+ * @param {string} timeZone IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday } as numbers, weekday 0 = Sunday
+ */
+function getZonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Minutes since local midnight in a time zone
+ * @param {Date} date Moment
+ * @param {string} timeZone IANA time zone
+ * @returns {number} Minutes, 0-1439
+ */
+function minutesOfDay(date, timeZone = DEFAULT_TIME_ZONE) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return hour * 60 + minute;
+}
+
+/**
+ * Parse a clock time such as 07:30
+ * @param {string} text Clock time, HH:mm
+ * @returns {number} Minutes since midnight
+ * @throws {ValidationError} When the time is malformed
+ */
+function parseClockTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || (Number(match[1]) === 24 && match[2] !== '00')) {
+    throw new ValidationError(`Invalid time "${text}", expected HH:mm`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Parse a daily time range such as 23:00-07:00; the end may be earlier than the start to span midnight
+ * @param {string} text Time range
+ * @returns {Object} { start, end } in minutes since midnight
+ * @throws {ValidationError} When the range is malformed
+ */
+function parseTimeRange(text) {
+  const [start, end, ...rest] = String(text).split('-');
+  if (end === undefined || rest.length > 0) {
+    throw new ValidationError(`Invalid time range "${text}", expected HH:mm-HH:mm`);
+  }
+  return { start: parseClockTime(start), end: parseClockTime(end) };
+}
+
+/**
+ * Check whether a time of day falls inside a range; the start is inclusive and the end exclusive
+ * @param {number} minutes Minutes since midnight
+ * @param {Object} range { start, end } from parseTimeRange
+ * @returns {boolean} Whether it is inside
+ */
+function isWithinTimeRange(minutes, { start, end }) {
+  if (start === end) {
+    return false;
+  }
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  minutesOfDay,
+  parseClockTime,
+  parseTimeRange,
+  isWithinTimeRange
+};